@@ -0,0 +1,750 @@
+// adminController.js - Controller do painel administrativo
+import { AuthService, PropostaService, ExportService, AnalyticsService } from '../services/index.js';
+import { AUDIT_TYPES } from '../services/auditService.js';
+import { Toast, HtmlUtils } from '../core/index.js';
+import FacetChips from '../ui/facetChips.js';
+import AnalyticsDashboard from '../ui/analyticsDashboard.js';
+
+// Campo da aba Configurações -> chave do SettingsService
+const CAMPOS_CONFIGURACAO = {
+  tempoInatividade: 'inactivityMinutes',
+  forcarHttps: 'forceHttps',
+  logAuditoria: 'auditLog',
+  limiteProposta: 'dailyPropostaLimit',
+  retencaoDados: 'retentionDays',
+  modoManutencao: 'maintenanceMode',
+  mensagemManutencao: 'maintenanceMessage',
+  previsaoManutencao: 'maintenanceEta'
+};
+
+class AdminController {
+  constructor() {
+    document.addEventListener('DOMContentLoaded', () => {
+      this.init();
+    });
+  }
+
+  async init() {
+    if (!(await AuthService.iniciar())) return;
+
+    try {
+      AuthService.verificarAdmin();
+    } catch (err) {
+      Toast.error(err.message);
+      AuthService.redirecionarParaLogin();
+      return;
+    }
+
+    const admin = AuthService.verificarAdmin();
+    const nomeAdmin = document.getElementById('nomeAdmin');
+    if (nomeAdmin) nomeAdmin.textContent = admin.name || admin.email;
+
+    this.initCabecalho();
+    this.initTabs();
+    this.initUsuarios();
+    this.initBloqueios();
+    this.initAuditoria();
+    this.initConfiguracoes();
+    this.initModelo();
+    this.initPropostas();
+    this.initAnalise();
+  }
+
+  // Gráficos de atividade de todos os usuários
+  initAnalise() {
+    const container = document.getElementById('analiseAtividade');
+    if (!container) return;
+
+    this.analise = new AnalyticsDashboard({
+      container,
+      title: 'Atividade de todos os usuários',
+      onPeriodChange: (dias) => this.carregarAnalise(dias),
+      onDownload: () => this.baixarAnalise()
+    });
+    this.carregarAnalise(30);
+  }
+
+  async carregarAnalise(dias) {
+    try {
+      this.dadosAnalise = await AnalyticsService.getAnalytics({ days: dias });
+      this.analise.render(this.dadosAnalise);
+    } catch (err) {
+      Toast.error(err.message || 'Erro ao carregar a análise');
+    }
+  }
+
+  baixarAnalise() {
+    if (!this.dadosAnalise) return;
+    const arquivo = AnalyticsService.buildCSVFile(this.dadosAnalise);
+    ExportService.download(arquivo);
+    Toast.success(`Dados baixados: ${arquivo.filename}`);
+  }
+
+  initCabecalho() {
+    this.aplicarTema(localStorage.getItem('theme') === 'dark');
+    document.getElementById('btnTema')?.addEventListener('click', () => {
+      const escuro = !document.documentElement.classList.contains('dark');
+      localStorage.setItem('theme', escuro ? 'dark' : 'light');
+      this.aplicarTema(escuro);
+    });
+
+    document.getElementById('btnVoltar')?.addEventListener('click', () => {
+      window.location.href = 'ferramenta.html';
+    });
+
+    document.getElementById('btnLogout')?.addEventListener('click', () => {
+      AuthService.logout();
+      AuthService.redirecionarParaLogin();
+    });
+  }
+
+  aplicarTema(escuro) {
+    document.documentElement.classList.toggle('dark', escuro);
+    const icone = document.getElementById('themeIcon');
+    if (icone) icone.textContent = escuro ? '☀️' : '🌙';
+  }
+
+  initTabs() {
+    const botoes = document.querySelectorAll('[data-tab]');
+    botoes.forEach(botao => {
+      botao.addEventListener('click', () => this.alternarTab(botao.dataset.tab));
+    });
+    this.alternarTab('usuarios');
+  }
+
+  alternarTab(tab) {
+    document.querySelectorAll('[data-tab]').forEach(botao => {
+      const ativo = botao.dataset.tab === tab;
+      botao.classList.toggle('active', ativo);
+      botao.classList.toggle('border-blue-500', ativo);
+      botao.classList.toggle('text-blue-600', ativo);
+      botao.classList.toggle('border-transparent', !ativo);
+      botao.classList.toggle('text-gray-500', !ativo);
+      botao.setAttribute('aria-selected', String(ativo));
+    });
+
+    document.querySelectorAll('.tab-content').forEach(conteudo => {
+      conteudo.classList.toggle('hidden', conteudo.id !== `content${tab.charAt(0).toUpperCase()}${tab.slice(1)}`);
+    });
+
+    // Eventos gerados nas outras abas aparecem ao voltar para a auditoria
+    if (tab === 'auditoria') this.renderLogs();
+  }
+
+  // Cadastro de usuários: busca, perfil, criação, edição, desativação e senha.
+  // As permissões são conferidas pelo AuthService em cada operação.
+  initUsuarios() {
+    const lista = document.getElementById('listaUsuarios');
+    this.modalUsuario = document.getElementById('modalNovoUsuario');
+    this.formUsuario = document.getElementById('formNovoUsuario');
+    if (!lista) return;
+
+    document.getElementById('btnNovoUsuario')?.addEventListener('click', () => this.abrirModalUsuario(null));
+    document.getElementById('btnFiltrarUsuarios')?.addEventListener('click', () => this.renderUsuarios());
+    document.getElementById('searchUsuarios')?.addEventListener('input', () => this.renderUsuarios());
+    document.getElementById('filterPerfil')?.addEventListener('change', () => this.renderUsuarios());
+
+    lista.addEventListener('click', (e) => {
+      const botao = e.target.closest('[data-acao]');
+      if (!botao) return;
+      const id = Number(botao.dataset.id);
+      if (botao.dataset.acao === 'editar-usuario') this.abrirModalUsuario(id);
+      if (botao.dataset.acao === 'redefinir-senha') this.redefinirSenha(id);
+      if (botao.dataset.acao === 'desativar-usuario') this.desativarUsuario(id);
+      if (botao.dataset.acao === 'reativar-usuario') this.executarAcaoUsuario(() => AuthService.reativarUsuario(id));
+    });
+
+    this.modalUsuario?.addEventListener('click', (e) => {
+      if (e.target === this.modalUsuario || e.target.closest('[data-acao="fechar-modal"]')) this.fecharModalUsuario();
+    });
+    this.modalUsuario?.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.fecharModalUsuario();
+    });
+    this.formUsuario?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.salvarUsuario();
+    });
+
+    this.renderUsuarios();
+  }
+
+  renderUsuarios() {
+    const lista = document.getElementById('listaUsuarios');
+    if (!lista) return;
+
+    let usuarios;
+    try {
+      usuarios = AuthService.listarUsuarios({
+        busca: document.getElementById('searchUsuarios')?.value || '',
+        perfil: document.getElementById('filterPerfil')?.value || ''
+      });
+    } catch (err) {
+      Toast.error(err.message);
+      return;
+    }
+
+    const total = document.getElementById('totalUsuarios');
+    if (total) total.textContent = AuthService.listarUsuarios().length;
+
+    const atual = AuthService.getCurrentUser();
+    const aviso = this.senhaTemporaria ? `
+      <div class="bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg p-3 text-sm" role="status">
+        Senha temporária de <strong>${HtmlUtils.escapar(this.senhaTemporaria.email)}</strong>:
+        <code class="px-1 bg-white dark:bg-gray-800 rounded select-all">${HtmlUtils.escapar(this.senhaTemporaria.senha)}</code>
+        — copie agora, ela não será exibida novamente.
+      </div>` : '';
+
+    if (usuarios.length === 0) {
+      lista.innerHTML = `${aviso}<p class="text-sm text-gray-500 dark:text-gray-400">Nenhum usuário encontrado.</p>`;
+      return;
+    }
+
+    lista.innerHTML = aviso + usuarios.map(u => `
+      <div class="flex flex-wrap justify-between items-center gap-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4 ${u.ativo ? '' : 'opacity-60'}">
+        <div>
+          <p class="font-medium text-gray-900 dark:text-white">
+            ${HtmlUtils.escapar(u.name || '—')}
+            ${u.id === atual?.id ? '<span class="text-xs text-gray-500 dark:text-gray-400">(você)</span>' : ''}
+          </p>
+          <p class="text-sm text-gray-600 dark:text-gray-400">${HtmlUtils.escapar(u.email)}</p>
+          <p class="mt-1 text-xs">
+            <span class="px-2 py-0.5 rounded-full ${u.role === 'admin' ? 'bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-200' : 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200'}">${u.role === 'admin' ? 'Administrador' : 'Usuário'}</span>
+            ${u.ativo ? '' : '<span class="ml-1 px-2 py-0.5 rounded-full bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200">Desativado</span>'}
+            ${u.limiteDiario !== null && u.role !== 'admin' ? `<span class="ml-1 px-2 py-0.5 rounded-full bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200">${u.limiteDiario} proposta(s)/dia</span>` : ''}
+          </p>
+        </div>
+        <div class="flex flex-wrap gap-2 text-sm">
+          <button data-acao="editar-usuario" data-id="${u.id}" class="px-3 py-1 rounded-lg bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 transition">✏️ Editar</button>
+          <button data-acao="redefinir-senha" data-id="${u.id}" class="px-3 py-1 rounded-lg bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 transition">🔑 Redefinir senha</button>
+          ${u.id === atual?.id ? '' : u.ativo
+            ? `<button data-acao="desativar-usuario" data-id="${u.id}" class="px-3 py-1 rounded-lg bg-red-600 hover:bg-red-700 text-white transition">⛔ Desativar</button>`
+            : `<button data-acao="reativar-usuario" data-id="${u.id}" class="px-3 py-1 rounded-lg bg-green-600 hover:bg-green-700 text-white transition">✅ Reativar</button>`}
+        </div>
+      </div>`).join('');
+  }
+
+  abrirModalUsuario(id) {
+    if (!this.modalUsuario || !this.formUsuario) return;
+
+    const usuario = id ? AuthService.listarUsuarios().find(u => u.id === id) : null;
+    this.formUsuario.reset();
+    document.getElementById('usuarioId').value = usuario?.id ?? '';
+    document.getElementById('novoNome').value = usuario?.name || '';
+    document.getElementById('novoEmail').value = usuario?.email || '';
+    document.getElementById('novoPerfil').value = usuario?.role || 'user';
+    document.getElementById('novoLimiteDiario').value = usuario?.limiteDiario ?? '';
+
+    // Na edição a senha é trocada por "Redefinir senha"
+    const senha = document.getElementById('novaSenha');
+    document.getElementById('campoSenha')?.classList.toggle('hidden', !!usuario);
+    if (senha) senha.required = !usuario;
+
+    document.getElementById('tituloModalUsuario').textContent = usuario ? 'Editar Usuário' : 'Novo Usuário';
+    document.getElementById('btnSalvarUsuario').textContent = usuario ? 'Salvar Alterações' : 'Criar Usuário';
+
+    this.modalUsuario.classList.remove('hidden');
+    document.getElementById('novoNome')?.focus();
+  }
+
+  fecharModalUsuario() {
+    this.modalUsuario?.classList.add('hidden');
+    this.formUsuario?.reset();
+  }
+
+  async salvarUsuario() {
+    const id = document.getElementById('usuarioId').value;
+    const dados = {
+      nome: document.getElementById('novoNome').value,
+      email: document.getElementById('novoEmail').value,
+      senha: document.getElementById('novaSenha').value,
+      perfil: document.getElementById('novoPerfil').value
+    };
+    const limite = document.getElementById('novoLimiteDiario').value.trim();
+
+    await this.executarAcaoUsuario(async () => {
+      let resultado;
+      if (!id) {
+        resultado = await AuthService.criarUsuario(dados);
+      } else {
+        resultado = AuthService.atualizarUsuario(Number(id), dados);
+        if (resultado.success && resultado.usuario.role !== dados.perfil) {
+          resultado = AuthService.alterarPerfil(Number(id), dados.perfil);
+        }
+      }
+      if (!resultado.success) return resultado;
+
+      // Vazio volta ao limite padrão das configurações
+      const cota = AuthService.definirLimiteDiario(resultado.usuario.id, limite === '' ? null : Number(limite));
+      return cota.success ? resultado : cota;
+    }, { fecharModal: true });
+  }
+
+  desativarUsuario(id) {
+    const usuario = AuthService.listarUsuarios().find(u => u.id === id);
+    if (!usuario || !confirm(`Desativar ${usuario.email}? A conta não poderá mais entrar no sistema.`)) return;
+    this.executarAcaoUsuario(() => AuthService.desativarUsuario(id));
+  }
+
+  async redefinirSenha(id) {
+    const usuario = AuthService.listarUsuarios().find(u => u.id === id);
+    if (!usuario || !confirm(`Gerar uma nova senha temporária para ${usuario.email}?`)) return;
+
+    await this.executarAcaoUsuario(async () => {
+      const resultado = await AuthService.redefinirSenha(id);
+      if (resultado.success) this.senhaTemporaria = { email: usuario.email, senha: resultado.senhaTemporaria };
+      return resultado;
+    });
+  }
+
+  // Executa uma operação do AuthService e atualiza a lista
+  async executarAcaoUsuario(operacao, { fecharModal = false } = {}) {
+    this.senhaTemporaria = null;
+    try {
+      const resultado = await operacao();
+      if (!resultado.success) {
+        Toast.warning(resultado.message);
+        return;
+      }
+      Toast.success(resultado.message);
+      if (fecharModal) this.fecharModalUsuario();
+      this.renderUsuarios();
+    } catch (err) {
+      Toast.error(err.message || 'Erro ao atualizar usuário');
+    }
+  }
+
+  // Contas bloqueadas por excesso de tentativas de login
+  initBloqueios() {
+    const lista = document.getElementById('listaBloqueios');
+    if (!lista) return;
+
+    lista.addEventListener('click', (e) => {
+      const botao = e.target.closest('[data-acao="desbloquear"]');
+      if (botao) {
+        this.desbloquearConta(botao.dataset.email);
+      }
+    });
+
+    this.renderBloqueios();
+  }
+
+  renderBloqueios() {
+    const lista = document.getElementById('listaBloqueios');
+    if (!lista) return;
+
+    const bloqueios = AuthService.listarContasBloqueadas();
+    if (bloqueios.length === 0) {
+      lista.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400">Nenhuma conta bloqueada no momento.</p>';
+      return;
+    }
+
+    lista.innerHTML = bloqueios.map(({ email, bloqueadoAte, bloqueios: total }) => `
+      <div class="flex justify-between items-center bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-3">
+        <div>
+          <p class="font-medium text-gray-900 dark:text-white">${HtmlUtils.escapar(email)}</p>
+          <p class="text-xs text-gray-600 dark:text-gray-400">
+            Desbloqueio automático às ${new Date(bloqueadoAte).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })}
+            · ${total} bloqueio(s)
+          </p>
+        </div>
+        <button data-acao="desbloquear" data-email="${HtmlUtils.escapar(email)}" class="bg-green-600 hover:bg-green-700 text-white text-sm px-3 py-1 rounded-lg transition">
+          🔓 Desbloquear
+        </button>
+      </div>
+    `).join('');
+  }
+
+  desbloquearConta(email) {
+    try {
+      const resultado = AuthService.desbloquearConta(email);
+      if (resultado.success) {
+        Toast.success(resultado.message);
+      } else {
+        Toast.warning(resultado.message);
+      }
+      this.renderBloqueios();
+    } catch (err) {
+      Toast.error(err.message || 'Erro ao desbloquear conta');
+    }
+  }
+
+  // Log de auditoria: filtro por tipo e texto, exportação e retenção
+  initAuditoria() {
+    if (!document.getElementById('listaLogs')) return;
+
+    document.getElementById('btnFiltrarLogs')?.addEventListener('click', () => this.renderLogs());
+    document.getElementById('filterTipoLog')?.addEventListener('change', () => this.renderLogs());
+    document.getElementById('searchLogs')?.addEventListener('input', () => this.renderLogs());
+    document.getElementById('btnExportarLogs')?.addEventListener('click', () => this.exportarLogs());
+    document.getElementById('btnLimparLogs')?.addEventListener('click', () => this.limparLogsAntigos());
+
+    this.renderLogs();
+  }
+
+  obterFiltrosLogs() {
+    return {
+      tipo: document.getElementById('filterTipoLog')?.value || '',
+      busca: document.getElementById('searchLogs')?.value.trim() || ''
+    };
+  }
+
+  renderLogs() {
+    const lista = document.getElementById('listaLogs');
+    if (!lista) return;
+
+    let eventos;
+    try {
+      eventos = AuthService.listarAuditoria(this.obterFiltrosLogs());
+    } catch (err) {
+      Toast.error(err.message || 'Erro ao carregar a auditoria');
+      return;
+    }
+
+    const total = document.getElementById('totalLogs');
+    if (total) total.textContent = `${eventos.length} evento(s)`;
+
+    if (eventos.length === 0) {
+      lista.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400">Nenhum evento encontrado.</p>';
+      return;
+    }
+
+    // Exibe os 200 mais recentes; a exportação inclui todos os filtrados
+    lista.innerHTML = eventos.slice(0, 200).map(e => `
+      <div class="flex flex-wrap justify-between gap-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-3 text-sm">
+        <div>
+          <span class="inline-block text-xs px-2 py-0.5 rounded bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300">${HtmlUtils.escapar(AUDIT_TYPES[e.type] || e.type)}</span>
+          <span class="font-medium text-gray-900 dark:text-white">${HtmlUtils.escapar(e.message || e.action)}</span>
+          <p class="text-xs text-gray-500 dark:text-gray-400">${HtmlUtils.escapar(e.action)} · ${HtmlUtils.escapar(e.actor?.email || 'sistema')}</p>
+        </div>
+        <time datetime="${HtmlUtils.escapar(e.timestamp)}" class="text-xs text-gray-500 dark:text-gray-400">${new Date(e.timestamp).toLocaleString('pt-BR')}</time>
+      </div>
+    `).join('');
+  }
+
+  exportarLogs() {
+    try {
+      const formato = document.getElementById('formatoAuditoria')?.value || 'csv';
+      const arquivo = AuthService.exportarAuditoria(formato, this.obterFiltrosLogs());
+      ExportService.download(arquivo);
+      Toast.success(`Logs exportados: ${arquivo.filename}`);
+      this.renderLogs();
+    } catch (err) {
+      Toast.error(err.message || 'Erro ao exportar logs');
+    }
+  }
+
+  limparLogsAntigos() {
+    try {
+      const resultado = AuthService.limparAuditoriaAntiga();
+      Toast.info(resultado.message);
+      this.renderLogs();
+    } catch (err) {
+      Toast.error(err.message || 'Erro ao limpar logs');
+    }
+  }
+
+  // Configurações do sistema, gravadas pelo AuthService (exige administrador)
+  initConfiguracoes() {
+    document.getElementById('btnSalvarConfiguracoes')?.addEventListener('click', () => this.salvarConfiguracoes());
+    document.getElementById('btnResetarConfiguracoes')?.addEventListener('click', () => this.resetarConfiguracoes());
+
+    // Alterações feitas em outra aba aparecem no formulário
+    window.addEventListener('settingsChanged', (e) => this.preencherConfiguracoes(e.detail.settings));
+
+    this.preencherConfiguracoes(AuthService.obterConfiguracoes());
+  }
+
+  preencherConfiguracoes(configuracoes) {
+    Object.entries(CAMPOS_CONFIGURACAO).forEach(([id, chave]) => {
+      const campo = document.getElementById(id);
+      if (!campo) return;
+      const valor = configuracoes[chave];
+      if (campo.type === 'checkbox') {
+        campo.checked = !!valor;
+      } else if (campo.type === 'datetime-local') {
+        campo.value = valor ? this.paraDataHoraLocal(new Date(valor)) : '';
+      } else {
+        campo.value = valor ?? '';
+      }
+    });
+  }
+
+  // Campo numérico ou de data vazio vira null (ex.: retenção sem limite)
+  lerConfiguracoes() {
+    const valores = {};
+    Object.entries(CAMPOS_CONFIGURACAO).forEach(([id, chave]) => {
+      const campo = document.getElementById(id);
+      if (!campo) return;
+      const valor = campo.value.trim();
+      if (campo.type === 'checkbox') {
+        valores[chave] = campo.checked;
+      } else if (campo.type === 'textarea') {
+        valores[chave] = valor;
+      } else if (campo.type === 'datetime-local') {
+        valores[chave] = valor ? new Date(valor).toISOString() : null;
+      } else {
+        valores[chave] = valor === '' ? null : Number(valor);
+      }
+    });
+    return valores;
+  }
+
+  // Formato aceito por <input type="datetime-local">, no fuso do navegador
+  paraDataHoraLocal(data) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${data.getFullYear()}-${pad(data.getMonth() + 1)}-${pad(data.getDate())}T${pad(data.getHours())}:${pad(data.getMinutes())}`;
+  }
+
+  salvarConfiguracoes() {
+    const valores = this.lerConfiguracoes();
+    const atuais = AuthService.obterConfiguracoes();
+
+    // Reduzir a retenção apaga propostas: pedir confirmação
+    const retencao = valores.retentionDays;
+    if (retencao !== null && retencao !== undefined && (atuais.retentionDays === null || retencao < atuais.retentionDays)
+      && !confirm(`Propostas com mais de ${retencao} dias serão removidas do histórico. Continuar?`)) {
+      return;
+    }
+
+    if (valores.maintenanceMode && !atuais.maintenanceMode
+      && !confirm('Ativar o modo manutenção? Usuários comuns serão desconectados e só administradores terão acesso.')) {
+      return;
+    }
+
+    this.aplicarConfiguracoes(() => AuthService.salvarConfiguracoes(valores));
+  }
+
+  resetarConfiguracoes() {
+    if (!confirm('Restaurar todas as configurações para o padrão?')) return;
+    this.aplicarConfiguracoes(() => AuthService.resetarConfiguracoes());
+  }
+
+  aplicarConfiguracoes(operacao) {
+    const erro = document.getElementById('erroConfiguracoes');
+    try {
+      const resultado = operacao();
+      if (erro) erro.textContent = resultado.success ? '' : resultado.message;
+      if (resultado.success) {
+        this.preencherConfiguracoes(resultado.settings);
+        Toast.success(resultado.message);
+      } else {
+        Toast.warning(resultado.message);
+      }
+    } catch (err) {
+      Toast.error(err.message || 'Erro ao salvar configurações');
+    }
+  }
+
+  // Provedor de modelo de IA (LLMService), gravado pelo AuthService
+  initModelo() {
+    const provedor = document.getElementById('provedorModelo');
+    if (!provedor) return;
+
+    document.getElementById('btnSalvarModelo')?.addEventListener('click', () => this.salvarModelo());
+    document.getElementById('btnTestarModelo')?.addEventListener('click', () => this.testarModelo());
+
+    const configuracao = AuthService.obterConfiguracaoModelo();
+    // Provedores registrados com LLMService.registerProvider() também aparecem
+    configuracao.provedores
+      .filter(nome => !provedor.querySelector(`option[value="${nome}"]`))
+      .forEach(nome => provedor.add(new Option(nome, nome)));
+
+    this.preencherModelo(configuracao);
+  }
+
+  preencherModelo(configuracao) {
+    document.getElementById('provedorModelo').value = configuracao.provider;
+    document.getElementById('urlModelo').value = configuracao.baseUrl;
+    document.getElementById('nomeModelo').value = configuracao.model;
+    document.getElementById('temperaturaModelo').value = configuracao.temperature;
+    document.getElementById('maxTokensModelo').value = configuracao.maxTokens;
+    document.getElementById('tempoLimiteModelo').value = Math.round(configuracao.timeoutMs / 1000);
+    document.getElementById('chaveApiModelo').value = '';
+    document.getElementById('chaveApiModelo').placeholder = configuracao.temChaveApi ? '•••••••• (salva)' : 'Opcional para Ollama';
+    document.getElementById('removerChaveModelo').checked = false;
+  }
+
+  // Chave vazia não altera a salva; "Remover chave" envia '' para apagá-la
+  lerModelo() {
+    const valores = {
+      provider: document.getElementById('provedorModelo').value,
+      baseUrl: document.getElementById('urlModelo').value.trim(),
+      model: document.getElementById('nomeModelo').value.trim(),
+      temperature: Number(document.getElementById('temperaturaModelo').value),
+      maxTokens: Number(document.getElementById('maxTokensModelo').value),
+      timeoutMs: Number(document.getElementById('tempoLimiteModelo').value) * 1000
+    };
+
+    const chave = document.getElementById('chaveApiModelo').value.trim();
+    if (document.getElementById('removerChaveModelo').checked) {
+      valores.apiKey = '';
+    } else if (chave) {
+      valores.apiKey = chave;
+    }
+    return valores;
+  }
+
+  async salvarModelo() {
+    const erro = document.getElementById('erroModelo');
+    try {
+      const resultado = await AuthService.salvarConfiguracaoModelo(this.lerModelo());
+      if (erro) erro.textContent = resultado.success ? '' : resultado.message;
+      if (resultado.success) {
+        this.preencherModelo(AuthService.obterConfiguracaoModelo());
+        Toast.success(resultado.message);
+      } else {
+        Toast.warning(resultado.message);
+      }
+    } catch (err) {
+      Toast.error(err.message || 'Erro ao salvar configuração do modelo');
+    }
+  }
+
+  // Testa a configuração já salva
+  async testarModelo() {
+    const botao = document.getElementById('btnTestarModelo');
+    const erro = document.getElementById('erroModelo');
+    if (botao) botao.disabled = true;
+    try {
+      const resultado = await AuthService.testarConfiguracaoModelo();
+      if (erro) erro.textContent = resultado.success ? '' : resultado.message;
+      if (resultado.success) {
+        Toast.success(resultado.message);
+      } else {
+        Toast.error(resultado.message);
+      }
+    } catch (err) {
+      Toast.error(err.message || 'Erro ao testar o modelo');
+    } finally {
+      if (botao) botao.disabled = false;
+    }
+  }
+
+  // Busca em todas as propostas com texto, período e facetas
+  initPropostas() {
+    const lista = document.getElementById('listaPropostas');
+    if (!lista) return;
+
+    this.facetasPropostas = new FacetChips({
+      container: document.getElementById('facetasPropostas'),
+      onChange: () => this.filtrarPropostas()
+    });
+
+    document.getElementById('btnFiltrarPropostas')?.addEventListener('click', () => this.filtrarPropostas());
+    document.getElementById('searchPropostas')?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.filtrarPropostas();
+    });
+    ['dataInicio', 'dataFim'].forEach(id => {
+      document.getElementById(id)?.addEventListener('change', () => this.filtrarPropostas());
+    });
+
+    const formato = document.getElementById('formatoExportacao');
+    if (formato) {
+      formato.innerHTML = ExportService.getFormats()
+        .map(({ format, label }) => `<option value="${format}">${label}</option>`)
+        .join('');
+      formato.value = 'json';
+    }
+    document.getElementById('btnExportarPropostas')?.addEventListener('click', () => this.exportarPropostas());
+    document.getElementById('btnLimparAntigas')?.addEventListener('click', () => this.limparPropostasAntigas());
+
+    this.filtrarPropostas();
+  }
+
+  // Texto, período e facetas selecionados na aba Propostas
+  obterFiltrosPropostas() {
+    const from = document.getElementById('dataInicio')?.value || '';
+    const to = document.getElementById('dataFim')?.value || '';
+    if (from && to && from > to) {
+      Toast.warning('A data inicial deve ser anterior à data final');
+      return null;
+    }
+
+    return {
+      query: document.getElementById('searchPropostas')?.value.trim() || '',
+      from,
+      to,
+      ...this.facetasPropostas.selected
+    };
+  }
+
+  async filtrarPropostas() {
+    const lista = document.getElementById('listaPropostas');
+    const filtros = this.obterFiltrosPropostas();
+    if (!lista || !filtros) return;
+
+    try {
+      const { results, total, facets } = await PropostaService.searchHistorico({ ...filtros, limit: 100 });
+      this.facetasPropostas.render(facets);
+      this.renderPropostas(results, total);
+    } catch (err) {
+      Toast.error(err.message || 'Erro ao buscar propostas');
+    }
+  }
+
+  // Exporta em ZIP todas as propostas do filtro atual, não só as exibidas
+  async exportarPropostas() {
+    const filtros = this.obterFiltrosPropostas();
+    if (!filtros) return;
+
+    const resultado = await PropostaService.exportHistorico({
+      ...filtros,
+      format: document.getElementById('formatoExportacao')?.value || 'json'
+    });
+
+    if (resultado.success) {
+      Toast.success(resultado.message);
+    } else {
+      Toast.warning(resultado.message);
+    }
+  }
+
+  // Aplica agora a retenção configurada, sem esperar a próxima gravação no histórico
+  async limparPropostasAntigas() {
+    const { retentionDays, historyMaxItemsPerUser } = AuthService.obterConfiguracoes();
+    const regra = retentionDays
+      ? `com mais de ${retentionDays} dias ou além das ${historyMaxItemsPerUser} mais recentes de cada usuário`
+      : `além das ${historyMaxItemsPerUser} mais recentes de cada usuário`;
+    if (!confirm(`Remover as propostas ${regra}?`)) return;
+
+    try {
+      const resultado = await AuthService.aplicarRetencaoHistorico();
+      Toast.success(resultado.message);
+      this.filtrarPropostas();
+    } catch (err) {
+      Toast.error(err.message || 'Erro ao limpar propostas antigas');
+    }
+  }
+
+  renderPropostas(resultados, total) {
+    const lista = document.getElementById('listaPropostas');
+    if (resultados.length === 0) {
+      lista.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400">Nenhuma proposta encontrada.</p>';
+      return;
+    }
+
+    const nomes = Object.fromEntries(AuthService.obterUsuarios().map(u => [u.id, u.name || u.email]));
+
+    lista.innerHTML = `
+      <p class="text-sm text-gray-600 dark:text-gray-400">
+        ${total} proposta(s) encontrada(s)${total > resultados.length ? ` · exibindo ${resultados.length}` : ''}
+      </p>
+      ${resultados.map(({ proposta: p, score }) => `
+      <div class="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4">
+        <div class="flex justify-between items-start">
+          <div>
+            <p class="font-medium text-gray-900 dark:text-white">${HtmlUtils.escapar(p.tema)}</p>
+            <p class="text-sm text-gray-600 dark:text-gray-400">${HtmlUtils.escapar(p.objetivo)}</p>
+          </div>
+          ${score > 0 ? `<span class="text-xs text-gray-500 dark:text-gray-400" title="Relevância">★ ${score}</span>` : ''}
+        </div>
+        <p class="mt-2 text-xs text-gray-500 dark:text-gray-400">
+          ${HtmlUtils.escapar(nomes[p.userId] || p.userId)} · ${HtmlUtils.escapar(p.tipo)}${p.tom ? ` · ${HtmlUtils.escapar(p.tom)}` : ''}
+          · ${new Date(p.createdAt).toLocaleString('pt-BR')}
+        </p>
+      </div>`).join('')}`;
+  }
+}
+
+const adminController = new AdminController();
+export default adminController;
@@ -0,0 +1,182 @@
+// boasVindasController.js - Controller da página de boas-vindas
+import { AuthService, PropostaService, AnalyticsService, ExportService } from '../services/index.js';
+import { Toast } from '../core/index.js';
+import AnalyticsDashboard from '../ui/analyticsDashboard.js';
+
+const CONTADOR_INICIAL = 10;
+
+const DICAS = [
+  'Use nomes específicos para seus clientes para propostas mais personalizadas.',
+  'Mantenha descrições de serviços claras e objetivas para melhor comunicação.',
+  'Consulte seu histórico regularmente para acompanhar seu progresso.',
+  'Exporte suas propostas para ter backups importantes.',
+  'Use a função de copiar para agilizar o envio de propostas.',
+  'Organize suas propostas por cliente para facilitar o acompanhamento.',
+  'Revise sempre suas propostas antes de enviar aos clientes.'
+];
+
+class BoasVindasController {
+  constructor() {
+    this.contadorAtual = CONTADOR_INICIAL;
+    this.timerRedirecionamento = null;
+
+    document.addEventListener('DOMContentLoaded', () => {
+      this.init();
+    });
+  }
+
+  async init() {
+    if (!document.getElementById('saudacaoPersonalizada')) return;
+    if (!(await AuthService.iniciar())) return;
+
+    const usuario = AuthService.getCurrentUser();
+    if (!AuthService.verificarLogin() || usuario?.id === undefined) {
+      AuthService.redirecionarParaLogin();
+      return;
+    }
+
+    this.configurarInterface(usuario);
+    this.configurarEventos();
+    this.iniciarContadorRegressivo();
+    this.mostrarDicaDoDia();
+    await this.carregarEstatisticas(usuario);
+    await this.initAnalise(usuario);
+  }
+
+  async initAnalise(usuario) {
+    this.analise = new AnalyticsDashboard({
+      container: document.getElementById('analiseAtividade'),
+      title: 'Sua atividade',
+      onPeriodChange: (dias) => this.carregarAnalise(usuario, dias),
+      onDownload: () => this.baixarAnalise()
+    });
+    await this.carregarAnalise(usuario, 30);
+  }
+
+  async carregarAnalise(usuario, dias) {
+    try {
+      this.dadosAnalise = await AnalyticsService.getAnalytics({ userId: usuario.id, days: dias });
+      this.analise.render(this.dadosAnalise);
+    } catch (error) {
+      console.warn('⚠️ Erro ao carregar análise:', error);
+    }
+  }
+
+  baixarAnalise() {
+    if (!this.dadosAnalise) return;
+    ExportService.download(AnalyticsService.buildCSVFile(this.dadosAnalise));
+  }
+
+  configurarInterface(usuario) {
+    const nome = usuario.name || usuario.email;
+    document.getElementById('nomeUsuario').textContent = nome;
+    document.getElementById('saudacaoPersonalizada').textContent = `Olá, ${nome}! 👋`;
+
+    if (AuthService.isAdmin()) {
+      document.getElementById('recursoAdmin')?.classList.remove('hidden');
+      document.getElementById('btnPainelAdmin')?.classList.remove('hidden');
+    }
+  }
+
+  async carregarEstatisticas(usuario) {
+    try {
+      const stats = await PropostaService.getUserStats(usuario.id);
+      this.atualizarEstatisticas(stats);
+    } catch (error) {
+      console.warn('⚠️ Erro ao carregar estatísticas:', error);
+      this.atualizarEstatisticas(null);
+    }
+  }
+
+  atualizarEstatisticas(stats) {
+    const valores = {
+      totalPropostas: stats?.total,
+      clientesUnicos: stats?.uniqueClients,
+      esteMes: stats?.thisMonth,
+      mediasDias: stats?.avgPerDay?.toLocaleString('pt-BR', { maximumFractionDigits: 1 })
+    };
+
+    Object.entries(valores).forEach(([id, valor]) => {
+      const elemento = document.getElementById(id);
+      if (elemento) elemento.textContent = valor ?? '--';
+    });
+
+    const tendencia = document.getElementById('tendenciaSemanal');
+    if (tendencia) {
+      tendencia.textContent = stats ? this.descreverTendencia(stats.weekTrend) : '';
+      tendencia.dataset.direcao = stats?.weekTrend.direction || '';
+    }
+  }
+
+  // Ex.: "▲ 50% em relação à semana anterior (3 vs. 2)"
+  descreverTendencia({ thisWeek, lastWeek, change, direction }) {
+    if (thisWeek === 0 && lastWeek === 0) {
+      return 'Nenhuma proposta nas últimas duas semanas';
+    }
+    if (change === null) {
+      return `▲ ${thisWeek} proposta(s) nos últimos 7 dias (nenhuma na semana anterior)`;
+    }
+
+    const seta = direction === 'up' ? '▲' : direction === 'down' ? '▼' : '■';
+    const percentual = direction === 'flat' ? 'Estável' : `${seta} ${Math.abs(change)}%`;
+    return `${percentual} em relação à semana anterior (${thisWeek} vs. ${lastWeek})`;
+  }
+
+  configurarEventos() {
+    const irParaFerramenta = () => {
+      this.pararContador();
+      this.irParaFerramenta();
+    };
+
+    ['btnContinuar', 'btnIniciar', 'btnNovaPropostaRapida', 'btnVerHistorico'].forEach(id => {
+      document.getElementById(id)?.addEventListener('click', irParaFerramenta);
+    });
+
+    document.getElementById('btnPainelAdmin')?.addEventListener('click', () => {
+      this.pararContador();
+      window.location.href = 'admin.html';
+    });
+
+    // Parar contador ao interagir com a página
+    document.addEventListener('click', () => this.pararContador());
+    document.addEventListener('keydown', () => this.pararContador());
+  }
+
+  iniciarContadorRegressivo() {
+    this.timerRedirecionamento = setInterval(() => {
+      this.contadorAtual--;
+      document.getElementById('contador').textContent = this.contadorAtual;
+
+      const progresso = ((CONTADOR_INICIAL - this.contadorAtual) / CONTADOR_INICIAL) * 100;
+      document.getElementById('barraProgresso').style.width = `${progresso}%`;
+
+      if (this.contadorAtual <= 0) {
+        this.pararContador();
+        this.irParaFerramenta();
+      }
+    }, 1000);
+  }
+
+  pararContador() {
+    if (!this.timerRedirecionamento) return;
+
+    clearInterval(this.timerRedirecionamento);
+    this.timerRedirecionamento = null;
+    document.getElementById('indicadorRedirecionamento')?.classList.add('hidden');
+  }
+
+  irParaFerramenta() {
+    Toast.sucesso('Redirecionando para a ferramenta...', { duration: 2000 });
+    setTimeout(() => {
+      window.location.href = 'ferramenta.html';
+    }, 500);
+  }
+
+  mostrarDicaDoDia() {
+    const dica = DICAS[Math.floor(Math.random() * DICAS.length)];
+    document.getElementById('dicaDoDia').textContent = dica;
+  }
+}
+
+const boasVindasController = new BoasVindasController();
+export default boasVindasController;
@@ -0,0 +1,189 @@
+// clienteController.js - Controller do cadastro de clientes
+import { AuthService, ClientService } from '../services/index.js';
+import { Toast, HtmlUtils } from '../core/index.js';
+
+class ClienteController {
+  constructor() {
+    document.addEventListener('DOMContentLoaded', () => {
+      this.init();
+    });
+  }
+
+  async init() {
+    if (!(await AuthService.iniciar())) return;
+    if (!AuthService.verificarLogin()) {
+      AuthService.redirecionarParaLogin();
+      return;
+    }
+
+    this.form = document.getElementById('formCliente');
+    this.lista = document.getElementById('listaClientes');
+    this.busca = document.getElementById('buscaClientes');
+    if (!this.form || !this.lista) return;
+
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.salvar();
+    });
+    this.form.addEventListener('reset', () => {
+      setTimeout(() => this.editar(null), 0);
+    });
+    this.form.clienteDocumento.addEventListener('blur', () => {
+      const campo = this.form.clienteDocumento;
+      campo.value = ClientService.formatDocumento(campo.value) || campo.value;
+    });
+
+    this.busca?.addEventListener('input', () => this.renderLista());
+
+    this.lista.addEventListener('click', (e) => {
+      const botao = e.target.closest('[data-acao]');
+      if (!botao) return;
+      const { acao, id } = botao.dataset;
+      if (acao === 'editar') this.editar(id);
+      if (acao === 'excluir') this.excluir(id);
+    });
+
+    this.renderLista();
+
+    // ?id=cli_... abre direto o cliente
+    const id = new URLSearchParams(window.location.search).get('id');
+    if (id) this.editar(id);
+  }
+
+  lerFormulario() {
+    return {
+      nome: this.form.clienteNome.value,
+      empresa: this.form.clienteEmpresa.value,
+      email: this.form.clienteEmail.value,
+      telefone: this.form.clienteTelefone.value,
+      documento: this.form.clienteDocumento.value,
+      observacoes: this.form.clienteObservacoes.value
+    };
+  }
+
+  salvar() {
+    const id = this.form.clienteId.value;
+    const dados = this.lerFormulario();
+
+    const validacao = ClientService.validateClient(ClientService.normalizeClient(dados), { id: id || null });
+    this.exibirErros(validacao.errors);
+    if (!validacao.isValid) return;
+
+    const resultado = id
+      ? ClientService.updateClient(id, dados)
+      : ClientService.createClient(dados);
+
+    if (!resultado.success) {
+      Toast.error(resultado.message);
+      return;
+    }
+
+    Toast.success(resultado.message);
+    this.renderLista();
+    this.editar(resultado.client.id);
+  }
+
+  exibirErros(erros) {
+    const lista = document.getElementById('errosCliente');
+    if (!lista) return;
+    lista.innerHTML = erros.map(erro => `<li>${HtmlUtils.escapar(erro)}</li>`).join('');
+    lista.classList.toggle('hidden', erros.length === 0);
+  }
+
+  editar(id) {
+    const cliente = id ? ClientService.getClientById(id) : null;
+
+    this.form.clienteId.value = cliente?.id || '';
+    this.form.clienteNome.value = cliente?.nome || '';
+    this.form.clienteEmpresa.value = cliente?.empresa || '';
+    this.form.clienteEmail.value = cliente?.email || '';
+    this.form.clienteTelefone.value = cliente?.telefone || '';
+    this.form.clienteDocumento.value = ClientService.formatDocumento(cliente?.documento);
+    this.form.clienteObservacoes.value = cliente?.observacoes || '';
+    this.exibirErros([]);
+
+    const titulo = document.getElementById('tituloCliente');
+    if (titulo) {
+      titulo.textContent = cliente ? 'Editar Cliente' : 'Novo Cliente';
+    }
+
+    this.renderPropostas(cliente);
+  }
+
+  excluir(id) {
+    const cliente = ClientService.getClientById(id);
+    if (!cliente || !confirm(`Excluir o cliente "${cliente.nome}"? As propostas continuam no histórico.`)) return;
+
+    const resultado = ClientService.deleteClient(id);
+    if (!resultado.success) {
+      Toast.error(resultado.message);
+      return;
+    }
+    Toast.success(resultado.message);
+    if (this.form.clienteId.value === id) this.editar(null);
+    this.renderLista();
+  }
+
+  // Detalhe do cliente: todas as propostas vinculadas a ele
+  async renderPropostas(cliente) {
+    const container = document.getElementById('propostasCliente');
+    if (!container) return;
+
+    if (!cliente) {
+      container.innerHTML = '';
+      container.classList.add('hidden');
+      return;
+    }
+
+    const propostas = await ClientService.getClientPropostas(cliente.id);
+    // O usuário pode ter trocado de cliente enquanto a consulta rodava
+    if (this.form.clienteId.value !== cliente.id) return;
+
+    container.innerHTML = `
+      <h3 class="text-sm font-medium mb-2">
+        Propostas enviadas
+        <span class="font-normal text-gray-500 dark:text-gray-400">(${propostas.length})</span>
+      </h3>
+      ${propostas.length === 0
+        ? '<p class="text-sm text-gray-500 dark:text-gray-400">Nenhuma proposta para este cliente ainda.</p>'
+        : `<ul class="divide-y divide-gray-200 dark:divide-gray-700">
+            ${propostas.map(p => `
+              <li class="py-2">
+                <p class="text-sm font-medium">${HtmlUtils.escapar(p.tema)}</p>
+                <p class="text-xs text-gray-500 dark:text-gray-400">
+                  ${new Date(p.createdAt).toLocaleString('pt-BR')} · ${HtmlUtils.escapar(p.template || 'Sem template')} · v${p.currentVersion || 1}${p.resposta?.editada ? ' · editada' : ''}
+                </p>
+              </li>`).join('')}
+          </ul>`}`;
+    container.classList.remove('hidden');
+  }
+
+  renderLista() {
+    const termo = this.busca?.value || '';
+    const clientes = termo.trim()
+      ? ClientService.searchClients(termo, { limit: Infinity })
+      : ClientService.getClients();
+
+    if (clientes.length === 0) {
+      this.lista.innerHTML = `<li class="text-sm text-gray-500 dark:text-gray-400">${termo.trim() ? 'Nenhum cliente encontrado.' : 'Nenhum cliente cadastrado ainda.'}</li>`;
+      return;
+    }
+
+    this.lista.innerHTML = clientes.map(c => `
+      <li class="p-3 border border-gray-200 dark:border-gray-700 rounded-lg">
+        <div class="flex justify-between items-start">
+          <div>
+            <p class="font-medium">${HtmlUtils.escapar(c.nome)}</p>
+            <p class="text-xs text-gray-500 dark:text-gray-400">${HtmlUtils.escapar([c.empresa, ClientService.formatDocumento(c.documento)].filter(Boolean).join(' · ') || '—')}</p>
+          </div>
+          <div class="flex space-x-1 text-sm">
+            <button data-acao="editar" data-id="${c.id}" title="Ver e editar">✏️</button>
+            <button data-acao="excluir" data-id="${c.id}" title="Excluir">🗑️</button>
+          </div>
+        </div>
+      </li>`).join('');
+  }
+}
+
+const clienteController = new ClienteController();
+export default clienteController;
@@ -0,0 +1,593 @@
+// ferramentaController.js - Controller da página de geração de propostas
+import { AuthService, PropostaService, ExportService, ImportService, ClientService } from '../services/index.js';
+import { Toast, DraftStore, HtmlUtils } from '../core/index.js';
+import StreamingOutput from '../ui/streamingOutput.js';
+import FacetChips from '../ui/facetChips.js';
+import ImportPreview from '../ui/importPreview.js';
+import VersionHistory from '../ui/versionHistory.js';
+import EditableResult from '../ui/editableResult.js';
+import Autocomplete from '../ui/autocomplete.js';
+
+class FerramentaController {
+  constructor() {
+    document.addEventListener('DOMContentLoaded', () => {
+      this.init();
+    });
+  }
+
+  async init() {
+    // Sem isso, o redirecionamento para o login disputaria com o da manutenção
+    if (!(await AuthService.iniciar())) return;
+    if (!AuthService.verificarLogin()) {
+      AuthService.redirecionarParaLogin();
+      return;
+    }
+
+    this.form = document.getElementById('formFerramenta');
+    this.resultado = document.getElementById('resultado');
+    this.historico = document.getElementById('historicoPropostas');
+    if (!this.form) return;
+
+    this.output = new StreamingOutput({
+      target: document.getElementById('textoProposta'),
+      stopButton: document.getElementById('btnPararGeracao')
+    });
+
+    // Depois da geração o resultado vira editável, com salvamento automático
+    this.editor = new EditableResult({
+      container: document.getElementById('editorProposta'),
+      label: 'Proposta gerada (editável)',
+      onSave: (texto, opcoes) => this.salvarEdicao(texto, opcoes),
+      onReset: () => this.restaurarGerado()
+    });
+
+    this.initHeader();
+    this.atualizarCota();
+    this.initRascunho();
+
+    this.form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      await this.gerar();
+    });
+
+    this.historico?.addEventListener('click', async (e) => {
+      if (e.target.closest('[data-acao="carregar-mais"]')) {
+        await this.renderHistorico({ append: true });
+        return;
+      }
+      const item = e.target.closest('[data-proposta-id]');
+      if (!item) return;
+      await this.editor.flush();
+      this.exibir(await PropostaService.getPropostaById(item.dataset.propostaId));
+    });
+
+    this.initBusca();
+    this.initCliente();
+    this.initExportacao();
+    this.initImportacao();
+    this.initVersoes();
+    this.atualizarHistorico();
+  }
+
+  // Sugestões do cadastro; digitar outro nome desfaz o vínculo com o cliente escolhido
+  initCliente() {
+    const campo = document.getElementById('cliente');
+    const clienteId = document.getElementById('clienteId');
+    if (!campo || !clienteId) return;
+
+    campo.addEventListener('input', () => {
+      clienteId.value = '';
+    });
+
+    this.autocompleteCliente = new Autocomplete({
+      input: campo,
+      source: (texto) => ClientService.searchClients(texto),
+      getLabel: (cliente) => cliente.nome,
+      getDetail: (cliente) => [cliente.empresa, ClientService.formatDocumento(cliente.documento)].filter(Boolean).join(' · '),
+      onSelect: (cliente) => {
+        clienteId.value = cliente.id;
+        this.validarCampo('cliente', cliente.nome, 2, '');
+      }
+    });
+  }
+
+  initExportacao() {
+    const opcoes = ExportService.getFormats()
+      .map(({ format, label }) => `<option value="${format}">${label}</option>`)
+      .join('');
+
+    ['formatoProposta', 'formatoHistorico'].forEach(id => {
+      const select = document.getElementById(id);
+      if (select) {
+        select.innerHTML = opcoes;
+        select.value = id === 'formatoProposta' ? 'pdf' : 'md';
+      }
+    });
+
+    document.getElementById('btnExportarProposta')?.addEventListener('click', () => this.exportarProposta());
+    document.getElementById('btnExportarHistorico')?.addEventListener('click', () => this.exportarHistorico());
+  }
+
+  async exportarProposta() {
+    if (!this.propostaAtual) return;
+
+    // Edições ainda não salvas também entram no arquivo
+    await this.editor.flush();
+    try {
+      const formato = document.getElementById('formatoProposta')?.value || 'pdf';
+      const arquivo = PropostaService.exportProposta(this.propostaAtual, formato);
+      Toast.success(`Proposta exportada: ${arquivo.filename}`);
+    } catch (err) {
+      Toast.error(err.message || 'Erro ao exportar proposta');
+    }
+  }
+
+  // Exporta as propostas que atendem à busca e às facetas atuais
+  async exportarHistorico() {
+    const usuario = AuthService.getCurrentUser();
+    const resultado = await PropostaService.exportHistorico({
+      userId: usuario?.id,
+      query: this.busca?.value.trim() || '',
+      ...this.facetas.selected,
+      format: document.getElementById('formatoHistorico')?.value || 'md'
+    });
+
+    if (resultado.success) {
+      Toast.success(resultado.message);
+    } else {
+      Toast.warning(resultado.message);
+    }
+  }
+
+  // Importação em duas etapas: prévia (dry-run) e confirmação
+  initImportacao() {
+    const input = document.getElementById('arquivoImportacao');
+    this.previewImportacao = new ImportPreview({
+      container: document.getElementById('previewImportacao'),
+      onModeChange: (modo) => this.previsualizarImportacao(modo),
+      onConfirm: (plano) => this.confirmarImportacao(plano),
+      onCancel: () => this.previewImportacao.clear()
+    });
+
+    input?.addEventListener('change', async () => {
+      if (!input.files.length) return;
+      this.importacao = await ImportService.readFiles(input.files);
+      input.value = '';
+      await this.previsualizarImportacao('merge');
+    });
+  }
+
+  async previsualizarImportacao(modo) {
+    const { entries, errors } = this.importacao;
+    if (!entries.length) {
+      this.previewImportacao.clear();
+      Toast.error(errors[0] ? `${errors[0].source}: ${errors[0].message}` : 'Nenhum item encontrado nos arquivos');
+      return;
+    }
+
+    try {
+      this.previewImportacao.render(await ImportService.preview(entries, { mode: modo }), errors);
+    } catch (err) {
+      Toast.error(err.message || 'Erro ao analisar a importação');
+    }
+  }
+
+  async confirmarImportacao(plano) {
+    const resultado = await ImportService.apply(plano);
+    this.previewImportacao.clear();
+    this.importacao = null;
+
+    if (resultado.success) {
+      Toast.success(`Importação concluída: ${resultado.message}`);
+    } else {
+      Toast.error(resultado.message);
+    }
+    await this.atualizarHistorico();
+  }
+
+  // Regenerar, editar, trocar template e navegar pelas versões da proposta exibida
+  initVersoes() {
+    this.versoes = new VersionHistory({
+      container: document.getElementById('versoesProposta'),
+      onCompare: (de, para) => this.renderVersoes(de, para),
+      onRestore: (versao) => this.restaurarVersao(versao)
+    });
+
+    const templates = document.getElementById('templateProposta');
+    if (templates) {
+      templates.innerHTML = PropostaService.getTemplates()
+        .map(t => `<option value="${HtmlUtils.escapar(t.id)}">${HtmlUtils.escapar(t.name)}</option>`)
+        .join('');
+    }
+
+    document.getElementById('btnRegenerar')?.addEventListener('click', () => this.regenerar());
+    document.getElementById('btnTrocarTemplate')?.addEventListener('click', () => this.trocarTemplate());
+    document.getElementById('btnVersoes')?.addEventListener('click', (e) => {
+      const aberto = e.currentTarget.getAttribute('aria-expanded') === 'true';
+      e.currentTarget.setAttribute('aria-expanded', String(!aberto));
+      if (aberto) {
+        this.versoes.clear();
+      } else {
+        this.renderVersoes();
+      }
+    });
+  }
+
+  // Sem versões escolhidas, compara a anterior com a atual
+  renderVersoes(de = null, para = null) {
+    if (!this.propostaAtual) return;
+
+    const versions = PropostaService.getVersions(this.propostaAtual);
+    const atual = this.propostaAtual.currentVersion || 1;
+    const anterior = versions.length > 1 ? versions[versions.length - 2].version : atual;
+
+    try {
+      const diff = PropostaService.compareVersions(this.propostaAtual, de ?? anterior, para ?? atual);
+      this.versoes.render({ versions, current: atual, diff });
+    } catch (err) {
+      Toast.error(err.message);
+    }
+  }
+
+  versoesAbertas() {
+    return document.getElementById('btnVersoes')?.getAttribute('aria-expanded') === 'true';
+  }
+
+  // Exibe a nova versão e mantém o painel de versões sincronizado
+  aplicarVersao(resultado) {
+    if (!resultado.success) {
+      Toast.error(resultado.message);
+      return;
+    }
+
+    this.exibir(resultado.proposta);
+    if (resultado.unchanged) {
+      Toast.info(resultado.message);
+      return;
+    }
+    Toast.success(resultado.message);
+    this.atualizarHistorico();
+  }
+
+  async regenerar() {
+    if (!this.propostaAtual || this.output.isStreaming) return;
+
+    await this.editor.flush();
+    this.prepararTransmissao();
+    const signal = this.output.start();
+
+    try {
+      const resultado = await PropostaService.regenerateProposta(this.propostaAtual.id, {
+        signal,
+        onChunk: (delta) => this.output.append(delta)
+      });
+      this.output.finish();
+      if (resultado.quota) this.atualizarCota(resultado.quota);
+      if (resultado.limitReached) {
+        this.exibir(this.propostaAtual);
+        Toast.warning(resultado.message);
+        return;
+      }
+      if (!resultado.success) this.exibir(this.propostaAtual);
+      this.aplicarVersao(resultado);
+    } catch (err) {
+      this.output.finish();
+      this.exibir(this.propostaAtual);
+      Toast.error(err.message || 'Erro ao regenerar proposta');
+    }
+  }
+
+  async trocarTemplate() {
+    const templateId = document.getElementById('templateProposta')?.value;
+    if (!this.propostaAtual || !templateId) return;
+
+    await this.editor.flush();
+    this.aplicarVersao(await PropostaService.changePropostaTemplate(this.propostaAtual.id, templateId));
+  }
+
+  // Chamado pelo editor após uma pausa na digitação
+  async salvarEdicao(texto, { amend }) {
+    if (!this.propostaAtual) return false;
+
+    const resultado = await PropostaService.editProposta(this.propostaAtual.id, { [this.campoEditado]: texto }, { amend });
+    if (!resultado.success) {
+      Toast.error(resultado.message);
+      return false;
+    }
+
+    this.propostaAtual = resultado.proposta;
+    if (this.versoesAbertas()) this.renderVersoes();
+    if (!amend) this.atualizarHistorico();
+    return true;
+  }
+
+  async restaurarGerado() {
+    if (!this.propostaAtual) return;
+    this.aplicarVersao(await PropostaService.resetToGenerated(this.propostaAtual.id));
+  }
+
+  // Durante a transmissão o texto chega em #textoProposta; o editor fica oculto
+  prepararTransmissao() {
+    document.getElementById('exportacaoProposta')?.classList.add('hidden');
+    document.getElementById('acoesProposta')?.classList.add('hidden');
+    document.getElementById('editorProposta')?.classList.add('hidden');
+    document.getElementById('textoProposta')?.classList.remove('hidden');
+  }
+
+  async restaurarVersao(versao) {
+    if (!this.propostaAtual || !confirm(`Restaurar a versão ${versao}? Ela será copiada como uma nova versão.`)) return;
+
+    await this.editor.flush();
+    this.aplicarVersao(await PropostaService.restoreVersion(this.propostaAtual.id, versao));
+  }
+
+  // Busca textual e facetas do painel de histórico
+  initBusca() {
+    this.busca = document.getElementById('buscaHistorico');
+    this.facetas = new FacetChips({
+      container: document.getElementById('facetasHistorico'),
+      onChange: () => this.atualizarHistorico()
+    });
+
+    let espera = null;
+    this.busca?.addEventListener('input', () => {
+      clearTimeout(espera);
+      espera = setTimeout(() => this.atualizarHistorico(), 250);
+    });
+  }
+
+  async atualizarHistorico() {
+    if (!this.historico) return;
+
+    const usuario = AuthService.getCurrentUser();
+    const query = this.busca?.value.trim() || '';
+
+    try {
+      const resultado = await PropostaService.searchHistorico({
+        userId: usuario?.id,
+        query,
+        ...this.facetas.selected,
+        limit: 20
+      });
+      this.facetas.render(resultado.facets);
+
+      if (query || this.facetas.hasSelection) {
+        this.renderListaHistorico(resultado.results.map(r => r.proposta), {
+          vazio: 'Nenhuma proposta encontrada para a busca.',
+          total: resultado.total
+        });
+        return;
+      }
+    } catch (err) {
+      Toast.error(err.message || 'Erro ao buscar no histórico');
+    }
+
+    await this.renderHistorico();
+  }
+
+  initHeader() {
+    const usuario = AuthService.getCurrentUser();
+    const nome = document.getElementById('nomeUsuario');
+    if (nome) nome.textContent = usuario?.name || usuario?.email || '';
+
+    const btnAdmin = document.getElementById('btnAdmin');
+    if (btnAdmin && AuthService.isAdmin()) {
+      btnAdmin.classList.remove('hidden');
+      btnAdmin.addEventListener('click', () => {
+        window.location.href = 'admin.html';
+      });
+    }
+
+    document.getElementById('btnLogout')?.addEventListener('click', () => {
+      AuthService.logout();
+      AuthService.redirecionarParaLogin();
+    });
+  }
+
+  validarCampo(id, valor, minimo, mensagem) {
+    const erro = document.getElementById(`erro-${id}`);
+    const valido = valor.length >= minimo;
+    if (erro) {
+      erro.textContent = valido ? '' : mensagem;
+      erro.classList.toggle('hidden', valido);
+    }
+    return valido;
+  }
+
+  async gerar() {
+    if (this.output.isStreaming) return;
+
+    const cliente = document.getElementById('cliente')?.value.trim() || '';
+    const servico = document.getElementById('servico')?.value.trim() || '';
+
+    const clienteValido = this.validarCampo('cliente', cliente, 2, 'Informe o nome do cliente');
+    const servicoValido = this.validarCampo('servico', servico, 3, 'Descreva o serviço (mínimo 3 caracteres)');
+    if (!clienteValido || !servicoValido) return;
+
+    // Cota esgotada: avisa antes de cadastrar cliente ou abrir a transmissão
+    const cota = PropostaService.getQuotaStatus();
+    if (cota.exhausted) {
+      this.atualizarCota(cota);
+      Toast.warning(`Você atingiu o limite de ${cota.limit} proposta(s) por dia. A cota renova à meia-noite.`);
+      return;
+    }
+
+    // Nome sem cliente escolhido na lista: usa o cadastro com o mesmo nome ou cria um
+    const campoClienteId = document.getElementById('clienteId');
+    let clienteId = campoClienteId?.value || null;
+    if (!clienteId) {
+      const resolvido = ClientService.resolveClient(cliente);
+      if (!resolvido.success) {
+        Toast.error(resolvido.message);
+        return;
+      }
+      clienteId = resolvido.client.id;
+      if (campoClienteId) campoClienteId.value = clienteId;
+      if (resolvido.created) Toast.info(`Cliente "${resolvido.client.nome}" cadastrado`);
+    }
+
+    const botao = this.form.querySelector('button[type="submit"]');
+    if (botao) botao.disabled = true;
+
+    await this.editor.flush();
+    this.resultado?.classList.remove('hidden');
+    this.prepararTransmissao();
+    const signal = this.output.start();
+
+    try {
+      // Sem modelo configurado, nenhum trecho chega e o prompt montado é exibido ao final
+      const resultado = await PropostaService.generateProposta({
+        tipo: 'vendas',
+        tema: servico,
+        objetivo: `Elaborar uma proposta de ${servico} para o cliente ${cliente}`,
+        publicoAlvo: cliente,
+        clienteId,
+        signal,
+        onChunk: (delta) => this.output.append(delta)
+      });
+
+      this.output.finish();
+
+      if (!resultado.success) {
+        if (resultado.limitReached) {
+          this.atualizarCota(resultado.quota);
+          Toast.warning(resultado.message);
+        } else {
+          Toast.error(resultado.message);
+        }
+        this.resultado?.classList.add('hidden');
+        return;
+      }
+
+      this.exibir(resultado.proposta);
+      this.atualizarCota(resultado.quota);
+
+      if (!resultado.saved) {
+        // Falta de espaço ou erro de gravação: o resultado só existe na tela
+        Toast.error(resultado.message);
+      } else if (resultado.cancelled) {
+        Toast.info(resultado.message);
+      } else if (resultado.proposta.respostaErro) {
+        Toast.warning(resultado.message);
+      } else {
+        Toast.success(resultado.message);
+      }
+
+      this.atualizarHistorico();
+    } catch (err) {
+      this.output.finish();
+      Toast.error(err.message || 'Erro ao gerar proposta');
+    } finally {
+      if (botao) botao.disabled = false;
+    }
+  }
+
+  // Campos do formulário salvos quando a sessão é encerrada (ex.: manutenção)
+  initRascunho() {
+    const usuario = AuthService.getCurrentUser();
+    const rascunho = DraftStore.obter(usuario.id, 'ferramenta');
+    if (rascunho) {
+      ['cliente', 'servico', 'clienteId'].forEach(id => {
+        const campo = document.getElementById(id);
+        if (campo && rascunho.dados[id]) campo.value = rascunho.dados[id];
+      });
+      DraftStore.remover(usuario.id, 'ferramenta');
+      Toast.info('Rascunho restaurado do seu último acesso');
+    }
+
+    DraftStore.registrar(() => this.salvarRascunho(usuario.id));
+  }
+
+  // Edições pendentes da proposta vão para o histórico; o formulário, para o rascunho
+  async salvarRascunho(usuarioId) {
+    await this.editor.flush();
+
+    const dados = Object.fromEntries(['cliente', 'servico', 'clienteId']
+      .map(id => [id, document.getElementById(id)?.value.trim() || '']));
+    if (!dados.cliente && !dados.servico) return false;
+
+    DraftStore.salvar(usuarioId, 'ferramenta', dados);
+    return true;
+  }
+
+  // Propostas restantes hoje; administradores não têm limite
+  atualizarCota(cota = PropostaService.getQuotaStatus()) {
+    const campo = document.getElementById('cotaDiaria');
+    if (!campo) return;
+
+    campo.classList.toggle('text-red-600', cota.exhausted);
+    if (cota.exempt) {
+      campo.textContent = 'Sem limite diário de propostas (administrador).';
+    } else if (cota.exhausted) {
+      campo.textContent = `Limite diário de ${cota.limit} proposta(s) atingido. A cota renova à meia-noite.`;
+    } else {
+      campo.textContent = `Restam ${cota.remaining} de ${cota.limit} proposta(s) hoje.`;
+    }
+  }
+
+  exibir(proposta) {
+    if (!proposta) return;
+    this.propostaAtual = proposta;
+    this.resultado?.classList.remove('hidden');
+    document.getElementById('exportacaoProposta')?.classList.remove('hidden');
+    document.getElementById('acoesProposta')?.classList.remove('hidden');
+
+    // Com resposta do modelo, edita-se a resposta; sem ela, o prompt
+    this.campoEditado = proposta.resposta?.content ? 'resposta' : 'prompt';
+    const texto = proposta.resposta?.content || proposta.prompt;
+    this.output.setText(texto);
+    this.editor.load(texto);
+    document.getElementById('textoProposta')?.classList.add('hidden');
+    document.getElementById('editorProposta')?.classList.remove('hidden');
+
+    const templates = document.getElementById('templateProposta');
+    if (templates && proposta.templateId) templates.value = proposta.templateId;
+
+    if (this.versoesAbertas()) this.renderVersoes();
+  }
+
+  async renderHistorico({ append = false } = {}) {
+    if (!this.historico) return;
+
+    const usuario = AuthService.getCurrentUser();
+    const { items, nextCursor } = await PropostaService.getHistoricoPage({
+      userId: usuario?.id,
+      limit: 10,
+      cursor: append ? this.historicoCursor : null
+    });
+
+    this.historicoItens = append ? [...(this.historicoItens || []), ...items] : items;
+    this.historicoCursor = nextCursor;
+    this.renderListaHistorico(this.historicoItens, { nextCursor });
+  }
+
+  renderListaHistorico(propostas, { nextCursor = null, total = null, vazio = 'Nenhuma proposta gerada ainda.' } = {}) {
+    if (propostas.length === 0) {
+      this.historico.innerHTML = `
+        <h2 class="text-lg font-bold mb-2">Histórico</h2>
+        <p class="text-sm text-gray-500 dark:text-gray-400">${vazio}</p>`;
+      return;
+    }
+
+    this.historico.innerHTML = `
+      <h2 class="text-lg font-bold mb-2">Histórico${total !== null ? ` <span class="text-sm font-normal text-gray-500 dark:text-gray-400">(${total} resultado${total === 1 ? '' : 's'})</span>` : ''}</h2>
+      <ul class="space-y-2">
+        ${propostas.map(p => `
+          <li>
+            <button type="button" data-proposta-id="${HtmlUtils.escapar(p.id)}" class="w-full text-left p-2 rounded-md hover:bg-gray-100 dark:hover:bg-gray-700">
+              <span class="block text-sm font-medium">${HtmlUtils.escapar(p.tema)}</span>
+              <span class="block text-xs text-gray-500 dark:text-gray-400">
+                ${p.clienteNome ? `${HtmlUtils.escapar(p.clienteNome)} · ` : ''}${new Date(p.createdAt).toLocaleString('pt-BR')}${p.resposta?.parcial ? ' · parcial' : ''}
+              </span>
+            </button>
+          </li>`).join('')}
+      </ul>
+      ${nextCursor ? `
+      <button type="button" data-acao="carregar-mais" class="mt-2 text-sm text-blue-600 hover:text-blue-800 dark:text-blue-400">
+        Carregar mais
+      </button>` : ''}`;
+  }
+}
+
+const ferramentaController = new FerramentaController();
+export default ferramentaController;
@@ -13,4 +13,19 @@
 // Login controller
 export { default as LoginController } from './loginController.js';
 
+// Admin panel controller
+export { default as AdminController } from './adminController.js';
+
+// Proposal generation page controller
+export { default as FerramentaController } from './ferramentaController.js';
+
+// Prompt template editor controller
+export { default as TemplateController } from './templateController.js';
+// Client registry page controller
+export { default as ClienteController } from './clienteController.js';
+// Welcome page with per-user statistics
+export { default as BoasVindasController } from './boasVindasController.js';
+// Maintenance mode page
+export { default as ManutencaoController } from './manutencaoController.js';
+
 console.log('🎮 Controllers centralized exports loaded');
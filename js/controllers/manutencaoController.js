@@ -0,0 +1,64 @@
+// manutencaoController.js - Controller da página de manutenção
+import { AuthService } from '../services/index.js';
+
+class ManutencaoController {
+  constructor() {
+    document.addEventListener('DOMContentLoaded', () => {
+      this.init();
+    });
+  }
+
+  async init() {
+    if (!document.getElementById('mensagemManutencao')) return;
+    if (!(await AuthService.iniciar())) return;
+
+    this.exibirAvisoSessao();
+    if (!this.render()) return;
+
+    // Desligada em outra aba (SettingsService repassa o evento 'storage')
+    window.addEventListener('settingsChanged', () => this.render());
+  }
+
+  // Volta ao login quando a manutenção não está (mais) ativa
+  render() {
+    const { ativa, mensagem, previsao } = AuthService.obterManutencao();
+    if (!ativa) {
+      AuthService.redirecionarParaLogin();
+      return false;
+    }
+
+    document.getElementById('mensagemManutencao').textContent = mensagem;
+
+    const campoPrevisao = document.getElementById('previsaoManutencao');
+    if (campoPrevisao) {
+      campoPrevisao.classList.toggle('hidden', !previsao);
+      campoPrevisao.textContent = previsao ? `Previsão de retorno: ${this.formatarPrevisao(previsao)}` : '';
+    }
+    return true;
+  }
+
+  // Usuário desconectado pelo início da manutenção
+  exibirAvisoSessao() {
+    const parametros = new URLSearchParams(window.location.search);
+    const aviso = document.getElementById('avisoSessao');
+    if (!aviso || parametros.get('sessao') !== 'encerrada') return;
+
+    const rascunhos = Number(parametros.get('rascunhos')) || 0;
+    aviso.textContent = rascunhos > 0
+      ? 'Sua sessão foi encerrada para a manutenção. O que você estava digitando foi salvo e será restaurado no próximo acesso.'
+      : 'Sua sessão foi encerrada para a manutenção.';
+    aviso.classList.remove('hidden');
+  }
+
+  formatarPrevisao(previsao) {
+    const data = new Date(previsao);
+    const texto = data.toLocaleString('pt-BR', { dateStyle: 'long', timeStyle: 'short' });
+    const minutos = Math.round((data.getTime() - Date.now()) / 60000);
+    if (minutos <= 0) return `${texto} (a qualquer momento)`;
+    if (minutos < 60) return `${texto} (em cerca de ${minutos} min)`;
+    return `${texto} (em cerca de ${Math.round(minutos / 60)} h)`;
+  }
+}
+
+const manutencaoController = new ManutencaoController();
+export default manutencaoController;
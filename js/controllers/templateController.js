@@ -0,0 +1,274 @@
+// templateController.js - Controller do editor de templates de prompt
+import { AuthService, PropostaService, ExportService, ImportService } from '../services/index.js';
+import { Toast, HtmlUtils } from '../core/index.js';
+import ImportPreview from '../ui/importPreview.js';
+
+// Dados fictícios usados apenas na pré-visualização
+const PREVIEW_PARAMS = {
+  tipo: 'geral',
+  tema: 'Lançamento de produto',
+  objetivo: 'apresentar o novo produto aos clientes atuais',
+  publicoAlvo: 'Pequenas empresas',
+  tom: 'profissional',
+  detalhes: 'Destacar o período de teste gratuito'
+};
+
+class TemplateController {
+  constructor() {
+    document.addEventListener('DOMContentLoaded', () => {
+      this.init();
+    });
+  }
+
+  async init() {
+    if (!(await AuthService.iniciar())) return;
+    if (!AuthService.verificarLogin()) {
+      AuthService.redirecionarParaLogin();
+      return;
+    }
+
+    this.form = document.getElementById('formTemplate');
+    this.lista = document.getElementById('listaTemplates');
+    if (!this.form || !this.lista) return;
+
+    this.renderPlaceholders();
+
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.salvar();
+    });
+    this.form.addEventListener('input', () => this.atualizarPreview());
+    this.form.addEventListener('reset', () => {
+      setTimeout(() => this.editar(null), 0);
+    });
+
+    this.lista.addEventListener('click', (e) => {
+      const botao = e.target.closest('[data-acao]');
+      if (!botao) return;
+      const { acao, id } = botao.dataset;
+      if (acao === 'editar') this.editar(id);
+      if (acao === 'duplicar') this.duplicar(id);
+      if (acao === 'excluir') this.excluir(id);
+    });
+
+    this.initImportacao();
+    this.renderLista();
+    this.atualizarPreview();
+  }
+
+  // Pacote de templates: exporta os editáveis e importa com prévia (dry-run)
+  initImportacao() {
+    const input = document.getElementById('arquivoTemplates');
+    this.previewImportacao = new ImportPreview({
+      container: document.getElementById('previewImportacao'),
+      onModeChange: (modo) => this.previsualizarImportacao(modo),
+      onConfirm: (plano) => this.confirmarImportacao(plano),
+      onCancel: () => this.previewImportacao.clear()
+    });
+
+    document.getElementById('btnExportarTemplates')?.addEventListener('click', () => this.exportarTemplates());
+    input?.addEventListener('change', async () => {
+      if (!input.files.length) return;
+      this.importacao = await ImportService.readFiles(input.files);
+      input.value = '';
+      this.previsualizarImportacao('merge');
+    });
+  }
+
+  exportarTemplates() {
+    const templates = PropostaService.getTemplates().filter(t => PropostaService.canEditTemplate(t));
+    if (!templates.length) {
+      Toast.warning('Você ainda não tem templates próprios para exportar');
+      return;
+    }
+
+    const arquivo = ExportService.buildTemplateBundle(templates);
+    ExportService.download(arquivo);
+    Toast.success(`${templates.length} template(s) exportado(s): ${arquivo.filename}`);
+  }
+
+  async previsualizarImportacao(modo) {
+    const { errors } = this.importacao;
+    const entries = this.importacao.entries.filter(entry => entry.kind === 'template');
+    if (!entries.length) {
+      this.previewImportacao.clear();
+      Toast.error(errors[0] ? `${errors[0].source}: ${errors[0].message}` : 'Nenhum template encontrado nos arquivos');
+      return;
+    }
+
+    try {
+      this.previewImportacao.render(await ImportService.preview(entries, { mode: modo }), errors);
+    } catch (err) {
+      Toast.error(err.message || 'Erro ao analisar a importação');
+    }
+  }
+
+  async confirmarImportacao(plano) {
+    const resultado = await ImportService.apply(plano);
+    this.previewImportacao.clear();
+    this.importacao = null;
+
+    if (resultado.success) {
+      Toast.success(`Importação concluída: ${resultado.message}`);
+    } else {
+      Toast.error(resultado.message);
+    }
+    this.renderLista();
+  }
+
+  lerFormulario() {
+    return {
+      name: this.form.templateNome.value,
+      type: this.form.templateTipo.value,
+      keywords: this.form.templateKeywords.value,
+      structure: this.form.templateEstrutura.value,
+      shared: this.form.templateCompartilhado.checked
+    };
+  }
+
+  salvar() {
+    const id = this.form.templateId.value;
+    const dados = this.lerFormulario();
+    const resultado = id
+      ? PropostaService.updateTemplate(id, dados)
+      : PropostaService.createTemplate(dados);
+
+    if (!resultado.success) {
+      Toast.error(resultado.message);
+      return;
+    }
+
+    Toast.success(resultado.message);
+    this.editar(resultado.template.id);
+    this.renderLista();
+  }
+
+  editar(id) {
+    const template = id ? PropostaService.getTemplateById(id) : null;
+
+    this.form.templateId.value = template && PropostaService.canEditTemplate(template) ? template.id : '';
+    this.form.templateNome.value = template?.name || '';
+    this.form.templateTipo.value = template?.type || 'geral';
+    this.form.templateKeywords.value = (template?.keywords || []).join(', ');
+    this.form.templateEstrutura.value = template?.structure || '';
+    this.form.templateCompartilhado.checked = !!template?.shared;
+
+    const titulo = document.getElementById('tituloEditor');
+    if (titulo) {
+      titulo.textContent = this.form.templateId.value ? 'Editar Template' : 'Novo Template';
+    }
+
+    this.atualizarPreview();
+  }
+
+  duplicar(id) {
+    const resultado = PropostaService.duplicateTemplate(id);
+    if (!resultado.success) {
+      Toast.error(resultado.message);
+      return;
+    }
+    Toast.success('Template duplicado');
+    this.renderLista();
+    this.editar(resultado.template.id);
+  }
+
+  excluir(id) {
+    const template = PropostaService.getTemplateById(id);
+    if (!template || !confirm(`Excluir o template "${template.name}"?`)) return;
+
+    const resultado = PropostaService.deleteTemplate(id);
+    if (!resultado.success) {
+      Toast.error(resultado.message);
+      return;
+    }
+    Toast.success(resultado.message);
+    if (this.form.templateId.value === id) this.editar(null);
+    this.renderLista();
+  }
+
+  // Validação e preview em tempo real usando o mesmo applyTemplate da geração
+  atualizarPreview() {
+    const preview = document.getElementById('previewTemplate');
+    const erros = document.getElementById('errosTemplate');
+    if (!preview || !erros) return;
+
+    const dados = PropostaService.normalizeTemplate(this.lerFormulario());
+    const validacao = PropostaService.validateTemplate(dados);
+
+    erros.innerHTML = validacao.errors
+      .map(erro => `<li>${HtmlUtils.escapar(erro)}</li>`)
+      .join('');
+    erros.classList.toggle('hidden', validacao.isValid);
+
+    if (!dados.structure.trim()) {
+      preview.textContent = 'A pré-visualização aparecerá aqui.';
+      return;
+    }
+
+    try {
+      preview.textContent = PropostaService.applyTemplate(dados, { ...PREVIEW_PARAMS, tipo: dados.type || 'geral' });
+    } catch (err) {
+      preview.textContent = err.message;
+    }
+  }
+
+  renderPlaceholders() {
+    const container = document.getElementById('placeholdersTemplate');
+    if (!container) return;
+
+    const trechos = [
+      ...PropostaService.getSupportedPlaceholders().map(p => ({ rotulo: `{${p}}`, texto: `{${p}}` })),
+      { rotulo: '{{#if}}', texto: '{{#if DETALHES}}\n{DETALHES}\n{{/if}}\n' },
+      ...PropostaService.getSupportedLists().map(lista => ({
+        rotulo: `{{#each ${lista}}}`,
+        texto: `{{#each ${lista}}}\n- {ITEM}\n{{/each}}\n`
+      }))
+    ];
+
+    container.innerHTML = trechos
+      .map((trecho, indice) => `<button type="button" data-trecho="${indice}" class="px-2 py-1 text-xs font-mono bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200 rounded hover:bg-blue-200">${HtmlUtils.escapar(trecho.rotulo)}</button>`)
+      .join('');
+
+    container.addEventListener('click', (e) => {
+      const botao = e.target.closest('[data-trecho]');
+      if (botao) this.inserirPlaceholder(trechos[botao.dataset.trecho].texto);
+    });
+  }
+
+  inserirPlaceholder(texto) {
+    const campo = this.form.templateEstrutura;
+    const inicio = campo.selectionStart ?? campo.value.length;
+    const fim = campo.selectionEnd ?? campo.value.length;
+    campo.value = campo.value.slice(0, inicio) + texto + campo.value.slice(fim);
+    campo.focus();
+    campo.selectionStart = campo.selectionEnd = inicio + texto.length;
+    this.atualizarPreview();
+  }
+
+  renderLista() {
+    const templates = PropostaService.getTemplates();
+    const usuario = AuthService.getCurrentUser();
+
+    this.lista.innerHTML = templates.map(t => {
+      const podeEditar = PropostaService.canEditTemplate(t);
+      const origem = t.builtIn ? 'Padrão' : t.ownerId === usuario?.id ? 'Meu' : 'Compartilhado';
+      return `
+        <li class="p-3 border border-gray-200 dark:border-gray-700 rounded-lg">
+          <div class="flex justify-between items-start">
+            <div>
+              <p class="font-medium">${HtmlUtils.escapar(t.name)}</p>
+              <p class="text-xs text-gray-500 dark:text-gray-400">${HtmlUtils.escapar(t.type)} · ${origem}${t.shared ? ' · 🌐' : ''}</p>
+            </div>
+            <div class="flex space-x-1 text-sm">
+              <button data-acao="editar" data-id="${t.id}" title="${podeEditar ? 'Editar' : 'Visualizar'}">${podeEditar ? '✏️' : '👁️'}</button>
+              <button data-acao="duplicar" data-id="${t.id}" title="Duplicar">📄</button>
+              ${podeEditar ? `<button data-acao="excluir" data-id="${t.id}" title="Excluir">🗑️</button>` : ''}
+            </div>
+          </div>
+        </li>`;
+    }).join('');
+  }
+}
+
+const templateController = new TemplateController();
+export default templateController;
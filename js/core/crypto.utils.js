@@ -1,19 +1,21 @@
 /**
  * CryptoUtils.js - Utilitários de criptografia e segurança
  * 
- * @description Classe utilitária para criptografia simétrica baseada em Base64
- * com validação de timestamp e embaralhamento básico. Utilizada para proteger
- * dados sensíveis em localStorage e comunicação cliente-servidor.
+ * @description Classe utilitária para criptografia simétrica AES-GCM (Web Crypto)
+ * com chave derivada via PBKDF2 de um segredo vinculado ao dispositivo, envelopes
+ * versionados e expiração por timestamp. Utilizada para proteger dados sensíveis
+ * em localStorage. Também provê hash de senhas com PBKDF2 e comparação em tempo constante.
  * 
- * @warning Esta implementação é adequada para proteção básica, não para dados críticos
+ * @warning O segredo do dispositivo fica no próprio navegador: protege contra leitura
+ * casual e adulteração dos dados, não contra código malicioso executando na página
  * @author ProTech Development Team
- * @version 1.0.0
+ * @version 2.0.0
  * @since 2025-08-06
  */
 export class CryptoUtils {
   /**
-   * Chave base privada para validação de integridade
-   * Utilizada como sufixo para verificar se os dados foram manipulados
+   * Chave base do formato legado v0
+   * Mantida apenas para validar e ler blobs gravados antes do AES-GCM
    * 
    * @private
    * @static
@@ -22,32 +24,225 @@ export class CryptoUtils {
   static #chaveBase = 'UtilityPro2025';
 
   /**
-   * Criptografa dados utilizando Base64 duplo com timestamp
-   * Adiciona timestamp para expiração automática e embaralhamento para ofuscação
+   * Promise da chave AES-GCM derivada, compartilhada entre chamadas
+   * 
+   * @private
+   * @static
+   * @type {Promise<CryptoKey>|null}
+   */
+  static #chaveDispositivo = null;
+
+  /**
+   * Versão atual do envelope de criptografia
+   * 
+   * @static
+   * @readonly
+   * @type {string}
+   */
+  static VERSAO_ENVELOPE = 'v1';
+
+  /**
+   * Validade máxima de um envelope (30 dias em ms)
+   * 
+   * @static
+   * @readonly
+   * @type {number}
+   */
+  static VALIDADE_MS = 30 * 24 * 60 * 60 * 1000;
+
+  /**
+   * Chave do localStorage que guarda o segredo do dispositivo
+   * 
+   * @static
+   * @readonly
+   * @type {string}
+   */
+  static CHAVE_SEGREDO_DISPOSITIVO = 'protech_device_secret';
+
+  /**
+   * Iterações PBKDF2 usadas na derivação da chave do dispositivo
+   * 
+   * @static
+   * @readonly
+   * @type {number}
+   */
+  static ITERACOES_CHAVE = 100000;
+
+  /**
+   * Número de iterações PBKDF2 aplicado a novos hashes de senha
+   * Registros guardam a própria contagem, permitindo elevar este valor no futuro
+   *
+   * @static
+   * @readonly
+   * @type {number}
+   */
+  static PBKDF2_ITERACOES = 310000;
+
+  /**
+   * Identificador do algoritmo gravado junto aos hashes de senha
+   *
+   * @static
+   * @readonly
+   * @type {string}
+   */
+  static ALGORITMO_SENHA = 'PBKDF2-SHA256';
+
+  /**
+   * Gera hash de senha com salt aleatório via PBKDF2 (Web Crypto)
+   *
+   * @param {string} senha - Senha em texto puro
+   * @param {Object} [opcoes] - Parâmetros de derivação
+   * @param {number} [opcoes.iteracoes] - Iterações PBKDF2 (padrão: PBKDF2_ITERACOES)
+   * @returns {Promise<Object>} Registro { algoritmo, iteracoes, salt, hash } com salt e hash em Base64
+   *
+   * @example
+   * const senhaHash = await CryptoUtils.gerarHashSenha('Senha123');
+   */
+  static async gerarHashSenha(senha, opcoes = {}) {
+    const iteracoes = opcoes.iteracoes || this.PBKDF2_ITERACOES;
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const hash = await this.#derivarBits(senha, salt, iteracoes);
+
+    return {
+      algoritmo: this.ALGORITMO_SENHA,
+      iteracoes,
+      salt: this.#paraBase64(salt),
+      hash: this.#paraBase64(hash)
+    };
+  }
+
+  /**
+   * Verifica senha contra um registro gerado por gerarHashSenha
+   * A comparação final é feita em tempo constante
+   *
+   * @param {string} senha - Senha informada pelo usuário
+   * @param {Object} registro - Registro { algoritmo, iteracoes, salt, hash }
+   * @returns {Promise<boolean>} True se a senha confere
+   */
+  static async verificarSenha(senha, registro) {
+    try {
+      if (!registro || registro.algoritmo !== this.ALGORITMO_SENHA) {
+        return false;
+      }
+
+      const salt = this.#deBase64(registro.salt);
+      const esperado = this.#deBase64(registro.hash);
+      const calculado = await this.#derivarBits(senha, salt, registro.iteracoes);
+
+      return this.compararConstante(calculado, esperado);
+    } catch (error) {
+      console.error('❌ Erro ao verificar senha:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Compara dois valores sem curto-circuito para evitar ataques de tempo
+   *
+   * @param {Uint8Array|string} a - Primeiro valor
+   * @param {Uint8Array|string} b - Segundo valor
+   * @returns {boolean} True se os valores são idênticos
+   */
+  static compararConstante(a, b) {
+    const encoder = new TextEncoder();
+    const bytesA = typeof a === 'string' ? encoder.encode(a) : a;
+    const bytesB = typeof b === 'string' ? encoder.encode(b) : b;
+
+    // Percorrer sempre o maior comprimento e acumular diferenças
+    const tamanho = Math.max(bytesA.length, bytesB.length);
+    let diferenca = bytesA.length ^ bytesB.length;
+    for (let i = 0; i < tamanho; i++) {
+      diferenca |= (bytesA[i] ?? 0) ^ (bytesB[i] ?? 0);
+    }
+
+    return diferenca === 0;
+  }
+
+  /**
+   * Deriva 256 bits da senha com PBKDF2-SHA256
+   *
+   * @private
+   * @param {string} senha - Senha em texto puro
+   * @param {Uint8Array} salt - Salt do usuário
+   * @param {number} iteracoes - Número de iterações
+   * @returns {Promise<Uint8Array>} Bits derivados
+   */
+  static async #derivarBits(senha, salt, iteracoes) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(senha),
+      'PBKDF2',
+      false,
+      ['deriveBits']
+    );
+
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: iteracoes },
+      material,
+      256
+    );
+
+    return new Uint8Array(bits);
+  }
+
+  /**
+   * Converte bytes para Base64
+   *
+   * @private
+   * @param {Uint8Array} bytes - Bytes de entrada
+   * @returns {string} Representação Base64
+   */
+  static #paraBase64(bytes) {
+    let binario = '';
+    bytes.forEach(byte => { binario += String.fromCharCode(byte); });
+    return btoa(binario);
+  }
+
+  /**
+   * Converte Base64 para bytes
+   *
+   * @private
+   * @param {string} base64 - String Base64
+   * @returns {Uint8Array} Bytes decodificados
+   */
+  static #deBase64(base64) {
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+  }
+
+  /**
+   * Criptografa dados com AES-GCM em um envelope versionado
+   * O payload carrega timestamp para a expiração automática de 30 dias
+   * 
+   * Formato do envelope: `v1.<iv em Base64>.<cifra em Base64>`
    * 
    * @param {string|Object} dados - Dados a serem criptografados
-   * @returns {string|null} Dados criptografados ou null em caso de erro
+   * @returns {Promise<string|null>} Envelope criptografado ou null em caso de erro
    * 
    * @example
-   * const encrypted = CryptoUtils.criptografar({user: 'admin', role: 'admin'});
+   * const encrypted = await CryptoUtils.criptografar({user: 'admin', role: 'admin'});
    */
-  static criptografar(dados) {
+  static async criptografar(dados) {
     try {
       // Normalizar entrada para string
       const dadosString = typeof dados === 'string' ? dados : JSON.stringify(dados);
       
       // Adicionar timestamp para controle de expiração
-      const timestamp = Date.now().toString();
-      const payload = `${timestamp}:${dadosString}`;
-      
-      // Aplicar dupla codificação Base64 com chave de validação
-      let resultado = btoa(payload);
-      resultado = btoa(resultado + this.#chaveBase);
+      const payload = JSON.stringify({ t: Date.now(), d: dadosString });
       
-      // Embaralhar resultado para ofuscação adicional
-      resultado = this.#embaralhar(resultado);
+      // IV aleatório de 96 bits por mensagem, versão autenticada como AAD
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const chave = await this.#obterChaveDispositivo();
+      const cifra = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(this.VERSAO_ENVELOPE) },
+        chave,
+        new TextEncoder().encode(payload)
+      );
       
-      return resultado;
+      return [
+        this.VERSAO_ENVELOPE,
+        this.#paraBase64(iv),
+        this.#paraBase64(new Uint8Array(cifra))
+      ].join('.');
     } catch (error) {
       console.error('❌ Erro ao criptografar dados:', error);
       return null;
@@ -55,43 +250,27 @@ export class CryptoUtils {
   }
 
   /**
-   * Descriptografa dados e valida timestamp de expiração
-   * Verifica integridade através da chave base e expira tokens antigos
+   * Descriptografa um envelope e valida o timestamp de expiração
+   * Envelopes v1 (AES-GCM) e blobs legados v0 (Base64 embaralhado) são aceitos
    * 
-   * @param {string} dadosCriptografados - String criptografada a ser decodificada
-   * @returns {string|null} Dados originais ou null se inválido/expirado
+   * @param {string} dadosCriptografados - Envelope a ser decodificado
+   * @returns {Promise<string|null>} Dados originais ou null se inválido/expirado
    * 
    * @example
-   * const decrypted = CryptoUtils.descriptografar(encryptedToken);
+   * const decrypted = await CryptoUtils.descriptografar(encryptedToken);
    */
-  static descriptografar(dadosCriptografados) {
+  static async descriptografar(dadosCriptografados) {
     try {
-      // Reverter embaralhamento
-      let resultado = this.#desembaralhar(dadosCriptografados);
-      
-      // Primeira decodificação Base64
-      resultado = atob(resultado);
-      
-      // Validar chave de integridade
-      if (!resultado.endsWith(this.#chaveBase)) {
-        throw new Error('Chave de validação inválida - dados podem ter sido alterados');
+      if (typeof dadosCriptografados !== 'string' || !dadosCriptografados) {
+        throw new Error('Envelope vazio ou inválido');
       }
-      
-      // Remover chave de validação
-      resultado = resultado.slice(0, -this.#chaveBase.length);
-      
-      // Segunda decodificação Base64
-      resultado = atob(resultado);
-      
-      // Extrair timestamp e dados
-      const [timestamp, dados] = resultado.split(':');
+
+      const { timestamp, dados } = dadosCriptografados.startsWith(`${this.VERSAO_ENVELOPE}.`)
+        ? await this.#abrirEnvelopeV1(dadosCriptografados)
+        : this.#abrirEnvelopeV0(dadosCriptografados);
       
       // Validar expiração (30 dias)
-      const agora = Date.now();
-      const timestampNum = parseInt(timestamp);
-      const trintaDias = 30 * 24 * 60 * 60 * 1000; // 30 dias em ms
-      
-      if (agora - timestampNum > trintaDias) {
+      if (Date.now() - timestamp > this.VALIDADE_MS) {
         throw new Error('Token expirado - dados muito antigos');
       }
       
@@ -103,19 +282,132 @@ export class CryptoUtils {
   }
 
   /**
-   * Embaralha string invertendo caracteres
-   * Método simples de ofuscação para dificultar análise visual
+   * Indica se o valor foi gerado no formato legado v0
+   * Útil para regravar dados antigos no formato atual
+   * 
+   * @param {string} dadosCriptografados - Envelope a inspecionar
+   * @returns {boolean} True se não for um envelope versionado
+   */
+  static isEnvelopeLegado(dadosCriptografados) {
+    return typeof dadosCriptografados === 'string' &&
+      !dadosCriptografados.startsWith(`${this.VERSAO_ENVELOPE}.`);
+  }
+
+  /**
+   * Abre envelope v1 (AES-GCM)
    * 
    * @private
-   * @param {string} str - String a ser embaralhada
-   * @returns {string} String embaralhada
+   * @param {string} envelope - Envelope `v1.<iv>.<cifra>`
+   * @returns {Promise<{timestamp: number, dados: string}>} Conteúdo do envelope
    */
-  static #embaralhar(str) {
-    return str.split('').reverse().join('');
+  static async #abrirEnvelopeV1(envelope) {
+    const [, ivBase64, cifraBase64] = envelope.split('.');
+    if (!ivBase64 || !cifraBase64) {
+      throw new Error('Envelope v1 malformado');
+    }
+
+    const chave = await this.#obterChaveDispositivo();
+    const claro = await crypto.subtle.decrypt(
+      {
+        name: 'AES-GCM',
+        iv: this.#deBase64(ivBase64),
+        additionalData: new TextEncoder().encode(this.VERSAO_ENVELOPE)
+      },
+      chave,
+      this.#deBase64(cifraBase64)
+    );
+
+    const { t, d } = JSON.parse(new TextDecoder().decode(claro));
+    return { timestamp: Number(t), dados: d };
+  }
+
+  /**
+   * Abre blob legado v0 (Base64 duplo + chave base + inversão)
+   * Mantido apenas para leitura de sessões gravadas antes do AES-GCM
+   * 
+   * @private
+   * @param {string} blob - Dados no formato antigo
+   * @returns {{timestamp: number, dados: string}} Conteúdo decodificado
+   */
+  static #abrirEnvelopeV0(blob) {
+    // Reverter embaralhamento
+    let resultado = this.#desembaralhar(blob);
+    
+    // Primeira decodificação Base64
+    resultado = atob(resultado);
+    
+    // Validar chave de integridade
+    if (!resultado.endsWith(this.#chaveBase)) {
+      throw new Error('Chave de validação inválida - dados podem ter sido alterados');
+    }
+    
+    // Remover chave de validação e aplicar segunda decodificação
+    resultado = atob(resultado.slice(0, -this.#chaveBase.length));
+    
+    // Separar apenas no primeiro ':' - os dados podem conter ':' (ex.: JSON)
+    const separador = resultado.indexOf(':');
+    return {
+      timestamp: parseInt(resultado.slice(0, separador)),
+      dados: resultado.slice(separador + 1)
+    };
+  }
+
+  /**
+   * Obtém (ou deriva uma única vez) a chave AES-GCM do dispositivo
+   * A chave vem de PBKDF2 sobre um segredo aleatório gerado no primeiro uso
+   * 
+   * @private
+   * @returns {Promise<CryptoKey>} Chave AES-GCM de 256 bits não exportável
+   */
+  static #obterChaveDispositivo() {
+    if (!this.#chaveDispositivo) {
+      this.#chaveDispositivo = (async () => {
+        const { segredo, salt } = this.#obterSegredoDispositivo();
+        const material = await crypto.subtle.importKey('raw', segredo, 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+          { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: this.ITERACOES_CHAVE },
+          material,
+          { name: 'AES-GCM', length: 256 },
+          false,
+          ['encrypt', 'decrypt']
+        );
+      })();
+
+      // Permitir nova tentativa caso a derivação falhe
+      this.#chaveDispositivo.catch(() => { this.#chaveDispositivo = null; });
+    }
+
+    return this.#chaveDispositivo;
+  }
+
+  /**
+   * Lê ou cria o segredo aleatório vinculado a este navegador
+   * 
+   * @private
+   * @returns {{segredo: Uint8Array, salt: Uint8Array}} Segredo e salt do dispositivo
+   */
+  static #obterSegredoDispositivo() {
+    try {
+      const salvo = JSON.parse(localStorage.getItem(this.CHAVE_SEGREDO_DISPOSITIVO) || 'null');
+      if (salvo?.segredo && salvo?.salt) {
+        return { segredo: this.#deBase64(salvo.segredo), salt: this.#deBase64(salvo.salt) };
+      }
+    } catch {
+      // Segredo corrompido - gerar um novo abaixo
+    }
+
+    const segredo = crypto.getRandomValues(new Uint8Array(32));
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    localStorage.setItem(this.CHAVE_SEGREDO_DISPOSITIVO, JSON.stringify({
+      segredo: this.#paraBase64(segredo),
+      salt: this.#paraBase64(salt)
+    }));
+
+    return { segredo, salt };
   }
 
   /**
-   * Desembaralha string revertendo o processo de embaralhamento
+   * Desembaralha string revertendo a inversão aplicada pelo formato v0
    * 
    * @private
    * @param {string} str - String embaralhada
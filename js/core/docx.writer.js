@@ -0,0 +1,166 @@
+/**
+ * DocxWriter.js - Geração de documentos Word (.docx) no navegador
+ *
+ * @description Monta um pacote OOXML mínimo (document, styles, propriedades)
+ * a partir da lista de blocos usada pelos formatos de exportação. Trechos
+ * marcados com `**negrito**` viram runs em negrito.
+ *
+ * @author ProTech Development Team
+ * @version 1.0.0
+ * @since 2025-08-06
+ */
+import { ZipWriter } from './zip.writer.js';
+
+export class DocxWriter {
+  /**
+   * Estilo de parágrafo aplicado a cada tipo de bloco
+   *
+   * @static
+   * @readonly
+   * @type {Object<string, string>}
+   */
+  static ESTILOS = {
+    titulo: 'Title',
+    secao: 'Heading1',
+    subsecao: 'Heading2',
+    paragrafo: 'Normal',
+    item: 'ListItem',
+    codigo: 'Code',
+    divisor: 'Normal'
+  };
+
+  /**
+   * Gera os bytes do arquivo .docx
+   *
+   * @param {Array<{tipo: string, texto?: string}>} blocos - Conteúdo em ordem
+   * @param {Object} [opcoes]
+   * @param {string} [opcoes.titulo='Documento'] - Título nas propriedades do arquivo
+   * @returns {Uint8Array} Conteúdo do pacote
+   */
+  static gerar(blocos, opcoes = {}) {
+    const { titulo = 'Documento' } = opcoes;
+    const corpo = blocos.map(bloco => DocxWriter.#paragrafo(bloco)).join('');
+    const agora = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+
+    return ZipWriter.criar([
+      {
+        nome: '[Content_Types].xml',
+        conteudo: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`
+      },
+      {
+        nome: '_rels/.rels',
+        conteudo: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`
+      },
+      {
+        nome: 'word/_rels/document.xml.rels',
+        conteudo: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`
+      },
+      {
+        nome: 'word/document.xml',
+        conteudo: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:body>${corpo}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr></w:body>
+</w:document>`
+      },
+      { nome: 'word/styles.xml', conteudo: DocxWriter.#estilos() },
+      {
+        nome: 'docProps/core.xml',
+        conteudo: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${DocxWriter.#escapar(titulo)}</dc:title>
+<dc:creator>Utilidade Pro</dc:creator>
+<dc:language>pt-BR</dc:language>
+<dcterms:created xsi:type="dcterms:W3CDTF">${agora}</dcterms:created>
+</cp:coreProperties>`
+      }
+    ]);
+  }
+
+  /**
+   * Converte um bloco em parágrafo WordprocessingML
+   *
+   * @private
+   * @static
+   * @param {{tipo: string, texto?: string}} bloco - Bloco de conteúdo
+   * @returns {string} XML do parágrafo
+   */
+  static #paragrafo({ tipo, texto = '' }) {
+    const estilo = `<w:pPr><w:pStyle w:val="${DocxWriter.ESTILOS[tipo] || 'Normal'}"/></w:pPr>`;
+
+    if (tipo === 'divisor') {
+      return '<w:p><w:pPr><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="BBBBBB"/></w:pBdr></w:pPr></w:p>';
+    }
+
+    if (tipo === 'codigo') {
+      const linhas = texto.split('\n').map(linha => `<w:t xml:space="preserve">${DocxWriter.#escapar(linha)}</w:t>`);
+      return `<w:p>${estilo}<w:r>${linhas.join('<w:br/>')}</w:r></w:p>`;
+    }
+
+    const prefixo = tipo === 'item' ? '• ' : '';
+    const linhas = `${prefixo}${texto}`.split('\n').map(linha =>
+      linha.split(/(\*\*.+?\*\*)/).filter(Boolean).map(trecho => {
+        const negrito = /^\*\*.+\*\*$/.test(trecho);
+        const conteudo = negrito ? trecho.slice(2, -2) : trecho;
+        return `<w:r>${negrito ? '<w:rPr><w:b/></w:rPr>' : ''}<w:t xml:space="preserve">${DocxWriter.#escapar(conteudo)}</w:t></w:r>`;
+      }).join('')
+    );
+    return `<w:p>${estilo}${linhas.join('<w:r><w:br/></w:r>')}</w:p>`;
+  }
+
+  /**
+   * Folha de estilos com os estilos referenciados pelos blocos
+   *
+   * @private
+   * @static
+   * @returns {string} XML de styles.xml
+   */
+  static #estilos() {
+    const estilo = (id, nome, { tamanho, negrito = false, antes = 0, depois = 120, fonte = null, recuo = 0 }) => `
+<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${nome}"/>${id === 'Normal' ? '<w:qFormat/>' : '<w:basedOn w:val="Normal"/><w:qFormat/>'}
+<w:pPr><w:spacing w:before="${antes}" w:after="${depois}"/>${recuo ? `<w:ind w:left="${recuo}" w:hanging="240"/>` : ''}</w:pPr>
+<w:rPr>${fonte ? `<w:rFonts w:ascii="${fonte}" w:hAnsi="${fonte}" w:cs="${fonte}"/>` : ''}${negrito ? '<w:b/>' : ''}<w:sz w:val="${tamanho * 2}"/></w:rPr></w:style>`;
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:lang w:val="pt-BR"/></w:rPr></w:rPrDefault></w:docDefaults>
+${estilo('Normal', 'Normal', { tamanho: 11 })}
+${estilo('Title', 'Title', { tamanho: 20, negrito: true, depois: 240 })}
+${estilo('Heading1', 'heading 1', { tamanho: 14, negrito: true, antes: 240 })}
+${estilo('Heading2', 'heading 2', { tamanho: 12, negrito: true, antes: 180 })}
+${estilo('ListItem', 'List Paragraph', { tamanho: 11, depois: 40, recuo: 480 })}
+${estilo('Code', 'Code', { tamanho: 9.5, fonte: 'Courier New' })}
+</w:styles>`;
+  }
+
+  /**
+   * Escapa texto para XML, removendo caracteres de controle inválidos
+   *
+   * @private
+   * @static
+   */
+  static #escapar(texto) {
+    return String(texto)
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// Disponibilizar globalmente para compatibilidade com código legado
+window.DocxWriter = DocxWriter;
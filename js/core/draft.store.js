@@ -0,0 +1,118 @@
+/**
+ * DraftStore.js - Rascunhos de formulários por usuário
+ *
+ * @description Guarda no localStorage o conteúdo ainda não enviado de
+ * formulários (ex.: a ferramenta de propostas) para ser restaurado no próximo
+ * acesso. As páginas registram uma função de salvamento com registrar();
+ * antes de encerrar a sessão (ex.: modo manutenção) o AuthService chama
+ * salvarTodos() para que nada digitado seja perdido.
+ *
+ * @author ProTech Development Team
+ * @version 1.0.0
+ * @since 2025-08-06
+ */
+export class DraftStore {
+  /**
+   * Chave de armazenamento dos rascunhos
+   *
+   * @static
+   * @readonly
+   * @type {string}
+   */
+  static CHAVE = 'protech_rascunhos';
+
+  /**
+   * Funções de salvamento registradas pela página atual
+   *
+   * @static
+   * @private
+   * @type {Set<Function>}
+   */
+  static #salvadores = new Set();
+
+  /**
+   * Salva o rascunho de um formulário
+   *
+   * @static
+   * @param {number|string} usuarioId - Dono do rascunho
+   * @param {string} nome - Identificador do formulário (ex.: 'ferramenta')
+   * @param {Object} dados - Valores dos campos
+   */
+  static salvar(usuarioId, nome, dados) {
+    const rascunhos = DraftStore.#ler();
+    rascunhos[`${usuarioId}:${nome}`] = { dados, salvoEm: new Date().toISOString() };
+    localStorage.setItem(DraftStore.CHAVE, JSON.stringify(rascunhos));
+  }
+
+  /**
+   * Obtém o rascunho de um formulário
+   *
+   * @static
+   * @param {number|string} usuarioId - Dono do rascunho
+   * @param {string} nome - Identificador do formulário
+   * @returns {{dados: Object, salvoEm: string}|null} Rascunho ou null
+   */
+  static obter(usuarioId, nome) {
+    return DraftStore.#ler()[`${usuarioId}:${nome}`] || null;
+  }
+
+  /**
+   * Remove o rascunho de um formulário
+   *
+   * @static
+   * @param {number|string} usuarioId - Dono do rascunho
+   * @param {string} nome - Identificador do formulário
+   */
+  static remover(usuarioId, nome) {
+    const rascunhos = DraftStore.#ler();
+    delete rascunhos[`${usuarioId}:${nome}`];
+    localStorage.setItem(DraftStore.CHAVE, JSON.stringify(rascunhos));
+  }
+
+  /**
+   * Registra uma função que salva o rascunho da página
+   *
+   * @static
+   * @param {Function} salvador - Função (síncrona ou assíncrona) sem argumentos;
+   * retorna false quando não havia nada a salvar
+   * @returns {Function} Cancela o registro
+   */
+  static registrar(salvador) {
+    DraftStore.#salvadores.add(salvador);
+    return () => DraftStore.#salvadores.delete(salvador);
+  }
+
+  /**
+   * Executa todas as funções registradas
+   * Uma falha não impede as demais
+   *
+   * @static
+   * @returns {Promise<number>} Quantidade de rascunhos salvos com sucesso
+   */
+  static async salvarTodos() {
+    const resultados = await Promise.allSettled([...DraftStore.#salvadores].map(async salvador => salvador()));
+    resultados
+      .filter(r => r.status === 'rejected')
+      .forEach(r => console.error('Erro ao salvar rascunho:', r.reason));
+    return resultados.filter(r => r.status === 'fulfilled' && r.value !== false).length;
+  }
+
+  /**
+   * Lê todos os rascunhos
+   *
+   * @static
+   * @private
+   * @returns {Object} Rascunhos indexados por "usuarioId:nome"
+   */
+  static #ler() {
+    try {
+      const rascunhos = JSON.parse(localStorage.getItem(DraftStore.CHAVE) || '{}');
+      return rascunhos && typeof rascunhos === 'object' ? rascunhos : {};
+    } catch {
+      return {};
+    }
+  }
+}
+
+// Disponibilizar globalmente para compatibilidade com código legado
+window.DraftStore = DraftStore;
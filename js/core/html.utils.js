@@ -0,0 +1,33 @@
+/**
+ * HtmlUtils.js - Utilitários para montar HTML com segurança
+ *
+ * @description Escapa textos vindos do usuário ou do armazenamento antes de
+ * interpolá-los em templates HTML, tanto em conteúdo quanto em atributos
+ * entre aspas. Usado por controllers, componentes de UI e exportações.
+ *
+ * @author ProTech Development Team
+ * @version 1.0.0
+ * @since 2025-08-06
+ */
+export class HtmlUtils {
+  /**
+   * Escapa &, <, >, aspas duplas e simples
+   *
+   * @param {*} texto - Valor a escapar; null e undefined viram string vazia
+   * @returns {string} Texto seguro para conteúdo e atributos HTML
+   *
+   * @example
+   * HtmlUtils.escapar('<b title="x">') // '&lt;b title=&quot;x&quot;&gt;'
+   */
+  static escapar(texto) {
+    return String(texto ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+// Disponibilizar globalmente para compatibilidade com código legado
+window.HtmlUtils = HtmlUtils;
@@ -19,6 +19,32 @@ export { Toast } from './toast.js';
 // Validation system
 export { Validation } from './validation.js';
 
+// HTML escaping for templates built from user data
+export { HtmlUtils } from './html.utils.js';
+
+// Prompt template engine
+export { TemplateEngine } from './template.engine.js';
+
+// Word-level text diff used by proposta versions
+export { TextDiff } from './text.diff.js';
+
+// Client-side document generators used by exports
+export { ZipWriter } from './zip.writer.js';
+export { PdfWriter } from './pdf.writer.js';
+export { DocxWriter } from './docx.writer.js';
+
+// ZIP parsing used by imports
+export { ZipReader } from './zip.reader.js';
+
+// Session storage (single source of truth for the authenticated session)
+export { SessionStore } from './session.store.js';
+
+// Per-user form drafts kept across sign-outs
+export { DraftStore } from './draft.store.js';
+
+// Maintenance mode banner shown to admins
+export { MaintenanceBanner } from './maintenance.banner.js';
+
 // Session management
 export { default as UserSessionManager } from './session.manager.js';
 
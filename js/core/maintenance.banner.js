@@ -0,0 +1,59 @@
+/**
+ * MaintenanceBanner.js - Aviso fixo de modo manutenção
+ *
+ * @description Faixa no topo da página, exibida pelo AuthService aos
+ * administradores enquanto o modo manutenção estiver ativo. Ela acompanha a
+ * navegação entre páginas porque o AuthService é carregado em todas.
+ *
+ * @author ProTech Development Team
+ * @version 1.0.0
+ * @since 2025-08-06
+ */
+export class MaintenanceBanner {
+  /**
+   * ID do elemento da faixa
+   *
+   * @static
+   * @readonly
+   * @type {string}
+   */
+  static ID = 'bannerManutencao';
+
+  /**
+   * Exibe (ou atualiza) a faixa de manutenção
+   *
+   * @static
+   * @param {Object} dados - Dados da manutenção
+   * @param {string} dados.mensagem - Mensagem exibida aos usuários
+   * @param {string|null} dados.previsao - Data/hora ISO prevista para o retorno
+   */
+  static exibir({ mensagem, previsao }) {
+    if (!document.body) return;
+
+    let faixa = document.getElementById(MaintenanceBanner.ID);
+    if (!faixa) {
+      faixa = document.createElement('div');
+      faixa.id = MaintenanceBanner.ID;
+      faixa.setAttribute('role', 'status');
+      faixa.className = 'sticky top-0 z-50 bg-yellow-400 text-yellow-900 text-sm px-4 py-2 text-center shadow';
+      document.body.prepend(faixa);
+    }
+
+    const retorno = previsao
+      ? ` Previsão de retorno: ${new Date(previsao).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' })}.`
+      : '';
+    faixa.textContent = `🛠️ Modo manutenção ativo: apenas administradores têm acesso.${retorno} Mensagem aos usuários: "${mensagem}"`;
+  }
+
+  /**
+   * Remove a faixa, se existir
+   *
+   * @static
+   */
+  static ocultar() {
+    document.getElementById(MaintenanceBanner.ID)?.remove();
+  }
+}
+
+// Disponibilizar globalmente para compatibilidade com código legado
+window.MaintenanceBanner = MaintenanceBanner;
@@ -0,0 +1,247 @@
+/**
+ * PdfWriter.js - Geração de PDF de texto no navegador
+ *
+ * @description Produz um PDF 1.4 A4 com as fontes padrão Helvetica e Courier
+ * (codificação WinAnsi, que cobre os acentos do português), quebra de linha
+ * automática, paginação e rodapé "Página N de M". Recebe a mesma lista de
+ * blocos usada pelos demais formatos de exportação.
+ *
+ * Caracteres fora do WinAnsi (ex.: emojis) são omitidos.
+ *
+ * @author ProTech Development Team
+ * @version 1.0.0
+ * @since 2025-08-06
+ */
+export class PdfWriter {
+  /**
+   * Estilo de cada tipo de bloco: fonte, tamanho e espaço antes (pt)
+   *
+   * @static
+   * @readonly
+   * @type {Object<string, {fonte: string, tamanho: number, antes: number}>}
+   */
+  static ESTILOS = {
+    titulo: { fonte: 'F2', tamanho: 18, antes: 0 },
+    secao: { fonte: 'F2', tamanho: 14, antes: 14 },
+    subsecao: { fonte: 'F2', tamanho: 12, antes: 10 },
+    paragrafo: { fonte: 'F1', tamanho: 11, antes: 6 },
+    item: { fonte: 'F1', tamanho: 11, antes: 2 },
+    codigo: { fonte: 'F3', tamanho: 9.5, antes: 6 },
+    divisor: { fonte: 'F1', tamanho: 11, antes: 10 }
+  };
+
+  /**
+   * Dimensões da página A4 e margens (pt)
+   *
+   * @static
+   * @readonly
+   */
+  static PAGINA = { largura: 595, altura: 842, margem: 56 };
+
+  /**
+   * Caracteres do intervalo 0x80–0x9F do WinAnsi
+   *
+   * @private
+   * @static
+   * @type {Object<string, number>}
+   */
+  static #winAnsi = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+    '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93,
+    '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B,
+    'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+  };
+
+  /**
+   * Gera os bytes do PDF
+   *
+   * @param {Array<{tipo: string, texto?: string}>} blocos - Conteúdo em ordem
+   * @param {Object} [opcoes]
+   * @param {string} [opcoes.titulo='Documento'] - Título nas propriedades do arquivo
+   * @returns {Uint8Array} Conteúdo do PDF
+   */
+  static gerar(blocos, opcoes = {}) {
+    const { titulo = 'Documento' } = opcoes;
+    const paginas = PdfWriter.#paginar(blocos);
+    const total = paginas.length;
+
+    const objetos = [];
+    const adicionar = (conteudo) => objetos.push(conteudo); // Retorna o número do objeto
+
+    const catalogo = adicionar('<< /Type /Catalog /Pages 2 0 R >>');
+    adicionar(null); // Pages, preenchido após conhecer as páginas
+    const fontes = ['Helvetica', 'Helvetica-Bold', 'Courier'].map(base =>
+      adicionar(`<< /Type /Font /Subtype /Type1 /BaseFont /${base} /Encoding /WinAnsiEncoding >>`)
+    );
+    const info = adicionar(`<< /Title (${PdfWriter.#escapar(titulo)}) /Producer (Utilidade Pro) /CreationDate (D:${PdfWriter.#dataPdf(new Date())}) >>`);
+
+    const recursos = `<< /Font << /F1 ${fontes[0]} 0 R /F2 ${fontes[1]} 0 R /F3 ${fontes[2]} 0 R >> >>`;
+    const kids = paginas.map((operacoes, indice) => {
+      const rodape = PdfWriter.#texto('F1', 9, PdfWriter.PAGINA.margem, 30, `Página ${indice + 1} de ${total}`);
+      const fluxo = [...operacoes, rodape].join('\n');
+      const conteudo = adicionar(`<< /Length ${fluxo.length} >>\nstream\n${fluxo}\nendstream`);
+      return adicionar(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PdfWriter.PAGINA.largura} ${PdfWriter.PAGINA.altura}] /Resources ${recursos} /Contents ${conteudo} 0 R >>`);
+    });
+    objetos[1] = `<< /Type /Pages /Kids [${kids.map(id => `${id} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+    let saida = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+    const posicoes = objetos.map((conteudo, indice) => {
+      const posicao = saida.length;
+      saida += `${indice + 1} 0 obj\n${conteudo}\nendobj\n`;
+      return posicao;
+    });
+
+    const xref = saida.length;
+    saida += `xref\n0 ${objetos.length + 1}\n0000000000 65535 f \n`;
+    saida += posicoes.map(posicao => `${String(posicao).padStart(10, '0')} 00000 n \n`).join('');
+    saida += `trailer\n<< /Size ${objetos.length + 1} /Root ${catalogo} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF`;
+
+    // Todo caractere da saída já está no intervalo 0–255
+    return Uint8Array.from(saida, caractere => caractere.charCodeAt(0));
+  }
+
+  /**
+   * Distribui os blocos em páginas, retornando os operadores de cada uma
+   *
+   * @private
+   * @static
+   * @param {Array<{tipo: string, texto?: string}>} blocos - Conteúdo
+   * @returns {string[][]} Operadores por página
+   */
+  static #paginar(blocos) {
+    const { largura, altura, margem } = PdfWriter.PAGINA;
+    const larguraUtil = largura - margem * 2;
+    const paginas = [[]];
+    let y = altura - margem;
+
+    const novaLinha = (alturaLinha) => {
+      if (y - alturaLinha < margem) {
+        paginas.push([]);
+        y = altura - margem;
+      }
+      y -= alturaLinha;
+    };
+
+    blocos.forEach(({ tipo, texto = '' }) => {
+      const estilo = PdfWriter.ESTILOS[tipo] || PdfWriter.ESTILOS.paragrafo;
+      const entrelinha = estilo.tamanho * 1.35;
+      y -= estilo.antes;
+
+      if (tipo === 'divisor') {
+        novaLinha(entrelinha / 2);
+        paginas[paginas.length - 1].push(`0.75 G ${margem} ${y.toFixed(2)} m ${largura - margem} ${y.toFixed(2)} l S 0 G`);
+        return;
+      }
+
+      const recuo = tipo === 'item' ? 14 : 0;
+      const limpo = PdfWriter.#codificar(texto.replace(/\*\*(.+?)\*\*/g, '$1'));
+      const linhas = tipo === 'codigo'
+        ? limpo.split('\n').flatMap(linha => PdfWriter.#quebrar(linha, larguraUtil, estilo.tamanho, 0.6))
+        : limpo.split('\n').flatMap(linha => PdfWriter.#quebrar(linha.replace(/\s+/g, ' ').trim(), larguraUtil - recuo, estilo.tamanho, estilo.fonte === 'F2' ? 0.56 : 0.52));
+
+      linhas.forEach((linha, indice) => {
+        novaLinha(entrelinha);
+        const operacoes = paginas[paginas.length - 1];
+        if (tipo === 'item' && indice === 0) {
+          operacoes.push(PdfWriter.#texto(estilo.fonte, estilo.tamanho, margem + 2, y, '•'));
+        }
+        operacoes.push(PdfWriter.#texto(estilo.fonte, estilo.tamanho, margem + recuo, y, linha));
+      });
+    });
+
+    return paginas;
+  }
+
+  /**
+   * Quebra um texto em linhas pela largura aproximada dos caracteres
+   *
+   * @private
+   * @static
+   * @param {string} texto - Texto já codificado
+   * @param {number} larguraUtil - Largura disponível (pt)
+   * @param {number} tamanho - Tamanho da fonte
+   * @param {number} fator - Largura média de um caractere em em
+   * @returns {string[]} Linhas
+   */
+  static #quebrar(texto, larguraUtil, tamanho, fator) {
+    const maximo = Math.max(10, Math.floor(larguraUtil / (tamanho * fator)));
+    if (texto.length <= maximo) return [texto];
+
+    const linhas = [];
+    let atual = '';
+    texto.split(' ').forEach(palavra => {
+      while (palavra.length > maximo) {
+        if (atual) {
+          linhas.push(atual);
+          atual = '';
+        }
+        linhas.push(palavra.slice(0, maximo));
+        palavra = palavra.slice(maximo);
+      }
+      if (!atual) {
+        atual = palavra;
+      } else if (atual.length + 1 + palavra.length <= maximo) {
+        atual += ` ${palavra}`;
+      } else {
+        linhas.push(atual);
+        atual = palavra;
+      }
+    });
+    if (atual || linhas.length === 0) linhas.push(atual);
+    return linhas;
+  }
+
+  /**
+   * Operador de texto posicionado
+   *
+   * @private
+   * @static
+   */
+  static #texto(fonte, tamanho, x, y, texto) {
+    return `BT /${fonte} ${tamanho} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${PdfWriter.#escapar(texto)}) Tj ET`;
+  }
+
+  /**
+   * Converte o texto para WinAnsi, descartando caracteres não representáveis
+   *
+   * @private
+   * @static
+   * @param {string} texto - Texto Unicode
+   * @returns {string} Texto com um caractere por byte
+   */
+  static #codificar(texto) {
+    return Array.from(String(texto).replace(/\t/g, '    '), caractere => {
+      const codigo = caractere.codePointAt(0);
+      // 0x80–0x9F só aparece em texto já codificado, o que torna a função idempotente
+      if (caractere === '\n' || (codigo >= 0x20 && codigo <= 0x7E) || (codigo >= 0x80 && codigo <= 0xFF)) {
+        return caractere;
+      }
+      const winAnsi = PdfWriter.#winAnsi[caractere];
+      return winAnsi ? String.fromCharCode(winAnsi) : '';
+    }).join('');
+  }
+
+  /**
+   * Escapa delimitadores de string PDF
+   *
+   * @private
+   * @static
+   */
+  static #escapar(texto) {
+    return PdfWriter.#codificar(texto).replace(/[\\()]/g, '\\$&').replace(/\n/g, ' ');
+  }
+
+  /**
+   * Data no formato D:AAAAMMDDHHmmSS
+   *
+   * @private
+   * @static
+   */
+  static #dataPdf(data) {
+    const pad = (valor) => String(valor).padStart(2, '0');
+    return `${data.getFullYear()}${pad(data.getMonth() + 1)}${pad(data.getDate())}${pad(data.getHours())}${pad(data.getMinutes())}${pad(data.getSeconds())}`;
+  }
+}
+
+// Disponibilizar globalmente para compatibilidade com código legado
+window.PdfWriter = PdfWriter;
@@ -1,15 +1,17 @@
 /**
  * UserSessionManager - Gerenciador centralizado de sessões de usuário
  * 
- * @description Classe responsável por centralizar toda a lógica de 
- * manipulação de localStorage e sessionStorage, garantindo consistência
- * e segurança no armazenamento de dados de sessão.
+ * @description Classe responsável pelo ciclo de vida da sessão do usuário
+ * (inicialização, atividade, limpeza automática e estatísticas). A persistência
+ * é delegada ao SessionStore, fonte única das chaves e do formato da sessão.
  * 
  * @author Desenvolvedor Full Stack Sênior
  * @version 2.0.0
  * @since 2025-08-02
  */
 
+import { SessionStore } from './session.store.js';
+
 class UserSessionManager {
   
   /**
@@ -18,18 +20,8 @@ class UserSessionManager {
    * @readonly
    */
   static CONFIG = {
-    STORAGE_KEYS: {
-      USER_DATA: 'utilidadepro_user_data',
-      SESSION_TOKEN: 'utilidadepro_session_token',
-      REMEMBER_ME: 'utilidadepro_remember_me',
-      LAST_LOGIN: 'utilidadepro_last_login'
-    },
-    ENCRYPTION: {
-      ENABLED: true,
-      ALGORITHM: 'base64' // Simulação de criptografia com btoa/atob
-    },
     SESSION: {
-      TIMEOUT: 24 * 60 * 60 * 1000, // 24 horas em ms
+      TIMEOUT: SessionStore.DURACAO.PADRAO, // 24 horas em ms
       REFRESH_INTERVAL: 30 * 60 * 1000 // 30 minutos em ms
     }
   };
@@ -95,45 +87,15 @@ class UserSessionManager {
         throw new Error('Dados de usuário inválidos');
       }
 
-      // Gerar token de sessão
-      const sessionToken = this._generateSessionToken();
-      
-      // Preparar dados para armazenamento
-      const sessionData = {
-        ...userData,
-        sessionToken,
-        loginTime: new Date().toISOString(),
-        lastActivity: new Date().toISOString(),
-        rememberMe
-      };
-
-      // Criptografar dados (simulação)
-      const encryptedData = this._encryptData(sessionData);
-      
-      // Salvar em sessionStorage (sempre)
-      sessionStorage.setItem(
-        UserSessionManager.CONFIG.STORAGE_KEYS.USER_DATA, 
-        encryptedData
-      );
-      
-      // Salvar em localStorage (se lembrar)
-      if (rememberMe) {
-        localStorage.setItem(
-          UserSessionManager.CONFIG.STORAGE_KEYS.USER_DATA, 
-          encryptedData
-        );
-        localStorage.setItem(
-          UserSessionManager.CONFIG.STORAGE_KEYS.REMEMBER_ME, 
-          'true'
-        );
-      }
+      // Persistir pelo armazenamento único de sessão
+      const sessao = SessionStore.salvar(userData, { lembrar: rememberMe });
 
       // Atualizar estado interno
-      this.currentUser = sessionData;
-      this.sessionToken = sessionToken;
+      this.currentUser = this._fromSession(sessao);
+      this.sessionToken = sessao.sessionId;
       
       console.log('✅ Sessão salva com sucesso');
-      console.log(`🔒 Token gerado: ${sessionToken.substring(0, 10)}...`);
+      console.log(`🔒 Token gerado: ${sessao.sessionId.substring(0, 10)}...`);
       console.groupEnd();
       
       return true;
@@ -151,25 +113,20 @@ class UserSessionManager {
    */
   getUserSession() {
     try {
-      if (this.currentUser) {
-        // Verificar se a sessão ainda é válida
-        if (this._isSessionValid(this.currentUser)) {
-          return { ...this.currentUser };
-        } else {
+      // SessionStore descarta sessões expiradas automaticamente
+      const sessao = SessionStore.obter();
+      if (!sessao) {
+        if (this.currentUser) {
           console.warn('⚠️ Sessão expirada, limpando dados');
-          this.clearSession();
-          return null;
         }
+        this.currentUser = null;
+        this.sessionToken = null;
+        return null;
       }
 
-      // Tentar carregar do storage
-      const userData = this._loadFromStorage();
-      if (userData && this._isSessionValid(userData)) {
-        this.currentUser = userData;
-        return { ...userData };
-      }
-
-      return null;
+      this.currentUser = this._fromSession(sessao);
+      this.sessionToken = sessao.sessionId;
+      return { ...this.currentUser };
       
     } catch (error) {
       console.error('💥 Erro ao recuperar sessão:', error);
@@ -183,29 +140,15 @@ class UserSessionManager {
    */
   isAuthenticated() {
     const user = this.getUserSession();
-    return user !== null && user.id && user.name;
+    return user !== null && user.id !== undefined;
   }
 
   /**
    * Atualiza o timestamp de última atividade
    */
   updateLastActivity() {
-    if (this.currentUser) {
+    if (this.currentUser && SessionStore.registrarAtividade()) {
       this.currentUser.lastActivity = new Date().toISOString();
-      
-      // Salvar novamente
-      const encryptedData = this._encryptData(this.currentUser);
-      sessionStorage.setItem(
-        UserSessionManager.CONFIG.STORAGE_KEYS.USER_DATA, 
-        encryptedData
-      );
-      
-      if (this.currentUser.rememberMe) {
-        localStorage.setItem(
-          UserSessionManager.CONFIG.STORAGE_KEYS.USER_DATA, 
-          encryptedData
-        );
-      }
     }
   }
 
@@ -217,15 +160,8 @@ class UserSessionManager {
     try {
       console.group('🧹 Limpando sessão do usuário');
       
-      // Limpar sessionStorage
-      Object.values(UserSessionManager.CONFIG.STORAGE_KEYS).forEach(key => {
-        sessionStorage.removeItem(key);
-      });
-      
-      // Limpar localStorage relacionado
-      Object.values(UserSessionManager.CONFIG.STORAGE_KEYS).forEach(key => {
-        localStorage.removeItem(key);
-      });
+      // Limpar sessionStorage e localStorage
+      SessionStore.limpar();
       
       // Limpar estado interno
       this.currentUser = null;
@@ -304,45 +240,27 @@ class UserSessionManager {
    * @private
    */
   async _loadExistingSession() {
-    const userData = this._loadFromStorage();
-    if (userData && this._isSessionValid(userData)) {
-      this.currentUser = userData;
-      this.sessionToken = userData.sessionToken;
-      console.log(`🔄 Sessão existente carregada para: ${userData.name}`);
+    const userData = this.getUserSession();
+    if (userData) {
+      console.log(`🔄 Sessão existente carregada para: ${userData.name || userData.email}`);
     }
   }
 
   /**
-   * Carrega dados do storage
+   * Converte a sessão do SessionStore no formato exposto por este gerenciador
    * @private
-   * @returns {Object|null} Dados do usuário
+   * @param {Object} sessao - Sessão do SessionStore
+   * @returns {Object} Dados do usuário com metadados da sessão
    */
-  _loadFromStorage() {
-    try {
-      // Tentar sessionStorage primeiro
-      let encryptedData = sessionStorage.getItem(
-        UserSessionManager.CONFIG.STORAGE_KEYS.USER_DATA
-      );
-      
-      // Se não encontrar, tentar localStorage
-      if (!encryptedData) {
-        encryptedData = localStorage.getItem(
-          UserSessionManager.CONFIG.STORAGE_KEYS.USER_DATA
-        );
-      }
-      
-      if (!encryptedData) {
-        return null;
-      }
-
-      // Descriptografar e parsear
-      const userData = this._decryptData(encryptedData);
-      return userData;
-      
-    } catch (error) {
-      console.warn('⚠️ Erro ao carregar dados do storage:', error);
-      return null;
-    }
+  _fromSession(sessao) {
+    return {
+      ...sessao.usuario,
+      sessionToken: sessao.sessionId,
+      loginTime: new Date(sessao.loginTime).toISOString(),
+      lastActivity: new Date(sessao.lastActivity).toISOString(),
+      expiresAt: new Date(sessao.expiresAt).toISOString(),
+      rememberMe: sessao.lembrar
+    };
   }
 
   /**
@@ -352,60 +270,12 @@ class UserSessionManager {
    * @returns {boolean} Validade dos dados
    */
   _validateUserData(userData) {
-    const requiredFields = ['id', 'name', 'email'];
-    return requiredFields.every(field => 
+    const idValido = (typeof userData.id === 'string' && userData.id) || Number.isFinite(userData.id);
+    return !!idValido && ['name', 'email'].every(field =>
       userData[field] && typeof userData[field] === 'string'
     );
   }
 
-  /**
-   * Gera token de sessão único
-   * @private
-   * @returns {string} Token de sessão
-   */
-  _generateSessionToken() {
-    const timestamp = Date.now();
-    const random = Math.random().toString(36).substring(2);
-    return `session_${timestamp}_${random}`;
-  }
-
-  /**
-   * Criptografa dados usando btoa (simulação)
-   * @private
-   * @param {Object} data - Dados a criptografar
-   * @returns {string} Dados criptografados
-   */
-  _encryptData(data) {
-    try {
-      const jsonString = JSON.stringify(data);
-      return btoa(jsonString);
-    } catch (error) {
-      console.warn('⚠️ Falha na criptografia, salvando sem criptografar');
-      return JSON.stringify(data);
-    }
-  }
-
-  /**
-   * Descriptografa dados usando atob (simulação)
-   * @private
-   * @param {string} encryptedData - Dados criptografados
-   * @returns {Object} Dados descriptografados
-   */
-  _decryptData(encryptedData) {
-    try {
-      // Tentar descriptografar com atob
-      const jsonString = atob(encryptedData);
-      return JSON.parse(jsonString);
-    } catch (error) {
-      // Se falhar, tentar como JSON direto (fallback)
-      try {
-        return JSON.parse(encryptedData);
-      } catch (parseError) {
-        throw new Error('Dados corrompidos ou inválidos');
-      }
-    }
-  }
-
   /**
    * Verifica se a sessão ainda é válida
    * @private
@@ -413,15 +283,11 @@ class UserSessionManager {
    * @returns {boolean} Validade da sessão
    */
   _isSessionValid(userData) {
-    if (!userData || !userData.loginTime) {
+    if (!userData || !userData.expiresAt) {
       return false;
     }
 
-    const loginTime = new Date(userData.loginTime);
-    const now = new Date();
-    const sessionAge = now - loginTime;
-    
-    return sessionAge < UserSessionManager.CONFIG.SESSION.TIMEOUT;
+    return new Date() < new Date(userData.expiresAt);
   }
 
   /**
@@ -0,0 +1,326 @@
+/**
+ * SessionStore.js - Armazenamento único da sessão do usuário
+ *
+ * @description Fonte única de verdade para a sessão autenticada. Centraliza
+ * chaves de armazenamento, serialização, expiração e "lembrar-me", substituindo
+ * os formatos paralelos usados por AuthService (`ferramenta_protech_session`),
+ * UserSessionManager (`utilidadepro_user_data`) e a página de boas-vindas
+ * (`usuarioLogado`). Sessões nesses formatos são migradas uma única vez.
+ *
+ * A sessão fica sempre no sessionStorage; com "lembrar-me" uma cópia é mantida
+ * no localStorage e restaurada em novas abas.
+ *
+ * @author ProTech Development Team
+ * @version 1.0.0
+ * @since 2025-08-06
+ */
+export class SessionStore {
+  /**
+   * Chave de armazenamento da sessão atual
+   *
+   * @static
+   * @readonly
+   * @type {string}
+   */
+  static CHAVE = 'protech_session';
+
+  /**
+   * Versão do formato serializado da sessão
+   *
+   * @static
+   * @readonly
+   * @type {number}
+   */
+  static VERSAO = 1;
+
+  /**
+   * Duração das sessões em ms
+   *
+   * @static
+   * @readonly
+   * @type {{PADRAO: number, LEMBRAR: number}}
+   */
+  static DURACAO = {
+    PADRAO: 24 * 60 * 60 * 1000,       // 24 horas
+    LEMBRAR: 30 * 24 * 60 * 60 * 1000  // 30 dias
+  };
+
+  /**
+   * Chaves dos formatos de sessão anteriores
+   * Lidas apenas durante a migração e removidas em seguida
+   *
+   * @static
+   * @readonly
+   * @type {Array<{storage: string, chave: string, formato: string}>}
+   */
+  static CHAVES_LEGADAS = [
+    { storage: 'session', chave: 'ferramenta_protech_session', formato: 'json' },
+    { storage: 'local', chave: 'ferramenta_protech_session_remember', formato: 'json', lembrar: true },
+    { storage: 'local', chave: 'ferramenta_protech_session', formato: 'json', lembrar: true },
+    { storage: 'session', chave: 'utilidadepro_user_data', formato: 'base64' },
+    { storage: 'local', chave: 'utilidadepro_user_data', formato: 'base64', lembrar: true },
+    { storage: 'session', chave: 'usuarioLogado', formato: 'json' },
+    { storage: 'local', chave: 'usuarioLogado', formato: 'json', lembrar: true },
+    { storage: 'session', chave: 'utilidadepro_session_token' },
+    { storage: 'local', chave: 'utilidadepro_session_token' },
+    { storage: 'local', chave: 'utilidadepro_remember_me' },
+    { storage: 'local', chave: 'utilidadepro_last_login' }
+  ];
+
+  /**
+   * Cria e persiste uma nova sessão para o usuário
+   *
+   * @param {Object} usuario - Dados públicos do usuário (sem credenciais)
+   * @param {Object} [opcoes] - Opções da sessão
+   * @param {boolean} [opcoes.lembrar=false] - Persistir entre abas e reinícios do navegador
+   * @param {number} [opcoes.duracao] - Duração customizada em ms
+   * @returns {Object} Sessão criada
+   *
+   * @example
+   * SessionStore.salvar({ id: 1, email: 'admin@promptpro.com', role: 'admin' }, { lembrar: true });
+   */
+  static salvar(usuario, opcoes = {}) {
+    const { lembrar = false } = opcoes;
+    const duracao = opcoes.duracao || (lembrar ? this.DURACAO.LEMBRAR : this.DURACAO.PADRAO);
+    const agora = Date.now();
+
+    const sessao = {
+      versao: this.VERSAO,
+      sessionId: this.#gerarSessionId(),
+      usuario: { ...usuario },
+      loginTime: agora,
+      lastActivity: agora,
+      expiresAt: agora + duracao,
+      lembrar
+    };
+
+    this.#gravar(sessao);
+    return sessao;
+  }
+
+  /**
+   * Obtém a sessão ativa, restaurando a cópia "lembrar-me" quando necessário
+   * Sessões expiradas são descartadas automaticamente
+   *
+   * @returns {Object|null} Sessão válida ou null
+   */
+  static obter() {
+    this.migrarLegado();
+
+    let sessao = this.#ler(sessionStorage);
+
+    // Restaurar login lembrado para a aba atual
+    if (!sessao) {
+      sessao = this.#ler(localStorage);
+      if (sessao) {
+        sessionStorage.setItem(this.CHAVE, JSON.stringify(sessao));
+      }
+    }
+
+    if (!sessao) {
+      return null;
+    }
+
+    if (Date.now() > sessao.expiresAt) {
+      this.limpar();
+      return null;
+    }
+
+    return sessao;
+  }
+
+  /**
+   * Obtém o usuário da sessão ativa no formato consumido pela aplicação
+   *
+   * @returns {Object|null} Usuário com loginTime e sessionId, ou null
+   */
+  static obterUsuario() {
+    const sessao = this.obter();
+    if (!sessao) {
+      return null;
+    }
+
+    return {
+      ...sessao.usuario,
+      loginTime: sessao.loginTime,
+      sessionId: sessao.sessionId
+    };
+  }
+
+  /**
+   * Indica se existe sessão válida
+   *
+   * @returns {boolean} True se autenticado
+   */
+  static estaAtiva() {
+    return this.obter() !== null;
+  }
+
+  /**
+   * Registra atividade do usuário na sessão
+   *
+   * @returns {boolean} True se havia sessão para atualizar
+   */
+  static registrarAtividade() {
+    const sessao = this.obter();
+    if (!sessao) {
+      return false;
+    }
+
+    sessao.lastActivity = Date.now();
+    this.#gravar(sessao);
+    return true;
+  }
+
+  /**
+   * Atualiza dados do usuário na sessão sem reiniciar a expiração
+   *
+   * @param {Object} dados - Campos do usuário a mesclar
+   * @returns {Object|null} Sessão atualizada ou null se não autenticado
+   */
+  static atualizarUsuario(dados) {
+    const sessao = this.obter();
+    if (!sessao) {
+      return null;
+    }
+
+    sessao.usuario = { ...sessao.usuario, ...dados };
+    this.#gravar(sessao);
+    return sessao;
+  }
+
+  /**
+   * Remove a sessão de todos os armazenamentos
+   */
+  static limpar() {
+    sessionStorage.removeItem(this.CHAVE);
+    localStorage.removeItem(this.CHAVE);
+  }
+
+  /**
+   * Migra sessões dos formatos antigos para o formato único
+   * Executa somente enquanto houver chaves legadas; depois é um no-op
+   *
+   * @returns {boolean} True se alguma sessão legada foi migrada
+   */
+  static migrarLegado() {
+    const presentes = this.CHAVES_LEGADAS.filter(({ storage, chave }) =>
+      this.#storage(storage).getItem(chave) !== null
+    );
+
+    if (presentes.length === 0) {
+      return false;
+    }
+
+    let migrada = false;
+    const atual = this.#ler(sessionStorage) || this.#ler(localStorage);
+
+    if (!atual) {
+      for (const legado of presentes) {
+        if (!legado.formato) continue;
+
+        const usuario = this.#lerLegado(legado);
+        if (usuario && (usuario.id !== undefined || usuario.email)) {
+          const { senha, senhaHash, loginTime, sessionId, sessionToken, lastActivity, rememberMe, ...publico } = usuario;
+          this.salvar(publico, { lembrar: !!legado.lembrar || !!rememberMe });
+          migrada = true;
+          break;
+        }
+      }
+    }
+
+    // Remover todas as chaves antigas, migradas ou não
+    presentes.forEach(({ storage, chave }) => this.#storage(storage).removeItem(chave));
+
+    return migrada;
+  }
+
+  /**
+   * Grava a sessão no sessionStorage e, se "lembrar-me", no localStorage
+   *
+   * @private
+   * @param {Object} sessao - Sessão a gravar
+   */
+  static #gravar(sessao) {
+    const serializada = JSON.stringify(sessao);
+    sessionStorage.setItem(this.CHAVE, serializada);
+
+    if (sessao.lembrar) {
+      localStorage.setItem(this.CHAVE, serializada);
+    } else {
+      localStorage.removeItem(this.CHAVE);
+    }
+  }
+
+  /**
+   * Lê e valida uma sessão serializada
+   *
+   * @private
+   * @param {Storage} storage - sessionStorage ou localStorage
+   * @returns {Object|null} Sessão ou null se ausente/corrompida
+   */
+  static #ler(storage) {
+    try {
+      const sessao = JSON.parse(storage.getItem(this.CHAVE) || 'null');
+      if (sessao && sessao.versao === this.VERSAO && sessao.usuario) {
+        return sessao;
+      }
+    } catch {
+      // Conteúdo corrompido é tratado como ausência de sessão
+    }
+    return null;
+  }
+
+  /**
+   * Lê um registro de sessão em formato legado
+   *
+   * @private
+   * @param {Object} legado - Descritor de CHAVES_LEGADAS
+   * @returns {Object|null} Dados do usuário
+   */
+  static #lerLegado({ storage, chave, formato }) {
+    try {
+      const bruto = this.#storage(storage).getItem(chave);
+      if (formato === 'base64') {
+        try {
+          return JSON.parse(atob(bruto));
+        } catch {
+          return JSON.parse(bruto);
+        }
+      }
+      return JSON.parse(bruto);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Resolve o Storage pelo nome
+   *
+   * @private
+   * @param {string} nome - 'session' ou 'local'
+   * @returns {Storage} Storage correspondente
+   */
+  static #storage(nome) {
+    return nome === 'session' ? sessionStorage : localStorage;
+  }
+
+  /**
+   * Gera ID de sessão único
+   *
+   * @private
+   * @returns {string} ID no formato 'sess_<timestamp>_<aleatório>'
+   */
+  static #gerarSessionId() {
+    const aleatorio = Array.from(crypto.getRandomValues(new Uint8Array(8)))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+    return `sess_${Date.now()}_${aleatorio}`;
+  }
+}
+
+// Disponibilizar globalmente para compatibilidade com código legado
+// TODO: Migrar para sistema de módulos ES6 em toda a aplicação
+window.SessionStore = SessionStore;
+
+console.log('✅ SessionStore carregado e disponível globalmente');
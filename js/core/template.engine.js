@@ -0,0 +1,353 @@
+/**
+ * TemplateEngine.js - Motor de templates de prompt
+ *
+ * @description Interpreta a linguagem dos templates do PropostaService:
+ *
+ * - Placeholders: `{TEMA}`
+ * - Valor padrão: `{PUBLICO_ALVO|Público geral}`, `{TOM|"neutro"}` ou `{TOM|default:neutro}`
+ * - Filtros encadeáveis: `{TEMA|upper}`, `{DETALHES|truncate:120}`, `{PALAVRAS_CHAVE|join: / }`
+ * - Condicionais: `{{#if DETALHES}}...{{else}}...{{/if}}`
+ * - Repetição sobre listas: `{{#each PALAVRAS_CHAVE}}- {ITEM} ({INDICE}){{/each}}`
+ *
+ * Tags de bloco sozinhas em uma linha não deixam linhas em branco no resultado.
+ * Erros (sintaxe, placeholders ou filtros desconhecidos) são reportados com a
+ * linha de origem por validar(), para que o template seja recusado ao salvar.
+ *
+ * @author ProTech Development Team
+ * @version 1.0.0
+ * @since 2025-08-06
+ */
+export class TemplateEngine {
+  /**
+   * Filtros disponíveis nos placeholders
+   * Cada filtro recebe o valor atual e o argumento após ':' (se houver).
+   * Segmentos que não são filtros viram o valor padrão do placeholder, exceto
+   * os que parecem um filtro (`nome` ou `nome:arg` em minúsculas): esses são
+   * recusados como filtro desconhecido, para que erros de digitação como
+   * `{TEMA|uper}` não passem como padrão. Padrões nesse formato são escritos
+   * entre aspas (`{TOM|"neutro"}`) ou com `default:` (`{TOM|default:neutro}`).
+   *
+   * @static
+   * @readonly
+   * @type {Object<string, {argumentoValido?: Function, mensagemArgumento?: string, aplicar: Function}>}
+   */
+  static FILTROS = {
+    upper: { aplicar: (valor) => TemplateEngine.#texto(valor).toUpperCase() },
+    lower: { aplicar: (valor) => TemplateEngine.#texto(valor).toLowerCase() },
+    capitalize: {
+      aplicar: (valor) => {
+        const texto = TemplateEngine.#texto(valor);
+        return texto.charAt(0).toUpperCase() + texto.slice(1);
+      }
+    },
+    trim: { aplicar: (valor) => TemplateEngine.#texto(valor).trim() },
+    truncate: {
+      argumentoValido: (arg) => /^\d+$/.test((arg ?? '').trim()) && parseInt(arg, 10) > 0,
+      mensagemArgumento: 'truncate exige um número positivo (ex.: truncate:100)',
+      aplicar: (valor, arg) => {
+        const texto = TemplateEngine.#texto(valor);
+        const limite = parseInt(arg, 10);
+        return texto.length > limite ? `${texto.slice(0, limite).trimEnd()}…` : texto;
+      }
+    },
+    join: {
+      aplicar: (valor, arg) => Array.isArray(valor)
+        ? valor.map(item => TemplateEngine.#texto(item)).join(arg ?? ', ')
+        : TemplateEngine.#texto(valor)
+    }
+  };
+
+  /**
+   * Variáveis disponíveis dentro de {{#each}}
+   *
+   * @static
+   * @readonly
+   * @type {string[]}
+   */
+  static VARIAVEIS_LOOP = ['ITEM', 'INDICE'];
+
+  /**
+   * Valida um template sem renderizá-lo
+   *
+   * @param {string} fonte - Texto do template
+   * @param {Object} [opcoes] - Vocabulário aceito
+   * @param {string[]} [opcoes.variaveis=[]] - Placeholders escalares permitidos
+   * @param {string[]} [opcoes.listas=[]] - Placeholders de lista (aceitos em #each)
+   * @returns {{isValid: boolean, errors: string[], firstError: string|null}} Resultado
+   *
+   * @example
+   * TemplateEngine.validar('{TEMA|upper} {FOO}', { variaveis: ['TEMA'] });
+   * // { isValid: false, errors: ['Linha 1: placeholder desconhecido {FOO}'], ... }
+   */
+  static validar(fonte, opcoes = {}) {
+    const { variaveis = [], listas = [] } = opcoes;
+    const { arvore, erros } = this.#analisar(fonte);
+
+    const conhecidas = new Set([...variaveis, ...listas]);
+    const listasConhecidas = new Set(listas);
+
+    const visitar = (nos, dentroDeLoop) => {
+      for (const no of nos) {
+        if (no.tipo === 'variavel') {
+          const loopVar = dentroDeLoop && this.VARIAVEIS_LOOP.includes(no.nome);
+          if (!loopVar && !conhecidas.has(no.nome)) {
+            erros.push(`Linha ${no.linha}: placeholder desconhecido {${no.nome}}`);
+          }
+          erros.push(...no.erros.map(erro => `Linha ${no.linha}: ${erro}`));
+        } else if (no.tipo === 'if') {
+          if (!conhecidas.has(no.nome) && !(dentroDeLoop && this.VARIAVEIS_LOOP.includes(no.nome))) {
+            erros.push(`Linha ${no.linha}: placeholder desconhecido em {{#if ${no.nome}}}`);
+          }
+          visitar(no.entao, dentroDeLoop);
+          visitar(no.senao, dentroDeLoop);
+        } else if (no.tipo === 'each') {
+          if (!listasConhecidas.has(no.nome)) {
+            erros.push(`Linha ${no.linha}: {{#each ${no.nome}}} exige uma lista (${listas.join(', ') || 'nenhuma disponível'})`);
+          }
+          visitar(no.corpo, true);
+        }
+      }
+    };
+
+    visitar(arvore, false);
+
+    return {
+      isValid: erros.length === 0,
+      errors: erros,
+      firstError: erros[0] || null
+    };
+  }
+
+  /**
+   * Renderiza um template com os valores informados
+   *
+   * @param {string} fonte - Texto do template
+   * @param {Object} valores - Valores por placeholder (strings ou listas)
+   * @param {Object} [opcoes] - Opções de renderização
+   * @param {Object} [opcoes.padroes={}] - Valores usados quando o placeholder está vazio e não define padrão próprio
+   * @returns {string} Texto renderizado
+   * @throws {Error} Em erro de sintaxe, filtro inválido ou placeholder desconhecido
+   *
+   * @example
+   * TemplateEngine.renderizar('{{#if DETALHES}}Obs: {DETALHES}{{/if}}', { DETALHES: '' }); // ''
+   */
+  static renderizar(fonte, valores = {}, opcoes = {}) {
+    const { padroes = {} } = opcoes;
+    const { arvore, erros } = this.#analisar(fonte);
+    if (erros.length > 0) {
+      throw new Error(erros[0]);
+    }
+
+    const resolver = (nome, escopo, linha) => {
+      if (escopo && nome in escopo) return escopo[nome];
+      if (nome in valores) return valores[nome];
+      throw new Error(`Linha ${linha}: placeholder desconhecido {${nome}}`);
+    };
+
+    const renderizarNos = (nos, escopo) => nos.map(no => {
+      switch (no.tipo) {
+        case 'texto':
+          return no.valor;
+        case 'variavel': {
+          if (no.erros.length > 0) {
+            throw new Error(`Linha ${no.linha}: ${no.erros[0]}`);
+          }
+          let valor = resolver(no.nome, escopo, no.linha);
+          if (this.#vazio(valor)) {
+            valor = no.padrao ?? padroes[no.nome] ?? valor;
+          }
+          valor = no.filtros.reduce((atual, { nome, arg }) => this.FILTROS[nome].aplicar(atual, arg), valor);
+          return Array.isArray(valor) ? valor.map(item => this.#texto(item)).join(', ') : this.#texto(valor);
+        }
+        case 'if':
+          return this.#vazio(resolver(no.nome, escopo, no.linha))
+            ? renderizarNos(no.senao, escopo)
+            : renderizarNos(no.entao, escopo);
+        case 'each': {
+          const lista = resolver(no.nome, escopo, no.linha);
+          if (!Array.isArray(lista)) {
+            throw new Error(`Linha ${no.linha}: {{#each ${no.nome}}} exige uma lista`);
+          }
+          return lista
+            .map((item, indice) => renderizarNos(no.corpo, { ...escopo, ITEM: item, INDICE: String(indice + 1) }))
+            .join('');
+        }
+        default:
+          return '';
+      }
+    }).join('');
+
+    return renderizarNos(arvore, null);
+  }
+
+  /**
+   * Converte o template em árvore de nós, coletando erros de sintaxe
+   *
+   * @private
+   * @param {string} fonte - Texto do template
+   * @returns {{arvore: Array<Object>, erros: string[]}} Árvore e erros
+   */
+  static #analisar(fonte) {
+    const padrao = /\{\{#(if|each)\s+([A-Z_]+)\s*\}\}|\{\{(else)\}\}|\{\{\/(if|each)\}\}|\{([A-Z_]+)((?:\|[^{}\n]*)?)\}/g;
+    const texto = String(fonte ?? '');
+    const erros = [];
+    const raiz = { tipo: 'raiz', corpo: [] };
+    const pilha = [raiz];
+
+    const destino = () => {
+      const atual = pilha[pilha.length - 1];
+      if (atual.tipo === 'if') return atual.emSenao ? atual.senao : atual.entao;
+      return atual.corpo;
+    };
+    const linhaDe = (indice) => texto.slice(0, indice).split('\n').length;
+
+    let cursor = 0;
+    let match;
+
+    while ((match = padrao.exec(texto)) !== null) {
+      const [bruto, abertura, nomeBloco, senao, fechamento, variavel, sufixo] = match;
+      let inicio = match.index;
+      let fim = inicio + bruto.length;
+      const linha = linhaDe(inicio);
+
+      // Tags de bloco sozinhas na linha consomem a linha inteira
+      if (!variavel) {
+        const inicioLinha = texto.lastIndexOf('\n', inicio - 1) + 1;
+        const resto = /^[ \t]*(\r?\n|$)/.exec(texto.slice(fim));
+        if (resto && /^[ \t]*$/.test(texto.slice(inicioLinha, inicio))) {
+          inicio = inicioLinha;
+          fim += resto[0].length;
+        }
+      }
+
+      if (inicio > cursor) {
+        destino().push({ tipo: 'texto', valor: texto.slice(cursor, inicio) });
+      }
+      cursor = fim;
+      padrao.lastIndex = Math.max(padrao.lastIndex, fim);
+
+      if (variavel) {
+        destino().push(this.#analisarVariavel(variavel, sufixo, linha));
+      } else if (abertura) {
+        const bloco = abertura === 'if'
+          ? { tipo: 'if', nome: nomeBloco, entao: [], senao: [], emSenao: false, linha }
+          : { tipo: 'each', nome: nomeBloco, corpo: [], linha };
+        destino().push(bloco);
+        pilha.push(bloco);
+      } else if (senao) {
+        const atual = pilha[pilha.length - 1];
+        if (atual.tipo !== 'if' || atual.emSenao) {
+          erros.push(`Linha ${linha}: {{else}} fora de um bloco {{#if}}`);
+        } else {
+          atual.emSenao = true;
+        }
+      } else if (fechamento) {
+        const atual = pilha[pilha.length - 1];
+        if (atual.tipo !== fechamento) {
+          erros.push(`Linha ${linha}: {{/${fechamento}}} sem {{#${fechamento}}} correspondente`);
+        } else {
+          pilha.pop();
+        }
+      }
+    }
+
+    if (cursor < texto.length) {
+      destino().push({ tipo: 'texto', valor: texto.slice(cursor) });
+    }
+
+    pilha.slice(1).forEach(bloco => {
+      erros.push(`Linha ${bloco.linha}: {{#${bloco.tipo} ${bloco.nome}}} não foi fechado com {{/${bloco.tipo}}}`);
+    });
+
+    // Tags de bloco malformadas não casam com o padrão e ficariam como texto
+    texto.split('\n').forEach((conteudo, indice) => {
+      const sobra = conteudo.replace(padrao, '');
+      if (/\{\{\s*[#/]?\s*(if|each|else)\b/.test(sobra)) {
+        erros.push(`Linha ${indice + 1}: tag de bloco inválida`);
+      }
+    });
+
+    return { arvore: raiz.corpo, erros };
+  }
+
+  /**
+   * Interpreta o sufixo `|filtro:arg|valor padrão` de um placeholder
+   * O padrão explícito (`"valor"` ou `default:valor`) é aceito como está
+   *
+   * @private
+   * @param {string} nome - Nome do placeholder
+   * @param {string} sufixo - Texto após o nome (começando por '|') ou vazio
+   * @param {number} linha - Linha de origem
+   * @returns {Object} Nó de variável
+   */
+  static #analisarVariavel(nome, sufixo, linha) {
+    const no = { tipo: 'variavel', nome, filtros: [], padrao: undefined, erros: [], linha };
+    if (!sufixo) return no;
+
+    const definirPadrao = (valor) => {
+      if (no.padrao !== undefined) {
+        no.erros.push(`{${nome}} define mais de um valor padrão`);
+      } else {
+        no.padrao = valor;
+      }
+    };
+
+    for (const segmento of sufixo.slice(1).split('|')) {
+      const separador = segmento.indexOf(':');
+      const nomeFiltro = (separador === -1 ? segmento : segmento.slice(0, separador)).trim();
+      const filtro = this.FILTROS[nomeFiltro];
+      const entreAspas = segmento.trim().match(/^(["'])(.*)\1$/);
+
+      if (filtro) {
+        const arg = separador === -1 ? undefined : segmento.slice(separador + 1);
+        if (filtro.argumentoValido && !filtro.argumentoValido(arg)) {
+          no.erros.push(filtro.mensagemArgumento);
+        }
+        no.filtros.push({ nome: nomeFiltro, arg });
+      } else if (nomeFiltro === 'default' && separador !== -1) {
+        definirPadrao(segmento.slice(separador + 1));
+      } else if (entreAspas) {
+        definirPadrao(entreAspas[2]);
+      } else if (/^[a-z][a-z0-9_]*$/.test(nomeFiltro)) {
+        no.erros.push(`filtro desconhecido "${nomeFiltro}" em {${nome}} (disponíveis: ${Object.keys(this.FILTROS).join(', ')}; ` +
+          `para um valor padrão use "${segmento.trim()}" ou default:${segmento.trim()})`);
+      } else {
+        definirPadrao(segmento);
+      }
+    }
+
+    return no;
+  }
+
+  /**
+   * Indica se o valor deve ser tratado como ausente
+   *
+   * @private
+   * @param {any} valor - Valor a verificar
+   * @returns {boolean} True para null, undefined, texto vazio ou lista vazia
+   */
+  static #vazio(valor) {
+    if (valor === null || valor === undefined) return true;
+    if (Array.isArray(valor)) return valor.length === 0;
+    return String(valor).trim() === '';
+  }
+
+  /**
+   * Converte qualquer valor em texto
+   *
+   * @private
+   * @param {any} valor - Valor a converter
+   * @returns {string} Texto
+   */
+  static #texto(valor) {
+    if (valor === null || valor === undefined) return '';
+    if (Array.isArray(valor)) return valor.join(', ');
+    return String(valor);
+  }
+}
+
+// Disponibilizar globalmente para compatibilidade com código legado
+// TODO: Migrar para sistema de módulos ES6 em toda a aplicação
+window.TemplateEngine = TemplateEngine;
+
+console.log('✅ TemplateEngine carregado e disponível globalmente');
@@ -0,0 +1,214 @@
+/**
+ * TextDiff.js - Diferença entre textos palavra a palavra
+ *
+ * @description Compara duas versões de um texto e devolve os trechos iguais,
+ * removidos e adicionados, na ordem do texto. A comparação usa o algoritmo
+ * de Myers sobre palavras e espaços, depois de descartar o início e o fim
+ * em comum. Espaços isolados entre duas alterações são absorvidos por elas,
+ * para que "a b c" → "x y z" vire uma única troca.
+ *
+ * @author ProTech Development Team
+ * @version 1.0.0
+ * @since 2025-08-06
+ */
+export class TextDiff {
+  /**
+   * Máximo de edições procuradas; acima disso o trecho central é tratado
+   * como substituído por inteiro (limita tempo e memória em textos longos)
+   *
+   * @static
+   * @readonly
+   * @type {number}
+   */
+  static LIMITE_EDICOES = 2000;
+
+  /**
+   * Compara dois textos
+   *
+   * @param {string} antigo - Texto original
+   * @param {string} novo - Texto alterado
+   * @returns {Array<{tipo: 'igual'|'removido'|'adicionado', texto: string}>} Trechos em ordem
+   *
+   * @example
+   * TextDiff.comparar('o gato preto', 'o cão preto');
+   * // [{ tipo: 'igual', texto: 'o ' }, { tipo: 'removido', texto: 'gato' },
+   * //  { tipo: 'adicionado', texto: 'cão' }, { tipo: 'igual', texto: ' preto' }]
+   */
+  static comparar(antigo, novo) {
+    const a = TextDiff.#tokens(antigo);
+    const b = TextDiff.#tokens(novo);
+
+    let inicio = 0;
+    while (inicio < a.length && inicio < b.length && a[inicio] === b[inicio]) inicio++;
+
+    let fimA = a.length;
+    let fimB = b.length;
+    while (fimA > inicio && fimB > inicio && a[fimA - 1] === b[fimB - 1]) {
+      fimA--;
+      fimB--;
+    }
+
+    const operacoes = [
+      ...a.slice(0, inicio).map(texto => ({ tipo: 'igual', texto })),
+      ...TextDiff.#myers(a.slice(inicio, fimA), b.slice(inicio, fimB)),
+      ...a.slice(fimA).map(texto => ({ tipo: 'igual', texto }))
+    ];
+
+    return TextDiff.#agrupar(operacoes);
+  }
+
+  /**
+   * Conta as palavras adicionadas e removidas
+   *
+   * @param {Array<{tipo: string, texto: string}>} operacoes - Resultado de comparar()
+   * @returns {{adicionadas: number, removidas: number}} Totais
+   */
+  static resumo(operacoes) {
+    const contar = (tipo) => operacoes
+      .filter(operacao => operacao.tipo === tipo)
+      .reduce((total, { texto }) => total + (texto.match(/\S+/g) || []).length, 0);
+
+    return { adicionadas: contar('adicionado'), removidas: contar('removido') };
+  }
+
+  /**
+   * Divide o texto em palavras e blocos de espaço
+   *
+   * @private
+   * @static
+   * @param {string} texto - Texto
+   * @returns {string[]} Tokens
+   */
+  static #tokens(texto) {
+    return String(texto ?? '').match(/\s+|[^\s]+/g) || [];
+  }
+
+  /**
+   * Diferença pelo algoritmo de Myers (caminho mínimo de edições)
+   *
+   * @private
+   * @static
+   * @param {string[]} a - Tokens originais
+   * @param {string[]} b - Tokens alterados
+   * @returns {Array<{tipo: string, texto: string}>} Operações token a token
+   */
+  static #myers(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const substituirTudo = () => [
+      ...a.map(texto => ({ tipo: 'removido', texto })),
+      ...b.map(texto => ({ tipo: 'adicionado', texto }))
+    ];
+    if (n === 0 || m === 0) return substituirTudo();
+
+    // v[k] = maior x alcançado na diagonal k; trace guarda a faixa usada em cada passo
+    const deslocamento = n + m + 1;
+    const v = new Int32Array(2 * deslocamento + 1);
+    const trace = [];
+    let concluido = false;
+
+    for (let d = 0; d <= n + m && !concluido; d++) {
+      if (d > TextDiff.LIMITE_EDICOES) return substituirTudo();
+      trace.push(v.slice(deslocamento - d - 1, deslocamento + d + 2));
+
+      for (let k = -d; k <= d; k += 2) {
+        let x = k === -d || (k !== d && v[deslocamento + k - 1] < v[deslocamento + k + 1])
+          ? v[deslocamento + k + 1]
+          : v[deslocamento + k - 1] + 1;
+        let y = x - k;
+        while (x < n && y < m && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        v[deslocamento + k] = x;
+        if (x >= n && y >= m) {
+          concluido = true;
+          break;
+        }
+      }
+    }
+
+    const operacoes = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+      const faixa = trace[d];
+      const em = (k) => faixa[k + d + 1];
+      const k = x - y;
+      const kAnterior = k === -d || (k !== d && em(k - 1) < em(k + 1)) ? k + 1 : k - 1;
+      const xAnterior = em(kAnterior);
+      const yAnterior = xAnterior - kAnterior;
+
+      while (x > xAnterior && y > yAnterior) {
+        operacoes.push({ tipo: 'igual', texto: a[--x] });
+        y--;
+      }
+      if (d > 0) {
+        operacoes.push(x === xAnterior
+          ? { tipo: 'adicionado', texto: b[y - 1] }
+          : { tipo: 'removido', texto: a[x - 1] });
+      }
+      x = xAnterior;
+      y = yAnterior;
+    }
+
+    return operacoes.reverse();
+  }
+
+  /**
+   * Junta operações vizinhas: cada alteração vira um trecho removido
+   * seguido de um adicionado
+   *
+   * @private
+   * @static
+   * @param {Array<{tipo: string, texto: string}>} operacoes - Operações token a token
+   * @returns {Array<{tipo: string, texto: string}>} Operações agrupadas
+   */
+  static #agrupar(operacoes) {
+    const resultado = [];
+    let removido = '';
+    let adicionado = '';
+
+    const fecharAlteracao = () => {
+      if (removido) resultado.push({ tipo: 'removido', texto: removido });
+      if (adicionado) resultado.push({ tipo: 'adicionado', texto: adicionado });
+      removido = '';
+      adicionado = '';
+    };
+
+    operacoes.forEach((operacao, indice) => {
+      if (operacao.tipo === 'removido') {
+        removido += operacao.texto;
+        return;
+      }
+      if (operacao.tipo === 'adicionado') {
+        adicionado += operacao.texto;
+        return;
+      }
+
+      // Só absorve quando o espaço separa uma troca; entre duas inserções
+      // (ou duas remoções) ele continua igual
+      const pendente = removido && adicionado ? 'troca' : removido ? 'removido' : adicionado ? 'adicionado' : null;
+      const proxima = operacoes[indice + 1];
+      if (pendente && /^\s+$/.test(operacao.texto) && proxima && proxima.tipo !== 'igual' && proxima.tipo !== pendente) {
+        removido += operacao.texto;
+        adicionado += operacao.texto;
+        return;
+      }
+
+      fecharAlteracao();
+      const anterior = resultado[resultado.length - 1];
+      if (anterior?.tipo === 'igual') {
+        anterior.texto += operacao.texto;
+      } else {
+        resultado.push({ tipo: 'igual', texto: operacao.texto });
+      }
+    });
+    fecharAlteracao();
+
+    return resultado;
+  }
+}
+
+// Disponibilizar globalmente para compatibilidade com código legado
+window.TextDiff = TextDiff;
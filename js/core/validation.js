@@ -4,7 +4,7 @@
  * 
  * @description Sistema robusto de validação de dados com regras predefinidas
  * para campos comuns em aplicações brasileiras. Inclui validação de CPF,
- * telefone, email e outras validações customizáveis.
+ * CNPJ, telefone, email e outras validações customizáveis.
  * 
  * @author ProTech Development Team
  * @version 1.0.0
@@ -129,6 +129,48 @@ export class Validation {
         return check2 === parseInt(cpf.charAt(10));
       },
       message: 'CPF inválido'
+    },
+
+    /**
+     * Validação de CNPJ brasileiro com algoritmo oficial
+     * Pesos 5..2/9..2 para o primeiro dígito e 6..2/9..2 para o segundo
+     */
+    cnpj: {
+      test: (value) => {
+        if (!value) return false;
+
+        const cnpj = value.replace(/\D/g, '');
+        if (cnpj.length !== 14 || /^(\d)\1{13}$/.test(cnpj)) return false;
+
+        const digito = (base) => {
+          let peso = base.length - 7;
+          let sum = 0;
+          for (let i = 0; i < base.length; i++) {
+            sum += parseInt(base.charAt(i)) * peso--;
+            if (peso < 2) peso = 9;
+          }
+          const resto = sum % 11;
+          return resto < 2 ? 0 : 11 - resto;
+        };
+
+        const check1 = digito(cnpj.slice(0, 12));
+        if (check1 !== parseInt(cnpj.charAt(12))) return false;
+        return digito(cnpj.slice(0, 13)) === parseInt(cnpj.charAt(13));
+      },
+      message: 'CNPJ inválido'
+    },
+
+    /**
+     * CPF ou CNPJ, decidido pela quantidade de dígitos (11 ou 14)
+     */
+    cpfCnpj: {
+      test: (value) => {
+        const digitos = (value || '').replace(/\D/g, '');
+        if (digitos.length === 11) return Validation.RULES.cpf.test(digitos);
+        if (digitos.length === 14) return Validation.RULES.cnpj.test(digitos);
+        return false;
+      },
+      message: 'CPF/CNPJ inválido'
     }
   };
 
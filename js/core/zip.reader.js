@@ -0,0 +1,87 @@
+/**
+ * ZipReader.js - Leitura de arquivos ZIP no navegador
+ *
+ * @description Extrai as entradas de ZIPs enviados para importação: entradas
+ * "store" e, quando o navegador oferece DecompressionStream, entradas
+ * comprimidas com deflate. Nomes de arquivo são lidos como UTF-8.
+ *
+ * @author ProTech Development Team
+ * @version 1.0.0
+ * @since 2025-08-06
+ */
+export class ZipReader {
+  /**
+   * Lê as entradas de um arquivo ZIP
+   *
+   * @param {Uint8Array|ArrayBuffer} bytes - Conteúdo do ZIP
+   * @returns {Promise<Array<{nome: string, conteudo: Uint8Array}>>} Arquivos (pastas são ignoradas)
+   * @throws {Error} Se o arquivo não for um ZIP válido ou usar compressão não suportada
+   */
+  static async extrair(bytes) {
+    const dados = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const visao = new DataView(dados.buffer, dados.byteOffset, dados.byteLength);
+
+    // O registro final fica nos últimos 22 bytes + comentário (até 64 KB)
+    let fim = -1;
+    for (let i = dados.length - 22; i >= Math.max(0, dados.length - 22 - 0xFFFF); i--) {
+      if (visao.getUint32(i, true) === 0x06054b50) {
+        fim = i;
+        break;
+      }
+    }
+    if (fim === -1) {
+      throw new Error('Arquivo ZIP inválido ou corrompido');
+    }
+
+    const total = visao.getUint16(fim + 10, true);
+    let posicao = visao.getUint32(fim + 16, true);
+    const decoder = new TextDecoder();
+    const arquivos = [];
+
+    for (let i = 0; i < total; i++) {
+      if (visao.getUint32(posicao, true) !== 0x02014b50) {
+        throw new Error('Arquivo ZIP inválido ou corrompido');
+      }
+      const metodo = visao.getUint16(posicao + 10, true);
+      const tamanho = visao.getUint32(posicao + 20, true);
+      const tamanhoNome = visao.getUint16(posicao + 28, true);
+      const tamanhoExtra = visao.getUint16(posicao + 30, true);
+      const tamanhoComentario = visao.getUint16(posicao + 32, true);
+      const local = visao.getUint32(posicao + 42, true);
+      const nome = decoder.decode(dados.subarray(posicao + 46, posicao + 46 + tamanhoNome));
+      posicao += 46 + tamanhoNome + tamanhoExtra + tamanhoComentario;
+
+      if (nome.endsWith('/')) continue;
+
+      const inicio = local + 30 + visao.getUint16(local + 26, true) + visao.getUint16(local + 28, true);
+      const bruto = dados.subarray(inicio, inicio + tamanho);
+      arquivos.push({ nome, conteudo: await ZipReader.#descomprimir(bruto, metodo, nome) });
+    }
+
+    return arquivos;
+  }
+
+  /**
+   * Descomprime uma entrada conforme o método do cabeçalho
+   *
+   * @private
+   * @static
+   * @param {Uint8Array} bruto - Dados da entrada
+   * @param {number} metodo - 0 (store) ou 8 (deflate)
+   * @param {string} nome - Nome da entrada, para mensagens de erro
+   * @returns {Promise<Uint8Array>} Conteúdo original
+   */
+  static async #descomprimir(bruto, metodo, nome) {
+    if (metodo === 0) return bruto.slice();
+
+    if (metodo === 8 && typeof DecompressionStream !== 'undefined') {
+      const fluxo = new Blob([bruto]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      return new Uint8Array(await new Response(fluxo).arrayBuffer());
+    }
+
+    throw new Error(`Compressão não suportada em "${nome}"`);
+  }
+}
+
+// Disponibilizar globalmente para compatibilidade com código legado
+window.ZipReader = ZipReader;
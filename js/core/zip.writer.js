@@ -0,0 +1,150 @@
+/**
+ * ZipWriter.js - Geração de arquivos ZIP no navegador
+ *
+ * @description Monta arquivos ZIP sem compressão (método "store"), suficiente
+ * para exportações em lote e para empacotar documentos OOXML (.docx).
+ * Nomes de arquivo são gravados em UTF-8 (bit 11 do cabeçalho).
+ * A leitura de ZIPs para importação fica no ZipReader.
+ *
+ * @author ProTech Development Team
+ * @version 1.0.0
+ * @since 2025-08-06
+ */
+export class ZipWriter {
+  /**
+   * Tabela CRC-32 (polinômio 0xEDB88320), calculada uma única vez
+   *
+   * @private
+   * @static
+   * @type {Uint32Array|null}
+   */
+  static #tabelaCrc = null;
+
+  /**
+   * Gera os bytes de um arquivo ZIP
+   *
+   * @param {Array<{nome: string, conteudo: string|Uint8Array, data?: Date}>} arquivos - Entradas do pacote
+   * @returns {Uint8Array} Conteúdo do ZIP
+   *
+   * @example
+   * const bytes = ZipWriter.criar([{ nome: 'leia-me.txt', conteudo: 'Olá' }]);
+   * const blob = new Blob([bytes], { type: 'application/zip' });
+   */
+  static criar(arquivos) {
+    const encoder = new TextEncoder();
+    const locais = [];
+    const centrais = [];
+    let deslocamento = 0;
+
+    arquivos.forEach(({ nome, conteudo, data = new Date() }) => {
+      const nomeBytes = encoder.encode(nome);
+      const dados = typeof conteudo === 'string' ? encoder.encode(conteudo) : conteudo;
+      const crc = ZipWriter.crc32(dados);
+      const { hora, dia } = ZipWriter.#dataDos(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true);
+      local.setUint16(8, 0, true);
+      local.setUint16(10, hora, true);
+      local.setUint16(12, dia, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, dados.length, true);
+      local.setUint32(22, dados.length, true);
+      local.setUint16(26, nomeBytes.length, true);
+      local.setUint16(28, 0, true);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, 20, true);
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, hora, true);
+      central.setUint16(14, dia, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, dados.length, true);
+      central.setUint32(24, dados.length, true);
+      central.setUint16(28, nomeBytes.length, true);
+      central.setUint32(42, deslocamento, true);
+
+      locais.push(new Uint8Array(local.buffer), nomeBytes, dados);
+      centrais.push(new Uint8Array(central.buffer), nomeBytes);
+      deslocamento += 30 + nomeBytes.length + dados.length;
+    });
+
+    const tamanhoCentral = centrais.reduce((total, parte) => total + parte.length, 0);
+    const fim = new DataView(new ArrayBuffer(22));
+    fim.setUint32(0, 0x06054b50, true);
+    fim.setUint16(8, arquivos.length, true);
+    fim.setUint16(10, arquivos.length, true);
+    fim.setUint32(12, tamanhoCentral, true);
+    fim.setUint32(16, deslocamento, true);
+
+    return ZipWriter.#concatenar([...locais, ...centrais, new Uint8Array(fim.buffer)]);
+  }
+
+  /**
+   * Calcula o CRC-32 de um bloco de bytes
+   *
+   * @param {Uint8Array} bytes - Dados
+   * @returns {number} CRC-32 sem sinal
+   */
+  static crc32(bytes) {
+    if (!ZipWriter.#tabelaCrc) {
+      ZipWriter.#tabelaCrc = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        ZipWriter.#tabelaCrc[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = ZipWriter.#tabelaCrc[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * Converte uma data para o formato MS-DOS usado nos cabeçalhos
+   *
+   * @private
+   * @static
+   * @param {Date} data - Data de modificação
+   * @returns {{hora: number, dia: number}} Campos DOS
+   */
+  static #dataDos(data) {
+    const ano = Math.max(data.getFullYear(), 1980);
+    return {
+      hora: (data.getHours() << 11) | (data.getMinutes() << 5) | Math.floor(data.getSeconds() / 2),
+      dia: ((ano - 1980) << 9) | ((data.getMonth() + 1) << 5) | data.getDate()
+    };
+  }
+
+  /**
+   * Junta vários blocos em um único Uint8Array
+   *
+   * @private
+   * @static
+   * @param {Uint8Array[]} partes - Blocos na ordem final
+   * @returns {Uint8Array} Resultado
+   */
+  static #concatenar(partes) {
+    const total = partes.reduce((soma, parte) => soma + parte.length, 0);
+    const resultado = new Uint8Array(total);
+    let posicao = 0;
+    partes.forEach(parte => {
+      resultado.set(parte, posicao);
+      posicao += parte.length;
+    });
+    return resultado;
+  }
+}
+
+// Disponibilizar globalmente para compatibilidade com código legado
+window.ZipWriter = ZipWriter;
@@ -3,6 +3,9 @@
  * Inicializa todos os sistemas e gerencia o estado global da aplicação
  */
 
+import StreamingOutput from './ui/streamingOutput.js';
+import EditableResult from './ui/editableResult.js';
+
 class PromptProApp {
     constructor() {
         this.isInitialized = false;
@@ -593,7 +596,12 @@ class PromptProApp {
             const result = await this.services.PropostaService.generateProposta(params);
             
             if (result.success) {
-                this.services.Toast?.success(result.message);
+                // Sem espaço no navegador a proposta é exibida, mas não fica no histórico
+                if (result.saved === false) {
+                    this.services.Toast?.error(result.message);
+                } else {
+                    this.services.Toast?.success(result.message);
+                }
                 this.displayProposta(result.proposta);
             } else {
                 this.services.Toast?.error(result.message);
@@ -609,10 +617,12 @@ class PromptProApp {
     /**
      * Exibir proposta gerada
      */
-    displayProposta(proposta) {
+    async displayProposta(proposta) {
         const container = document.getElementById('propostaResult');
         if (!container) return;
 
+        await this.resultEditor?.flush();
+
         container.innerHTML = `
             <div class="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-6">
                 <div class="flex justify-between items-start mb-4">
@@ -625,9 +635,7 @@ class PromptProApp {
                     </button>
                 </div>
                 
-                <div class="prose dark:prose-invert max-w-none">
-                    <pre class="whitespace-pre-wrap text-sm">${proposta.prompt}</pre>
-                </div>
+                <div data-editor></div>
                 
                 <div class="mt-6 pt-4 border-t border-gray-200 dark:border-gray-700">
                     <div class="flex flex-wrap gap-4 text-xs text-gray-500 dark:text-gray-400">
@@ -639,20 +647,62 @@ class PromptProApp {
             </div>
         `;
 
+        this.mountResultEditor(container.querySelector('[data-editor]'), proposta);
         container.style.display = 'block';
         container.scrollIntoView({ behavior: 'smooth' });
     }
 
+    /**
+     * Tornar o resultado editável: as alterações são salvas automaticamente
+     * na proposta (e chegam ao histórico e à exportação)
+     */
+    mountResultEditor(container, proposta) {
+        const service = this.services.PropostaService;
+        if (!container || !service) return null;
+
+        // Com resposta do modelo, edita-se a resposta; sem ela, o prompt
+        const field = proposta.resposta?.content ? 'resposta' : 'prompt';
+        const editor = new EditableResult({
+            container,
+            label: 'Resultado (editável)',
+            onSave: async (text, { amend }) => {
+                const result = await service.editProposta(proposta.id, { [field]: text }, { amend });
+                if (!result.success) this.services.Toast?.error(result.message);
+                return result.success;
+            },
+            onReset: async () => {
+                const result = await service.resetToGenerated(proposta.id);
+                if (!result.success) {
+                    this.services.Toast?.error(result.message);
+                    return;
+                }
+                editor.load(result.proposta.resposta?.content || result.proposta.prompt);
+                this.services.Toast?.info(result.message);
+            }
+        });
+
+        editor.load(proposta.resposta?.content || proposta.prompt);
+        this.resultEditor = editor;
+        return editor;
+    }
+
     /**
      * Exportar proposta
      */
-    exportProposta(propostaId) {
+    async exportProposta(propostaId, format = 'md') {
         if (!this.services.PropostaService) return;
         
-        const proposta = this.services.PropostaService.getPropostaById(propostaId);
+        // Edições pendentes entram no arquivo exportado
+        await this.resultEditor?.flush();
+        
+        const proposta = await this.services.PropostaService.getPropostaById(propostaId);
         if (proposta) {
-            this.services.PropostaService.exportProposta(proposta);
-            this.services.Toast?.success('Proposta exportada com sucesso!');
+            try {
+                this.services.PropostaService.exportProposta(proposta, format);
+                this.services.Toast?.success('Proposta exportada com sucesso!');
+            } catch (error) {
+                this.services.Toast?.error(error.message);
+            }
         }
     }
 
@@ -722,21 +772,28 @@ class PromptProApp {
         
         // Atualizar UI de loading
         const loadingElements = document.querySelectorAll('[data-loading]');
-        loadingElements.forEach(el => {
-            if (loading) {
-                el.setAttribute('disabled', 'true');
-                const originalText = el.textContent;
-                el.setAttribute('data-original-text', originalText);
-                el.textContent = 'Carregando...';
-            } else {
-                el.removeAttribute('disabled');
-                const originalText = el.getAttribute('data-original-text');
-                if (originalText) {
-                    el.textContent = originalText;
-                    el.removeAttribute('data-original-text');
-                }
+        loadingElements.forEach(el => this.setLoadingState(el, loading));
+    }
+
+    /**
+     * Definir estado de loading de um elemento
+     */
+    setLoadingState(el, loading) {
+        if (!el) return;
+        
+        if (loading) {
+            el.setAttribute('disabled', 'true');
+            const originalText = el.textContent;
+            el.setAttribute('data-original-text', originalText);
+            el.textContent = 'Carregando...';
+        } else {
+            el.removeAttribute('disabled');
+            const originalText = el.getAttribute('data-original-text');
+            if (originalText) {
+                el.textContent = originalText;
+                el.removeAttribute('data-original-text');
             }
-        });
+        }
     }
 
     /**
@@ -997,6 +1054,7 @@ class PromptProApp {
      */
     async handlePromptSubmit(e) {
         e.preventDefault();
+        await this.resultEditor?.flush();
         
         const form = e.target;
         const submitBtn = form.querySelector('[data-loading]');
@@ -1016,6 +1074,8 @@ class PromptProApp {
         
         this.setLoadingState(submitBtn, true);
         
+        let output = null;
+        
         try {
             const promptData = {
                 objetivo: objetivoInput.value.trim(),
@@ -1027,16 +1087,37 @@ class PromptProApp {
                 keywords: keywordsInput?.value.trim() || ''
             };
             
-            const generatedPrompt = await this.propostaService.generateProposta(promptData);
+            // Resposta do modelo é exibida conforme chega
+            output = this.startPromptStream();
+            const signal = output?.start();
+            
+            const result = await this.services.PropostaService.generateProposta({
+                tipo: promptData.tipo || 'geral',
+                tema: (promptData.keywords || promptData.objetivo).slice(0, 120),
+                objetivo: promptData.objetivo,
+                tom: promptData.tom || 'profissional',
+                detalhes: promptData.contexto,
+                signal,
+                onChunk: (delta) => output?.append(delta)
+            });
             
-            if (generatedPrompt && generatedPrompt.prompt) {
-                this.displayGeneratedPrompt(generatedPrompt);
-                this.saveToHistory(promptData, generatedPrompt);
-                this.services.Toast?.success('Prompt gerado com sucesso!');
+            output?.finish();
+            
+            if (result.success) {
+                // generateProposta já registra a geração no HistoryRepository
+                this.displayGeneratedPrompt(result.proposta);
+                if (result.saved === false) {
+                    this.services.Toast?.error(result.message);
+                } else if (result.cancelled) {
+                    this.services.Toast?.info(result.message);
+                } else {
+                    this.services.Toast?.success(result.message);
+                }
             } else {
-                this.services.Toast?.error('Erro ao gerar prompt. Tente novamente.');
+                this.services.Toast?.error(result.message || 'Erro ao gerar prompt. Tente novamente.');
             }
         } catch (error) {
+            output?.finish();
             console.error('Prompt generation error:', error);
             this.services.Toast?.error('Erro ao gerar prompt. Verifique os dados e tente novamente.');
         } finally {
@@ -1044,6 +1125,31 @@ class PromptProApp {
         }
     }
     
+    /**
+     * Preparar seção de resultados para transmissão incremental
+     */
+    startPromptStream() {
+        const resultsSection = document.getElementById('resultsSection');
+        const promptResult = document.getElementById('promptResult');
+        if (!resultsSection || !promptResult) return null;
+        
+        let stopButton = document.getElementById('stopGeneration');
+        if (!stopButton) {
+            stopButton = document.createElement('button');
+            stopButton.type = 'button';
+            stopButton.id = 'stopGeneration';
+            stopButton.className = 'hidden mt-2 bg-red-600 hover:bg-red-700 text-white text-sm px-3 py-1 rounded-lg transition';
+            stopButton.textContent = '⏹ Parar';
+            promptResult.insertAdjacentElement('afterend', stopButton);
+        }
+        
+        resultsSection.classList.remove('hidden');
+        promptResult.classList.remove('hidden');
+        document.getElementById('promptEditor')?.classList.add('hidden');
+        this.promptStream = this.promptStream || new StreamingOutput({ target: promptResult, stopButton });
+        return this.promptStream;
+    }
+    
     /**
      * Exibir prompt gerado na seção de resultados
      */
@@ -1053,23 +1159,37 @@ class PromptProApp {
         const promptMetadata = document.getElementById('promptMetadata');
         
         if (resultsSection && promptResult) {
-            promptResult.textContent = promptData.prompt;
+            const texto = promptData.resposta?.content || promptData.prompt;
+            promptResult.textContent = texto;
             resultsSection.classList.remove('hidden');
             
+            // O texto final vai para um editor com salvamento automático
+            let editorContainer = document.getElementById('promptEditor');
+            if (!editorContainer) {
+                editorContainer = document.createElement('div');
+                editorContainer.id = 'promptEditor';
+                editorContainer.className = 'mt-2';
+                promptResult.insertAdjacentElement('afterend', editorContainer);
+            }
+            if (this.mountResultEditor(editorContainer, promptData)) {
+                promptResult.classList.add('hidden');
+                editorContainer.classList.remove('hidden');
+            }
+            
             // Popular metadados
-            if (promptMetadata && promptData.metadata) {
+            if (promptMetadata) {
                 promptMetadata.innerHTML = `
                     <div class="bg-blue-50 dark:bg-blue-900/20 p-3 rounded-lg">
                         <div class="font-medium text-blue-900 dark:text-blue-200">Caracteres</div>
-                        <div class="text-blue-700 dark:text-blue-300">${promptData.metadata.caracteres}</div>
+                        <div class="text-blue-700 dark:text-blue-300">${texto.length}</div>
                     </div>
                     <div class="bg-green-50 dark:bg-green-900/20 p-3 rounded-lg">
                         <div class="font-medium text-green-900 dark:text-green-200">Palavras</div>
-                        <div class="text-green-700 dark:text-green-300">${promptData.metadata.palavras}</div>
+                        <div class="text-green-700 dark:text-green-300">${texto.split(/\s+/).filter(Boolean).length}</div>
                     </div>
                     <div class="bg-purple-50 dark:bg-purple-900/20 p-3 rounded-lg">
                         <div class="font-medium text-purple-900 dark:text-purple-200">Criado em</div>
-                        <div class="text-purple-700 dark:text-purple-300">${new Date(promptData.metadata.timestamp).toLocaleString()}</div>
+                        <div class="text-purple-700 dark:text-purple-300">${new Date(promptData.createdAt).toLocaleString()}${promptData.resposta?.parcial ? ' (parcial)' : ''}</div>
                     </div>
                 `;
             }
@@ -1079,33 +1199,6 @@ class PromptProApp {
         }
     }
     
-    /**
-     * Salvar prompt no histórico
-     */
-    saveToHistory(promptData, generatedPrompt) {
-        try {
-            const history = JSON.parse(localStorage.getItem('promptHistory') || '[]');
-            const historyItem = {
-                ...promptData,
-                generatedPrompt: generatedPrompt.prompt,
-                metadata: generatedPrompt.metadata,
-                id: Date.now().toString(),
-                timestamp: new Date().toISOString()
-            };
-            
-            history.unshift(historyItem);
-            
-            // Manter apenas últimos 50 itens
-            if (history.length > 50) {
-                history.splice(50);
-            }
-            
-            localStorage.setItem('promptHistory', JSON.stringify(history));
-        } catch (error) {
-            console.error('Error saving to history:', error);
-        }
-    }
-    
     /**
      * Validar formulário de registro
      */
@@ -1,4 +1,5 @@
-import { AuthService } from './services/index.js';
+import { AuthService, SettingsService } from './services/index.js';
+import { SessionStore } from './core/index.js';
 
 /**
  * Router - Sistema de roteamento SPA com fallback
@@ -131,6 +132,11 @@ class Router {
         }
 
         try {
+            // Modo manutenção vem antes da autenticação
+            if (!this.checkMaintenance(path)) {
+                return;
+            }
+
             // Verificar autenticação
             if (!this.checkAuth(route)) {
                 return;
@@ -171,7 +177,7 @@ class Router {
      * Verificar autenticação
      */
     checkAuth(route) {
-        const isAuthenticated = AuthService?.isAuthenticated() || false;
+        const isAuthenticated = SessionStore.estaAtiva();
 
         // Rota requer autenticação
         if (route.requireAuth && !isAuthenticated) {
@@ -189,6 +195,23 @@ class Router {
         return true;
     }
 
+    /**
+     * Verificar modo manutenção
+     * Não administradores só acessam a página de manutenção e o login
+     */
+    checkMaintenance(path) {
+        if (!SettingsService.get('maintenanceMode') || AuthService?.isAdmin()) {
+            return true;
+        }
+
+        if (['/manutencao.html', '/login.html'].includes(path)) {
+            return true;
+        }
+
+        this.navigate('/manutencao.html', { replace: true });
+        return false;
+    }
+
     /**
      * Encontrar rota correspondente
      */
@@ -429,6 +452,11 @@ class Router {
             requireAuth: true
         });
 
+        // Manutenção
+        this.register('/manutencao.html', () => this.loadPage('/manutencao.html'), {
+            title: 'PromptPro - Em manutenção'
+        });
+
         // Admin
         this.register('/admin.html', () => this.loadPage('/admin.html'), {
             title: 'PromptPro - Admin',
@@ -12,7 +12,12 @@
  * @since 2025-08-06
  */
 
-import { Toast, CryptoUtils, Validation } from '../core/index.js';
+import { Toast, CryptoUtils, Validation, SessionStore, DraftStore, MaintenanceBanner } from '../core/index.js';
+import AuditService from './auditService.js';
+import SettingsService from './settingsService.js';
+import QuotaService from './quotaService.js';
+import LLMService from './llmService.js';
+import HistoryRepository from './historyRepository.js';
 
 /**
  * Serviço centralizado de autenticação
@@ -20,24 +25,42 @@ import { Toast, CryptoUtils, Validation } from '../core/index.js';
  */
 class AuthService {
   constructor() {
-    // Chaves de armazenamento local
-    this.sessionKey = 'ferramenta_protech_session';
+    // Chave do registro de usuários (a sessão é gerenciada pelo SessionStore)
     this.userKey = 'usuariosRegistrados';
+    this.tentativasKey = 'protech_login_attempts';
     
+    // Perfis aceitos no registro
+    this.perfis = ['admin', 'user'];
+
     // Configurações de segurança
     this.maxTentativas = 3;
-    this.tentativasLogin = 0;
+    this.bloqueioBaseMs = 60 * 1000;           // 1 minuto no primeiro bloqueio
+    this.bloqueioMaxMs = 60 * 60 * 1000;       // Teto de 1 hora
+    this.janelaTentativasMs = 24 * 60 * 60 * 1000; // Histórico expira após 24h sem falhas
+    this.maxRegistrosTentativas = 500;         // Emails mantidos no mapa de tentativas
     
-    // Monitoramento de atividade
+    // Monitoramento de atividade (o limite vem de SettingsService.inactivityMinutes)
     this.ultimaAtividade = Date.now();
-    this.intervaloInatividade = 30 * 60 * 1000; // 30 minutos em ms
     this.timerInatividade = null;
+    this.eventosAtividade = ['input', 'pointerdown', 'keydown'];
+    this.intervaloRegistroAtividadeMs = 30 * 1000; // Throttle dos eventos de atividade
     
     // Estados de controle
     this.carregado = false;
     this.processandoLogin = false;
+
+    // Ação e mensagem de auditoria de cada motivo de logout
+    this.motivosLogout = {
+      usuario: { acao: 'logout', mensagem: 'Logout realizado' },
+      inatividade: { acao: 'logout.inatividade', mensagem: 'Sessão expirada por inatividade' },
+      manutencao: { acao: 'logout.manutencao', mensagem: 'Sessão encerrada pelo modo manutenção' }
+    };
+
+    // Páginas acessíveis a todos durante a manutenção (login para os administradores)
+    this.paginasLiberadasManutencao = ['manutencao.html', 'login.html'];
     
     // Usuários padrão para demonstração
+    // As senhas são convertidas em hash PBKDF2 antes de serem persistidas
     // TODO: Migrar para autenticação via API em produção
     this.usuariosPadrao = [
       { id: 1, email: 'admin@promptpro.com', senha: 'admin123', role: 'admin' },
@@ -46,25 +69,161 @@ class AuthService {
     
     // Inicializar monitoramentos
     this.inicializarMonitoramentoInatividade();
-    this.inicializarUsuariosPadrao();
+    this.usuariosProntos = this.inicializarUsuariosPadrao();
+
+    // Manutenção ligada ou desligada (nesta ou em outra aba) vale sem recarregar
+    SettingsService.onChange(({ changes }) => {
+      if (changes.maintenanceMode || changes.maintenanceMessage || changes.maintenanceEta) {
+        this.verificarManutencao().catch(error => console.error('Erro ao aplicar modo manutenção:', error));
+      }
+    });
+  }
+
+  /**
+   * Tempo máximo sem atividade antes do logout automático, em ms
+   * Lido a cada verificação, então alterações nas configurações valem de imediato
+   *
+   * @returns {number} Intervalo em milissegundos
+   */
+  get intervaloInatividade() {
+    return SettingsService.get('inactivityMinutes') * 60 * 1000;
   }
 
   /**
    * Inicializa o serviço de autenticação
-   * Verifica dependências e estado de login existente
+   * Verifica dependências e estado de login existente. A inicialização roda
+   * uma única vez; chamadas seguintes devolvem a mesma Promise, para que os
+   * controllers aguardem o fim (inclusive do encerramento por manutenção)
+   * antes de aplicar as próprias verificações de login.
    * 
-   * @returns {Promise<void>}
+   * @returns {Promise<boolean>} False se a página está sendo trocada (HTTPS, manutenção ou login já feito)
    */
-  async iniciar() {
+  iniciar() {
+    if (!this.inicializacao) {
+      this.inicializacao = this.executarInicializacao().catch(error => {
+        console.error('Erro ao inicializar autenticação:', error);
+        return true;
+      });
+    }
+    return this.inicializacao;
+  }
+
+  /**
+   * Etapas da inicialização
+   *
+   * @private
+   * @returns {Promise<boolean>} False se a página está sendo trocada
+   */
+  async executarInicializacao() {
+    if (this.redirecionarParaHttps()) return false;
+    if (await this.verificarManutencao()) return false;
+
     await this.aguardarDependencias();
     
-    // Se já está logado, redirecionar para área autenticada
-    if (this.verificarLogin()) {
+    // Se já está logado na página de login, redirecionar para área autenticada
+    if (this.verificarLogin() && window.location.pathname.endsWith('login.html')) {
       this.redirecionarParaBoasVindas();
-      return;
+      return false;
     }
     
     this.carregado = true;
+    return true;
+  }
+
+  /**
+   * Recarrega a página em HTTPS quando "Forçar HTTPS" está ativo
+   * Endereços locais (localhost, 127.0.0.1) e file:// ficam de fora
+   *
+   * @private
+   * @returns {boolean} True se o redirecionamento foi iniciado
+   */
+  redirecionarParaHttps() {
+    const { protocol, hostname, href } = window.location;
+    if (!SettingsService.get('forceHttps') || protocol !== 'http:' || ['localhost', '127.0.0.1', '[::1]'].includes(hostname)) {
+      return false;
+    }
+
+    window.location.replace(`https:${href.slice(protocol.length)}`);
+    return true;
+  }
+
+  /**
+   * Dados públicos do modo manutenção (usados pela página de manutenção)
+   *
+   * @returns {{ativa: boolean, mensagem: string, previsao: string|null}} Estado atual
+   */
+  obterManutencao() {
+    return {
+      ativa: SettingsService.get('maintenanceMode'),
+      mensagem: SettingsService.get('maintenanceMessage'),
+      previsao: SettingsService.get('maintenanceEta')
+    };
+  }
+
+  /**
+   * Aplica o modo manutenção à página atual
+   * Administradores continuam com acesso e veem a faixa de aviso; usuários
+   * comuns logados têm os rascunhos salvos e a sessão encerrada; visitantes
+   * vão para a página de manutenção.
+   *
+   * @returns {Promise<boolean>} True se a página será trocada
+   */
+  async verificarManutencao() {
+    const manutencao = this.obterManutencao();
+    if (!manutencao.ativa) {
+      MaintenanceBanner.ocultar();
+      return false;
+    }
+
+    if (this.isAdmin()) {
+      MaintenanceBanner.exibir(manutencao);
+      return false;
+    }
+
+    if (this.getCurrentUser()) {
+      await this.encerrarPorManutencao();
+      return true;
+    }
+
+    const pagina = window.location.pathname.split('/').pop();
+    if (this.paginasLiberadasManutencao.includes(pagina)) {
+      return false;
+    }
+
+    this.redirecionarParaManutencao();
+    return true;
+  }
+
+  /**
+   * Salva os rascunhos da página, encerra a sessão e abre a página de manutenção
+   * Falha ao salvar os rascunhos não impede o encerramento
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async encerrarPorManutencao() {
+    let rascunhos = 0;
+    try {
+      rascunhos = await DraftStore.salvarTodos();
+    } catch (error) {
+      console.error('Erro ao salvar rascunhos:', error);
+    }
+
+    this.logout({ motivo: 'manutencao' });
+    this.redirecionarParaManutencao({ sessaoEncerrada: true, rascunhos });
+  }
+
+  /**
+   * Abre a página de manutenção (a partir da raiz ou de /pages)
+   *
+   * @param {Object} [opcoes] - Informações exibidas na página
+   * @param {boolean} [opcoes.sessaoEncerrada=false] - Se a sessão foi encerrada agora
+   * @param {number} [opcoes.rascunhos=0] - Rascunhos salvos antes do encerramento
+   */
+  redirecionarParaManutencao({ sessaoEncerrada = false, rascunhos = 0 } = {}) {
+    const pagina = window.location.pathname.includes('/pages/') ? 'manutencao.html' : 'pages/manutencao.html';
+    const parametros = sessaoEncerrada ? `?sessao=encerrada&rascunhos=${rascunhos}` : '';
+    window.location.replace(pagina + parametros);
   }
 
   /**
@@ -94,31 +253,68 @@ class AuthService {
 
   /**
    * Configura monitoramento automático de inatividade
-   * Faz logout automático após período de inatividade configurado
+   * Interações do usuário renovam a atividade; o logout automático só é
+   * considerado enquanto houver sessão
    * 
    * @private
    */
   inicializarMonitoramentoInatividade() {
+    if (typeof document !== 'undefined') {
+      this.eventosAtividade.forEach(evento => {
+        document.addEventListener(evento, () => this.registrarAtividade(), { capture: true, passive: true });
+      });
+    }
+
     // Verificar inatividade a cada minuto
     this.timerInatividade = setInterval(() => {
-      const tempoInativo = Date.now() - this.ultimaAtividade;
-      
-      if (tempoInativo > this.intervaloInatividade) {
+      const sessao = SessionStore.obter();
+      if (!sessao) return;
+
+      // Atividade registrada em outra aba também conta
+      const ultimaAtividade = Math.max(this.ultimaAtividade, sessao.lastActivity || 0);
+      if (Date.now() - ultimaAtividade > this.intervaloInatividade) {
         console.log('🕒 Sessão expirada por inatividade');
-        this.logout();
+        this.logout({ motivo: 'inatividade' });
       }
     }, 60 * 1000); // Verificar a cada minuto
   }
 
+  /**
+   * Renova a última atividade, gravando na sessão no máximo uma vez
+   * a cada intervaloRegistroAtividadeMs
+   *
+   * @private
+   */
+  registrarAtividade() {
+    const agora = Date.now();
+    if (agora - this.ultimaAtividade < this.intervaloRegistroAtividadeMs) return;
+
+    this.ultimaAtividade = agora;
+    SessionStore.registrarAtividade();
+  }
+
   /**
    * Inicializa usuários padrão se não existirem
    * Usado para demonstração - deve ser removido em produção
    * 
    * @private
+   * @returns {Promise<void>}
    */
-  inicializarUsuariosPadrao() {
-    if (!localStorage.getItem(this.userKey)) {
-      localStorage.setItem(this.userKey, JSON.stringify(this.usuariosPadrao));
+  async inicializarUsuariosPadrao() {
+    try {
+      if (localStorage.getItem(this.userKey)) {
+        return;
+      }
+
+      // Nunca persistir a senha em texto puro
+      const usuarios = await Promise.all(this.usuariosPadrao.map(async ({ senha, ...usuario }) => ({
+        ...usuario,
+        senhaHash: await CryptoUtils.gerarHashSenha(senha)
+      })));
+
+      this.salvarUsuarios(usuarios);
+    } catch (error) {
+      console.error('Erro ao inicializar usuários padrão:', error);
     }
   }
 
@@ -135,9 +331,17 @@ class AuthService {
    */
   async processarLogin(email, senha, lembrar = false) {
     try {
+      const emailNormalizado = (email || '').trim().toLowerCase();
+
       // Verificar se a conta está temporariamente bloqueada
-      if (this.tentativasLogin >= this.maxTentativas) {
-        const mensagem = 'Conta temporariamente bloqueada por excesso de tentativas';
+      const bloqueio = this.obterStatusBloqueio(emailNormalizado);
+      if (bloqueio.bloqueado) {
+        const mensagem = `Conta temporariamente bloqueada. ${this.formatarDesbloqueio(bloqueio.bloqueadoAte)}`;
+        this.auditar('login', 'login.bloqueado', {
+          ator: { id: null, email: emailNormalizado },
+          mensagem: 'Tentativa de login em conta bloqueada',
+          detalhes: { bloqueadoAte: new Date(bloqueio.bloqueadoAte).toISOString() }
+        });
         Toast.error(mensagem);
         throw new Error('Conta bloqueada');
       }
@@ -151,21 +355,52 @@ class AuthService {
       // Validar credenciais contra base de dados
       const usuario = await this.validarCredenciais(email, senha);
       if (!usuario) {
-        this.tentativasLogin++;
-        const tentativasRestantes = this.maxTentativas - this.tentativasLogin;
+        const status = this.registrarFalhaLogin(emailNormalizado);
+        this.auditar('login', 'login.falha', {
+          ator: { id: null, email: emailNormalizado },
+          mensagem: status.bloqueado ? 'Senha incorreta; conta bloqueada' : 'Email ou senha incorretos',
+          detalhes: { bloqueada: status.bloqueado, tentativasRestantes: status.tentativasRestantes }
+        });
         
-        if (tentativasRestantes > 0) {
-          Toast.error(`Email ou senha incorretos. ${tentativasRestantes} tentativa(s) restante(s)`);
+        if (!status.bloqueado) {
+          Toast.error(`Email ou senha incorretos. ${status.tentativasRestantes} tentativa(s) restante(s)`);
         } else {
-          Toast.error('Conta bloqueada por excesso de tentativas');
+          Toast.error(`Conta bloqueada por excesso de tentativas. ${this.formatarDesbloqueio(status.bloqueadoAte)}`);
         }
         
         throw new Error('Credenciais inválidas');
       }
 
+      // Contas desativadas pelo administrador não entram
+      if (usuario.ativo === false) {
+        this.auditar('login', 'login.falha', {
+          ator: usuario,
+          mensagem: 'Tentativa de login em conta desativada',
+          detalhes: { desativada: true }
+        });
+        Toast.error('Conta desativada. Fale com um administrador');
+        throw new Error('Conta desativada');
+      }
+
+      // Durante a manutenção só administradores entram
+      if (SettingsService.get('maintenanceMode') && usuario.role !== 'admin') {
+        this.auditar('login', 'login.falha', {
+          ator: usuario,
+          mensagem: 'Tentativa de login durante a manutenção',
+          detalhes: { manutencao: true }
+        });
+        Toast.warning('Sistema em manutenção. Tente novamente mais tarde');
+        throw new Error('Sistema em manutenção');
+      }
+
       // Login bem-sucedido - resetar contador e efetivar login
-      this.tentativasLogin = 0;
+      this.limparTentativas(emailNormalizado);
       await this.realizarLogin(usuario, lembrar);
+      this.auditar('login', 'login.sucesso', {
+        ator: usuario,
+        mensagem: 'Login realizado',
+        detalhes: { lembrar: !!lembrar }
+      });
       
       Toast.success('Login realizado com sucesso!');
       return { 
@@ -180,19 +415,800 @@ class AuthService {
     }
   }
 
+  /**
+   * Consulta o estado de bloqueio de um email
+   *
+   * @param {string} email - Email normalizado
+   * @returns {{bloqueado: boolean, bloqueadoAte: number|null, falhas: number}} Estado atual
+   */
+  obterStatusBloqueio(email) {
+    const registro = this.obterRegistroTentativas(email);
+    const bloqueado = !!registro.bloqueadoAte && Date.now() < registro.bloqueadoAte;
+
+    return {
+      bloqueado,
+      bloqueadoAte: bloqueado ? registro.bloqueadoAte : null,
+      falhas: registro.falhas
+    };
+  }
+
+  /**
+   * Registra uma falha de login e aplica bloqueio com back-off exponencial
+   * Cada novo bloqueio do mesmo email dobra a duração, até bloqueioMaxMs
+   *
+   * @private
+   * @param {string} email - Email normalizado
+   * @returns {{bloqueado: boolean, bloqueadoAte: number|null, tentativasRestantes: number}} Resultado
+   */
+  registrarFalhaLogin(email) {
+    const registro = this.obterRegistroTentativas(email);
+    const agora = Date.now();
+
+    registro.falhas += 1;
+    registro.ultimaFalha = agora;
+
+    if (registro.falhas >= this.maxTentativas) {
+      const duracao = Math.min(this.bloqueioBaseMs * 2 ** registro.bloqueios, this.bloqueioMaxMs);
+      registro.bloqueadoAte = agora + duracao;
+      registro.bloqueios += 1;
+      registro.falhas = 0;
+    }
+
+    this.salvarRegistroTentativas(email, registro);
+
+    return {
+      bloqueado: !!registro.bloqueadoAte && agora < registro.bloqueadoAte,
+      bloqueadoAte: registro.bloqueadoAte,
+      tentativasRestantes: this.maxTentativas - registro.falhas
+    };
+  }
+
+  /**
+   * Remove o histórico de falhas de um email
+   *
+   * @private
+   * @param {string} email - Email normalizado
+   */
+  limparTentativas(email) {
+    const tentativas = this.obterTentativas();
+    delete tentativas[email];
+    localStorage.setItem(this.tentativasKey, JSON.stringify(tentativas));
+  }
+
+  /**
+   * Lista contas atualmente bloqueadas (somente administradores)
+   *
+   * @returns {Array<{email: string, bloqueadoAte: number, bloqueios: number}>} Contas bloqueadas
+   * @throws {Error} Se o usuário atual não for administrador
+   */
+  listarContasBloqueadas() {
+    this.verificarAdmin();
+
+    const agora = Date.now();
+    return Object.entries(this.obterTentativas())
+      .filter(([, registro]) => registro.bloqueadoAte && agora < registro.bloqueadoAte)
+      .map(([email, registro]) => ({
+        email,
+        bloqueadoAte: registro.bloqueadoAte,
+        bloqueios: registro.bloqueios
+      }))
+      .sort((a, b) => a.bloqueadoAte - b.bloqueadoAte);
+  }
+
+  /**
+   * Desbloqueia uma conta manualmente (somente administradores)
+   * Também zera o histórico de back-off do email
+   *
+   * @param {string} email - Email da conta
+   * @returns {Object} Resultado no formato { success, message }
+   * @throws {Error} Se o usuário atual não for administrador
+   */
+  desbloquearConta(email) {
+    this.verificarAdmin();
+
+    const emailNormalizado = (email || '').trim().toLowerCase();
+    if (!this.obterTentativas()[emailNormalizado]) {
+      return { success: false, message: 'Conta não possui bloqueio ativo' };
+    }
+
+    this.limparTentativas(emailNormalizado);
+    this.auditar('admin', 'conta.desbloqueada', {
+      mensagem: `Conta ${emailNormalizado} desbloqueada`,
+      detalhes: { email: emailNormalizado }
+    });
+    return { success: true, message: `Conta ${emailNormalizado} desbloqueada` };
+  }
+
+  /**
+   * Lista os usuários do registro (somente administradores)
+   * A busca ignora acentos e maiúsculas e procura no nome e no email
+   *
+   * @param {Object} [filtros] - Filtros da listagem
+   * @param {string} [filtros.busca=''] - Texto buscado
+   * @param {string} [filtros.perfil=''] - 'admin', 'user' ou vazio para todos
+   * @returns {Array<Object>} Usuários sem credenciais, com o limite diário próprio (ou null), em ordem alfabética
+   * @throws {Error} Se o usuário atual não for administrador
+   */
+  listarUsuarios({ busca = '', perfil = '' } = {}) {
+    this.verificarAdmin();
+
+    const termo = this.normalizarBusca(busca);
+    return this.obterUsuarios()
+      .filter(u => !perfil || u.role === perfil)
+      .filter(u => !termo || this.normalizarBusca(`${u.name || ''} ${u.email}`).includes(termo))
+      .map(u => ({ ...this.sanitizarUsuario(u), ativo: u.ativo !== false, limiteDiario: QuotaService.getOverride(u.id) }))
+      .sort((a, b) => (a.name || a.email).localeCompare(b.name || b.email, 'pt-BR'));
+  }
+
+  /**
+   * Cria um usuário com o perfil escolhido (somente administradores)
+   * Usa as mesmas validações do cadastro público, sem autenticar o novo usuário
+   *
+   * @param {Object} dados - Dados do usuário
+   * @param {string} dados.nome - Nome completo
+   * @param {string} dados.email - Email único
+   * @param {string} dados.senha - Senha inicial
+   * @param {string} [dados.perfil='user'] - 'admin' ou 'user'
+   * @returns {Promise<Object>} Resultado no formato { success, message, usuario? }
+   * @throws {Error} Se o usuário atual não for administrador
+   */
+  async criarUsuario({ nome, email, senha, perfil = 'user' } = {}) {
+    this.verificarAdmin();
+
+    if (!this.perfis.includes(perfil)) {
+      return { success: false, message: 'Perfil inválido' };
+    }
+
+    const resultado = await this.register({ name: nome, email, password: senha }, { autoLogin: false });
+    if (!resultado.success) {
+      return resultado;
+    }
+
+    const usuario = perfil === 'user' ? resultado.usuario : this.atualizarRegistro(resultado.usuario.id, { role: perfil });
+    this.auditar('admin', 'usuario.criado', {
+      mensagem: `Usuário ${usuario.email} criado`,
+      detalhes: { usuarioId: usuario.id, email: usuario.email, perfil }
+    });
+    return { success: true, usuario, message: 'Usuário criado com sucesso' };
+  }
+
+  /**
+   * Atualiza nome e email de um usuário (somente administradores)
+   *
+   * @param {number|string} id - ID do usuário
+   * @param {Object} dados - Campos alterados
+   * @param {string} [dados.nome] - Nome completo
+   * @param {string} [dados.email] - Email único
+   * @returns {Object} Resultado no formato { success, message, usuario? }
+   * @throws {Error} Se o usuário atual não for administrador
+   */
+  atualizarUsuario(id, { nome, email } = {}) {
+    this.verificarAdmin();
+
+    const usuarios = this.obterUsuarios();
+    const atual = usuarios.find(u => u.id === id);
+    if (!atual) {
+      return { success: false, message: 'Usuário não encontrado' };
+    }
+
+    const novoNome = (nome ?? atual.name ?? '').trim();
+    const novoEmail = (email ?? atual.email ?? '').trim().toLowerCase();
+
+    if (!Validation.validate(novoNome, 'required') || !Validation.validate(novoNome, 'minLength', 2)) {
+      return { success: false, message: 'Nome deve ter pelo menos 2 caracteres' };
+    }
+    if (!Validation.validate(novoEmail, 'email')) {
+      return { success: false, message: Validation.getMessage('email') };
+    }
+    if (usuarios.some(u => u.id !== id && (u.email || '').toLowerCase() === novoEmail)) {
+      return { success: false, message: 'Este email já está cadastrado' };
+    }
+
+    const usuario = this.atualizarRegistro(id, { name: novoNome, email: novoEmail });
+    this.auditar('admin', 'usuario.atualizado', {
+      mensagem: `Dados de ${novoEmail} atualizados`,
+      detalhes: { usuarioId: id, emailAnterior: atual.email, email: novoEmail, nome: novoNome }
+    });
+    return { success: true, usuario, message: 'Usuário atualizado com sucesso' };
+  }
+
+  /**
+   * Altera o perfil de um usuário (somente administradores)
+   * O último administrador ativo não pode perder o perfil
+   *
+   * @param {number|string} id - ID do usuário
+   * @param {string} perfil - 'admin' ou 'user'
+   * @returns {Object} Resultado no formato { success, message, usuario? }
+   * @throws {Error} Se o usuário atual não for administrador
+   */
+  alterarPerfil(id, perfil) {
+    this.verificarAdmin();
+
+    const usuario = this.obterUsuarios().find(u => u.id === id);
+    if (!usuario) {
+      return { success: false, message: 'Usuário não encontrado' };
+    }
+    if (!this.perfis.includes(perfil)) {
+      return { success: false, message: 'Perfil inválido' };
+    }
+    if (usuario.role === perfil) {
+      return { success: false, message: 'O usuário já possui este perfil' };
+    }
+    if (usuario.role === 'admin' && this.ehUltimoAdminAtivo(id)) {
+      return { success: false, message: 'O sistema precisa de pelo menos um administrador ativo' };
+    }
+
+    this.auditar('admin', 'usuario.perfil', {
+      mensagem: `Perfil de ${usuario.email} alterado para ${perfil}`,
+      detalhes: { usuarioId: id, de: usuario.role, para: perfil }
+    });
+    return {
+      success: true,
+      usuario: this.atualizarRegistro(id, { role: perfil }),
+      message: `Perfil alterado para ${perfil === 'admin' ? 'administrador' : 'usuário'}`
+    };
+  }
+
+  /**
+   * Define o limite diário de propostas de um usuário (somente administradores)
+   * Administradores não têm limite; o valor só vale se o perfil mudar para usuário
+   *
+   * @param {number|string} id - ID do usuário
+   * @param {number|null} limite - Propostas por dia; null volta ao padrão das configurações
+   * @returns {Object} Resultado no formato { success, message }
+   * @throws {Error} Se o usuário atual não for administrador
+   */
+  definirLimiteDiario(id, limite) {
+    this.verificarAdmin();
+
+    const usuario = this.obterUsuarios().find(u => u.id === id);
+    if (!usuario) {
+      return { success: false, message: 'Usuário não encontrado' };
+    }
+
+    const anterior = QuotaService.getOverride(id);
+    if (anterior === limite) {
+      return { success: true, message: 'Limite diário mantido' };
+    }
+
+    const resultado = QuotaService.setOverride(id, limite);
+    if (resultado.success) {
+      this.auditar('admin', 'usuario.limite', {
+        mensagem: `Limite diário de ${usuario.email}: ${limite ?? 'padrão'}`,
+        detalhes: { usuarioId: id, de: anterior, para: limite }
+      });
+    }
+    return resultado;
+  }
+
+  /**
+   * Desativa um usuário (somente administradores)
+   * A conta deixa de entrar no sistema, mas o registro e as propostas são mantidos
+   *
+   * @param {number|string} id - ID do usuário
+   * @returns {Object} Resultado no formato { success, message, usuario? }
+   * @throws {Error} Se o usuário atual não for administrador
+   */
+  desativarUsuario(id) {
+    const admin = this.verificarAdmin();
+
+    const usuario = this.obterUsuarios().find(u => u.id === id);
+    if (!usuario) {
+      return { success: false, message: 'Usuário não encontrado' };
+    }
+    if (usuario.id === admin.id) {
+      return { success: false, message: 'Você não pode desativar a própria conta' };
+    }
+    if (usuario.ativo === false) {
+      return { success: false, message: 'Usuário já está desativado' };
+    }
+    if (usuario.role === 'admin' && this.ehUltimoAdminAtivo(id)) {
+      return { success: false, message: 'O sistema precisa de pelo menos um administrador ativo' };
+    }
+
+    this.auditar('admin', 'usuario.desativado', {
+      mensagem: `Usuário ${usuario.email} desativado`,
+      detalhes: { usuarioId: id }
+    });
+    return {
+      success: true,
+      usuario: this.atualizarRegistro(id, { ativo: false, desativadoEm: new Date().toISOString() }),
+      message: `Usuário ${usuario.email} desativado`
+    };
+  }
+
+  /**
+   * Reativa um usuário desativado (somente administradores)
+   *
+   * @param {number|string} id - ID do usuário
+   * @returns {Object} Resultado no formato { success, message, usuario? }
+   * @throws {Error} Se o usuário atual não for administrador
+   */
+  reativarUsuario(id) {
+    this.verificarAdmin();
+
+    const usuario = this.obterUsuarios().find(u => u.id === id);
+    if (!usuario) {
+      return { success: false, message: 'Usuário não encontrado' };
+    }
+    if (usuario.ativo !== false) {
+      return { success: false, message: 'Usuário já está ativo' };
+    }
+
+    this.auditar('admin', 'usuario.reativado', {
+      mensagem: `Usuário ${usuario.email} reativado`,
+      detalhes: { usuarioId: id }
+    });
+    return {
+      success: true,
+      usuario: this.atualizarRegistro(id, { ativo: true, desativadoEm: null }),
+      message: `Usuário ${usuario.email} reativado`
+    };
+  }
+
+  /**
+   * Redefine a senha de um usuário (somente administradores)
+   * Sem senha informada, gera uma senha temporária que é devolvida uma única vez.
+   * Também remove bloqueios por tentativas de login do email.
+   *
+   * @param {number|string} id - ID do usuário
+   * @param {string|null} [novaSenha=null] - Nova senha; null para gerar uma
+   * @returns {Promise<Object>} Resultado no formato { success, message, senhaTemporaria? }
+   * @throws {Error} Se o usuário atual não for administrador
+   */
+  async redefinirSenha(id, novaSenha = null) {
+    this.verificarAdmin();
+
+    const usuario = this.obterUsuarios().find(u => u.id === id);
+    if (!usuario) {
+      return { success: false, message: 'Usuário não encontrado' };
+    }
+
+    const senha = novaSenha ?? this.gerarSenhaTemporaria();
+    if (!Validation.validate(senha, 'password')) {
+      return { success: false, message: Validation.getMessage('password') };
+    }
+
+    await this.atualizarHashSenha(id, senha);
+    this.limparTentativas((usuario.email || '').toLowerCase());
+    this.auditar('admin', 'usuario.senha', {
+      mensagem: `Senha de ${usuario.email} redefinida`,
+      detalhes: { usuarioId: id, temporaria: novaSenha === null }
+    });
+
+    return {
+      success: true,
+      message: `Senha de ${usuario.email} redefinida`,
+      ...(novaSenha === null ? { senhaTemporaria: senha } : {})
+    };
+  }
+
+  /**
+   * Lista os eventos da auditoria, do mais recente ao mais antigo (somente administradores)
+   *
+   * @param {Object} [filtros] - Filtros da listagem
+   * @param {string} [filtros.tipo=''] - 'login', 'logout', 'cadastro', 'proposta', 'admin' ou vazio para todos
+   * @param {string} [filtros.busca=''] - Texto buscado na ação, mensagem, usuário e detalhes
+   * @returns {Array<Object>} Eventos filtrados
+   * @throws {Error} Se o usuário atual não for administrador
+   */
+  listarAuditoria({ tipo = '', busca = '' } = {}) {
+    this.verificarAdmin();
+    return AuditService.list({ type: tipo, query: busca });
+  }
+
+  /**
+   * Monta o arquivo de exportação da auditoria (somente administradores)
+   * A própria exportação fica registrada no log
+   *
+   * @param {'csv'|'json'} [formato='csv'] - Formato do arquivo
+   * @param {Object} [filtros] - Mesmos filtros de listarAuditoria
+   * @returns {{filename: string, mime: string, content: string}} Arquivo pronto para download
+   * @throws {Error} Se o usuário atual não for administrador
+   */
+  exportarAuditoria(formato = 'csv', filtros = {}) {
+    const eventos = this.listarAuditoria(filtros);
+    const arquivo = AuditService.buildExport(eventos, formato);
+
+    this.auditar('admin', 'auditoria.exportada', {
+      mensagem: `Auditoria exportada em ${formato.toUpperCase()}`,
+      detalhes: { formato, eventos: eventos.length, ...filtros }
+    });
+    return arquivo;
+  }
+
+  /**
+   * Remove eventos fora da retenção da auditoria (somente administradores)
+   *
+   * @returns {Object} Resultado no formato { success, message, removidos }
+   * @throws {Error} Se o usuário atual não for administrador
+   */
+  limparAuditoriaAntiga() {
+    this.verificarAdmin();
+
+    const removidos = AuditService.purge();
+    return {
+      success: true,
+      removidos,
+      message: removidos ? `${removidos} evento(s) antigo(s) removido(s)` : 'Nenhum evento fora da retenção'
+    };
+  }
+
+  /**
+   * Configurações do sistema atuais (somente administradores)
+   *
+   * @returns {Object} Valores de todas as chaves do SETTINGS_SCHEMA
+   * @throws {Error} Se o usuário atual não for administrador
+   */
+  obterConfiguracoes() {
+    this.verificarAdmin();
+    return SettingsService.getAll();
+  }
+
+  /**
+   * Salva configurações do sistema (somente administradores)
+   * Nada é gravado se algum valor for inválido
+   *
+   * @param {Object} valores - Chaves do SETTINGS_SCHEMA a alterar
+   * @returns {Object} Resultado no formato { success, message, settings?, errors? }
+   * @throws {Error} Se o usuário atual não for administrador
+   */
+  salvarConfiguracoes(valores) {
+    this.verificarAdmin();
+
+    const resultado = SettingsService.update(valores);
+    if (resultado.success && Object.keys(resultado.changes).length) {
+      this.auditar('admin', 'configuracoes.alteradas', {
+        mensagem: 'Configurações do sistema alteradas',
+        detalhes: resultado.changes
+      });
+    }
+    return resultado;
+  }
+
+  /**
+   * Restaura as configurações padrão (somente administradores)
+   *
+   * @returns {Object} Resultado no formato { success, message, settings? }
+   * @throws {Error} Se o usuário atual não for administrador
+   */
+  resetarConfiguracoes() {
+    this.verificarAdmin();
+
+    const resultado = SettingsService.reset();
+    if (resultado.success) {
+      this.auditar('admin', 'configuracoes.restauradas', {
+        mensagem: 'Configurações restauradas para o padrão',
+        detalhes: resultado.changes
+      });
+    }
+    return resultado;
+  }
+
+  /**
+   * Obtém a configuração do provedor de modelo de IA (somente administradores)
+   * A chave de API nunca é devolvida; temChaveApi indica se há uma salva
+   *
+   * @returns {Object} Configuração do LLMService com temChaveApi e provedores disponíveis
+   * @throws {Error} Se o usuário atual não for administrador
+   */
+  obterConfiguracaoModelo() {
+    this.verificarAdmin();
+    return {
+      ...LLMService.getConfig(),
+      temChaveApi: LLMService.hasApiKey(),
+      provedores: LLMService.getProviderNames()
+    };
+  }
+
+  /**
+   * Salva a configuração do provedor de modelo de IA (somente administradores)
+   *
+   * @param {Object} valores - provider, baseUrl, model, temperature, maxTokens, timeoutMs e,
+   * opcionalmente, apiKey ('' remove a chave salva; ausente mantém a atual)
+   * @returns {Promise<Object>} Resultado no formato { success, message, config? }
+   * @throws {Error} Se o usuário atual não for administrador
+   */
+  async salvarConfiguracaoModelo(valores) {
+    this.verificarAdmin();
+
+    const resultado = await LLMService.saveConfig(valores);
+    if (resultado.success) {
+      const { provider, baseUrl, model, temperature, maxTokens, timeoutMs } = resultado.config;
+      this.auditar('admin', 'modelo.configurado', {
+        mensagem: `Provedor de modelo configurado: ${provider}`,
+        detalhes: { provider, baseUrl, model, temperature, maxTokens, timeoutMs, chaveApiAlterada: valores.apiKey !== undefined }
+      });
+    }
+    return resultado;
+  }
+
+  /**
+   * Testa a configuração salva do provedor de modelo (somente administradores)
+   *
+   * @returns {Promise<Object>} Resultado no formato { success, message, model? }
+   * @throws {Error} Se o usuário atual não for administrador
+   */
+  async testarConfiguracaoModelo() {
+    this.verificarAdmin();
+    return LLMService.testConnection();
+  }
+
+  /**
+   * Remove do histórico as propostas fora da retenção configurada (somente administradores)
+   * Usa "Retenção de Dados" e o limite de itens por usuário do SettingsService
+   *
+   * @returns {Promise<Object>} Resultado no formato { success, message, removidas }
+   * @throws {Error} Se o usuário atual não for administrador
+   */
+  async aplicarRetencaoHistorico() {
+    this.verificarAdmin();
+
+    const removidas = await HistoryRepository.applyRetention();
+    if (removidas > 0) {
+      this.auditar('admin', 'historico.retencao', {
+        mensagem: `${removidas} proposta(s) removida(s) pela retenção do histórico`,
+        detalhes: { removidas, ...HistoryRepository.getRetention() }
+      });
+    }
+    return {
+      success: true,
+      removidas,
+      message: removidas > 0
+        ? `${removidas} proposta(s) antiga(s) removida(s)`
+        : 'Nenhuma proposta fora da retenção configurada'
+    };
+  }
+
+  /**
+   * Registra um evento na auditoria
+   * Sem ator informado, usa o usuário da sessão
+   *
+   * @private
+   * @param {string} tipo - Tipo do evento
+   * @param {string} acao - Ação (ex.: 'login.sucesso')
+   * @param {Object} [dados] - Dados do evento
+   * @param {Object} [dados.ator] - Usuário que executou a ação
+   * @param {string} [dados.mensagem] - Descrição legível
+   * @param {Object} [dados.detalhes] - Dados adicionais (nunca senhas)
+   */
+  auditar(tipo, acao, { ator = this.getCurrentUser(), mensagem = '', detalhes = {} } = {}) {
+    AuditService.record(tipo, acao, { actor: ator, message: mensagem, details: detalhes });
+  }
+
+  /**
+   * Aplica alterações a um registro e devolve o usuário sem credenciais
+   *
+   * @private
+   * @param {number|string} id - ID do usuário
+   * @param {Object} alteracoes - Campos alterados
+   * @returns {Object} Usuário atualizado
+   */
+  atualizarRegistro(id, alteracoes) {
+    let atualizado = null;
+    const usuarios = this.obterUsuarios().map(u => {
+      if (u.id !== id) return u;
+      atualizado = { ...u, ...alteracoes, updatedAt: new Date().toISOString() };
+      return atualizado;
+    });
+    this.salvarUsuarios(usuarios);
+    return { ...this.sanitizarUsuario(atualizado), ativo: atualizado.ativo !== false };
+  }
+
+  /**
+   * Indica se o usuário é o único administrador ativo
+   *
+   * @private
+   * @param {number|string} id - ID do usuário
+   * @returns {boolean} True se não houver outro administrador ativo
+   */
+  ehUltimoAdminAtivo(id) {
+    return !this.obterUsuarios().some(u => u.id !== id && u.role === 'admin' && u.ativo !== false);
+  }
+
+  /**
+   * Gera senha aleatória que atende à regra 'password' da Validation
+   *
+   * @private
+   * @returns {string} Senha com 12 caracteres
+   */
+  gerarSenhaTemporaria() {
+    const grupos = ['ABCDEFGHJKLMNPQRSTUVWXYZ', 'abcdefghijkmnopqrstuvwxyz', '23456789'];
+    const todos = grupos.join('');
+    const aleatorios = crypto.getRandomValues(new Uint32Array(12));
+
+    // Um caractere de cada grupo garante maiúscula, minúscula e número
+    const caracteres = Array.from(aleatorios, (n, i) => {
+      const fonte = i < grupos.length ? grupos[i] : todos;
+      return fonte[n % fonte.length];
+    });
+
+    // Embaralhar para que os caracteres obrigatórios não fiquem sempre no início
+    for (let i = caracteres.length - 1; i > 0; i--) {
+      const j = crypto.getRandomValues(new Uint32Array(1))[0] % (i + 1);
+      [caracteres[i], caracteres[j]] = [caracteres[j], caracteres[i]];
+    }
+    return caracteres.join('');
+  }
+
+  /**
+   * Normaliza texto para busca (sem acentos, minúsculo)
+   *
+   * @private
+   * @param {string} texto - Texto original
+   * @returns {string} Texto normalizado
+   */
+  normalizarBusca(texto) {
+    return String(texto || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+  }
+
+  /**
+   * Garante que o usuário da sessão é administrador no registro
+   * O papel é conferido no registro, não apenas nos dados da sessão
+   *
+   * @returns {Object} Usuário administrador atual
+   * @throws {Error} Se não houver sessão ou o usuário não for administrador
+   */
+  verificarAdmin() {
+    const atual = this.getCurrentUser();
+    const registro = atual && this.obterUsuarios().find(u => u.id === atual.id);
+
+    if (!registro || registro.role !== 'admin') {
+      throw new Error('Acesso negado: requer perfil de administrador');
+    }
+
+    return this.sanitizarUsuario(registro);
+  }
+
+  /**
+   * Indica se o usuário da sessão é administrador
+   *
+   * @returns {boolean} True se administrador
+   */
+  isAdmin() {
+    try {
+      this.verificarAdmin();
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Monta a mensagem com o horário de desbloqueio automático
+   *
+   * @private
+   * @param {number} bloqueadoAte - Timestamp de desbloqueio
+   * @returns {string} Mensagem para o usuário
+   */
+  formatarDesbloqueio(bloqueadoAte) {
+    const minutos = Math.max(1, Math.ceil((bloqueadoAte - Date.now()) / 60000));
+    const horario = new Date(bloqueadoAte).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+    return `Tente novamente às ${horario} (em ${minutos} min)`;
+  }
+
+  /**
+   * Obtém o registro de falhas de um email, descartando históricos antigos
+   *
+   * @private
+   * @param {string} email - Email normalizado
+   * @returns {{falhas: number, bloqueios: number, bloqueadoAte: number|null, ultimaFalha: number|null}} Registro
+   */
+  obterRegistroTentativas(email) {
+    const vazio = { falhas: 0, bloqueios: 0, bloqueadoAte: null, ultimaFalha: null };
+    const registro = this.obterTentativas()[email];
+    if (!registro) {
+      return vazio;
+    }
+
+    const agora = Date.now();
+
+    // Histórico sem falhas recentes é esquecido por completo
+    if (registro.ultimaFalha && agora - registro.ultimaFalha > this.janelaTentativasMs &&
+        (!registro.bloqueadoAte || agora >= registro.bloqueadoAte)) {
+      return vazio;
+    }
+
+    // Bloqueio vencido libera novas tentativas, mas mantém a escala do back-off
+    if (registro.bloqueadoAte && agora >= registro.bloqueadoAte) {
+      return { ...vazio, bloqueios: registro.bloqueios, ultimaFalha: registro.ultimaFalha };
+    }
+
+    return { ...vazio, ...registro };
+  }
+
+  /**
+   * Persiste o registro de falhas de um email
+   * Registros expirados são descartados na mesma gravação e o mapa é limitado
+   * a maxRegistrosTentativas emails, já que qualquer email digitado, existente
+   * ou não, gera um registro. Bloqueios vigentes são os últimos a sair; entre
+   * os demais, saem primeiro os de falha mais antiga.
+   *
+   * @private
+   * @param {string} email - Email normalizado
+   * @param {Object} registro - Registro de tentativas
+   */
+  salvarRegistroTentativas(email, registro) {
+    const agora = Date.now();
+    const vigentes = Object.entries(this.obterTentativas())
+      .filter(([chave, atual]) => chave !== email && !this.registroTentativasExpirado(atual, agora))
+      .sort(([, a], [, b]) => (b.bloqueadoAte > agora) - (a.bloqueadoAte > agora) ||
+        (b.ultimaFalha || 0) - (a.ultimaFalha || 0))
+      .slice(0, this.maxRegistrosTentativas - 1);
+
+    const tentativas = Object.fromEntries([[email, registro], ...vigentes]);
+    localStorage.setItem(this.tentativasKey, JSON.stringify(tentativas));
+  }
+
+  /**
+   * Indica se um registro já não tem efeito: sem bloqueio vigente e sem
+   * falhas dentro de janelaTentativasMs
+   *
+   * @private
+   * @param {Object} registro - Registro de tentativas
+   * @param {number} agora - Timestamp de referência
+   * @returns {boolean} True se pode ser descartado
+   */
+  registroTentativasExpirado(registro, agora) {
+    const bloqueado = registro?.bloqueadoAte && agora < registro.bloqueadoAte;
+    return !bloqueado && (!registro?.ultimaFalha || agora - registro.ultimaFalha > this.janelaTentativasMs);
+  }
+
+  /**
+   * Lê o mapa de tentativas por email
+   *
+   * @private
+   * @returns {Object<string, Object>} Tentativas indexadas por email
+   */
+  obterTentativas() {
+    try {
+      return JSON.parse(localStorage.getItem(this.tentativasKey) || '{}') || {};
+    } catch {
+      return {};
+    }
+  }
+
   /**
    * Valida credenciais do usuário contra a base de dados
+   * Registros legados em texto puro são migrados para hash após o login
    * Em produção, deve ser substituído por chamada à API
    * 
    * @private
    * @param {string} email - Email para validação
    * @param {string} senha - Senha para validação
-   * @returns {Promise<Object|null>} Dados do usuário ou null se inválido
+   * @returns {Promise<Object|null>} Dados do usuário (sem credenciais) ou null se inválido
    */
   async validarCredenciais(email, senha) {
     try {
-      const usuarios = JSON.parse(localStorage.getItem(this.userKey) || '[]');
-      return usuarios.find(u => u.email === email && u.senha === senha);
+      await this.usuariosProntos;
+
+      const emailNormalizado = (email || '').trim().toLowerCase();
+      const usuarios = this.obterUsuarios();
+      const usuario = usuarios.find(u => (u.email || '').toLowerCase() === emailNormalizado);
+
+      if (!usuario) {
+        // Derivar mesmo assim para não revelar emails existentes pelo tempo de resposta
+        await CryptoUtils.gerarHashSenha(senha || '');
+        return null;
+      }
+
+      let valida;
+      if (usuario.senhaHash) {
+        valida = await CryptoUtils.verificarSenha(senha, usuario.senhaHash);
+      } else {
+        valida = typeof usuario.senha === 'string' && CryptoUtils.compararConstante(senha || '', usuario.senha);
+      }
+
+      if (!valida) {
+        return null;
+      }
+
+      // Migrar senha legada ou hash com parâmetros desatualizados
+      if (!usuario.senhaHash || usuario.senhaHash.iteracoes < CryptoUtils.PBKDF2_ITERACOES) {
+        await this.atualizarHashSenha(usuario.id, senha);
+      }
+
+      return this.sanitizarUsuario(usuario);
     } catch (error) {
       console.error('Erro ao validar credenciais:', error);
       return null;
@@ -200,24 +1216,175 @@ class AuthService {
   }
 
   /**
-   * Realizar login e salvar sessão
+   * Regrava a senha de um usuário como hash PBKDF2
+   * Remove qualquer resquício da senha em texto puro
+   *
+   * @private
+   * @param {number|string} id - ID do usuário
+   * @param {string} senha - Senha em texto puro já validada
+   * @returns {Promise<void>}
    */
-  async realizarLogin(usuario, lembrar) {
+  async atualizarHashSenha(id, senha) {
+    const senhaHash = await CryptoUtils.gerarHashSenha(senha);
+    const usuarios = this.obterUsuarios().map(u => {
+      if (u.id !== id) return u;
+      const { senha: _legado, ...resto } = u;
+      return { ...resto, senhaHash, updatedAt: new Date().toISOString() };
+    });
+    this.salvarUsuarios(usuarios);
+  }
+
+  /**
+   * Cadastra um novo usuário no registro local
+   * Valida nome, email único e força da senha antes de persistir
+   *
+   * @param {Object} userData - Dados do cadastro
+   * @param {string} userData.name - Nome completo (aceita também `fullName`)
+   * @param {string} userData.email - Email do usuário
+   * @param {string} userData.password - Senha em texto puro (aceita também `senha`)
+   * @param {boolean} [userData.rememberMe=false] - Se deve manter sessão persistente
+   * @param {Object} [opcoes] - Opções do cadastro
+   * @param {boolean} [opcoes.autoLogin=true] - Se deve autenticar o usuário após o cadastro
+   * @returns {Promise<Object>} Resultado no formato { success, message, usuario? }
+   *
+   * @example
+   * const result = await AuthService.register({ name: 'Ana', email: 'ana@ex.com', password: 'Senha123' });
+   */
+  async register(userData = {}, opcoes = {}) {
+    const { autoLogin = true } = opcoes;
+
+    // Cadastro público fechado durante a manutenção (o admin ainda pode criar usuários)
+    if (autoLogin && SettingsService.get('maintenanceMode')) {
+      return { success: false, message: 'Sistema em manutenção. Tente novamente mais tarde' };
+    }
+
     try {
-      const sessionData = {
-        ...usuario,
-        loginTime: Date.now(),
-        sessionId: this.gerarSessionId()
+      const nome = (userData.name || userData.fullName || '').trim();
+      const email = (userData.email || '').trim().toLowerCase();
+      const senha = userData.password || userData.senha || '';
+
+      // Validar campos obrigatórios
+      if (!Validation.validate(nome, 'required') || !Validation.validate(nome, 'minLength', 2)) {
+        return { success: false, message: 'Nome deve ter pelo menos 2 caracteres' };
+      }
+
+      if (!Validation.validate(email, 'email')) {
+        return { success: false, message: Validation.getMessage('email') };
+      }
+
+      if (!Validation.validate(senha, 'password')) {
+        return { success: false, message: Validation.getMessage('password') };
+      }
+
+      await this.usuariosProntos;
+      const senhaHash = await CryptoUtils.gerarHashSenha(senha);
+
+      // Daqui em diante sem await: leitura, checagem de email, ID e gravação
+      // acontecem juntas, então cadastros simultâneos não se sobrescrevem
+      const usuarios = this.obterUsuarios();
+      if (usuarios.some(u => (u.email || '').toLowerCase() === email)) {
+        return { success: false, message: 'Este email já está cadastrado' };
+      }
+
+      const agora = new Date().toISOString();
+      const novoUsuario = {
+        id: this.gerarProximoId(usuarios),
+        name: nome,
+        email,
+        senhaHash,
+        role: 'user',
+        createdAt: agora,
+        updatedAt: agora
       };
 
-      // Salvar na sessão
-      sessionStorage.setItem(this.sessionKey, JSON.stringify(sessionData));
-      
-      // Salvar permanentemente se solicitado
-      if (lembrar) {
-        localStorage.setItem(this.sessionKey + '_remember', JSON.stringify(sessionData));
+      usuarios.push(novoUsuario);
+      this.salvarUsuarios(usuarios);
+
+      const usuario = this.sanitizarUsuario(novoUsuario);
+
+      // Autenticar imediatamente se solicitado
+      // Cadastros feitos pelo administrador são auditados em criarUsuario
+      if (autoLogin) {
+        await this.realizarLogin(usuario, !!userData.rememberMe);
+        this.auditar('cadastro', 'usuario.cadastro', {
+          ator: usuario,
+          mensagem: 'Nova conta cadastrada',
+          detalhes: { usuarioId: usuario.id }
+        });
       }
 
+      return {
+        success: true,
+        usuario,
+        message: 'Conta criada com sucesso!'
+      };
+
+    } catch (error) {
+      console.error('❌ Erro no cadastro de usuário:', error);
+      return { success: false, message: 'Erro ao criar conta' };
+    }
+  }
+
+  /**
+   * Obtém a lista de usuários do registro local
+   *
+   * @private
+   * @returns {Array<Object>} Usuários cadastrados
+   */
+  obterUsuarios() {
+    try {
+      const usuarios = JSON.parse(localStorage.getItem(this.userKey) || '[]');
+      return Array.isArray(usuarios) ? usuarios : [];
+    } catch (error) {
+      console.error('Erro ao ler registro de usuários:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Persiste a lista de usuários no registro local
+   *
+   * @private
+   * @param {Array<Object>} usuarios - Usuários a serem salvos
+   */
+  salvarUsuarios(usuarios) {
+    localStorage.setItem(this.userKey, JSON.stringify(usuarios));
+  }
+
+  /**
+   * Gera o próximo ID numérico sequencial do registro
+   *
+   * @private
+   * @param {Array<Object>} usuarios - Usuários existentes
+   * @returns {number} Próximo ID disponível
+   */
+  gerarProximoId(usuarios) {
+    const ids = usuarios.map(u => Number(u.id)).filter(Number.isFinite);
+    return ids.length ? Math.max(...ids) + 1 : 1;
+  }
+
+  /**
+   * Remove campos sensíveis antes de expor dados do usuário
+   *
+   * @private
+   * @param {Object} usuario - Registro completo do usuário
+   * @returns {Object} Usuário sem credenciais
+   */
+  sanitizarUsuario(usuario) {
+    const { senha, senhaHash, ...publico } = usuario;
+    return publico;
+  }
+
+  /**
+   * Realizar login e salvar sessão
+   */
+  async realizarLogin(usuario, lembrar) {
+    try {
+      // Persistir sessão (e cópia "lembrar-me", se solicitado)
+      SessionStore.salvar(this.sanitizarUsuario(usuario), { lembrar: !!lembrar });
+      const sessionData = SessionStore.obterUsuario();
+      this.ultimaAtividade = Date.now();
+
       // Disparar evento de mudança de auth
       this.dispatchAuthEvent(true, sessionData);
       
@@ -233,7 +1400,15 @@ class AuthService {
   verificarLogin() {
     try {
       const sessionData = this.getCurrentUser();
-      return !!sessionData;
+      if (!sessionData) return false;
+
+      // Sessão aberta de uma conta desativada depois do login
+      const registro = this.obterUsuarios().find(u => u.id === sessionData.id);
+      if (registro?.ativo === false) {
+        SessionStore.limpar();
+        return false;
+      }
+      return true;
     } catch (error) {
       console.error('Erro ao verificar login:', error);
       return false;
@@ -245,19 +1420,7 @@ class AuthService {
    */
   getCurrentUser() {
     try {
-      // Verificar sessão atual
-      let userData = sessionStorage.getItem(this.sessionKey);
-      
-      // Se não encontrou, verificar se há login lembrado
-      if (!userData) {
-        userData = localStorage.getItem(this.sessionKey + '_remember');
-        if (userData) {
-          // Restaurar para sessão atual
-          sessionStorage.setItem(this.sessionKey, userData);
-        }
-      }
-
-      return userData ? JSON.parse(userData) : null;
+      return SessionStore.obterUsuario();
     } catch (error) {
       console.error('Erro ao obter usuário atual:', error);
       return null;
@@ -273,12 +1436,21 @@ class AuthService {
 
   /**
    * Fazer logout
+   *
+   * @param {Object} [opcoes] - Opções do logout
+   * @param {string} [opcoes.motivo='usuario'] - 'usuario', 'inatividade' ou 'manutencao' (registrado na auditoria)
    */
-  logout() {
+  logout({ motivo = 'usuario' } = {}) {
     try {
+      // Auditar antes de limpar a sessão, enquanto o usuário ainda é conhecido
+      const usuario = this.getCurrentUser();
+      if (usuario) {
+        const { acao, mensagem } = this.motivosLogout[motivo] || this.motivosLogout.usuario;
+        this.auditar('logout', acao, { ator: usuario, mensagem });
+      }
+
       // Limpar dados de sessão
-      sessionStorage.removeItem(this.sessionKey);
-      localStorage.removeItem(this.sessionKey + '_remember');
+      SessionStore.limpar();
       
       // Parar timer de inatividade
       if (this.timerInatividade) {
@@ -288,7 +1460,10 @@ class AuthService {
       // Disparar evento de logout
       this.dispatchAuthEvent(false, null);
       
-      Toast.success('Logout realizado com sucesso');
+      // Na manutenção o aviso fica na página de manutenção
+      if (motivo !== 'manutencao') {
+        Toast.success('Logout realizado com sucesso');
+      }
       
       return { success: true, message: 'Logout realizado com sucesso' };
       
@@ -308,10 +1483,12 @@ class AuthService {
   }
 
   /**
-   * Gerar ID de sessão único
+   * Redirecionar para login
    */
-  gerarSessionId() {
-    return 'sess_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  redirecionarParaLogin() {
+    setTimeout(() => {
+      window.location.href = 'login.html';
+    }, 500);
   }
 
   /**
@@ -328,26 +1505,11 @@ class AuthService {
     window.dispatchEvent(event);
   }
 
-  logout() {
-    localStorage.removeItem(this.sessionKey);
-    window.location.href = '/login.html';
-  }
-
-  isAuthenticated() {
-    const session = this.getSession();
-    return session && session.email;
-  }
-
+  /**
+   * Obter sessão completa (expiração, lembrar-me, atividade)
+   */
   getSession() {
-    try {
-      return JSON.parse(localStorage.getItem(this.sessionKey));
-    } catch {
-      return null;
-    }
-  }
-
-  setSession(data) {
-    localStorage.setItem(this.sessionKey, JSON.stringify(data));
+    return SessionStore.obter();
   }
 }
 
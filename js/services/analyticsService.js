@@ -0,0 +1,160 @@
+/**
+ * AnalyticsService - Séries e distribuições da atividade de propostas
+ * Agrupa o histórico por dia e por semana (começando na segunda-feira),
+ * conta tipos, tons, templates e tags do período e acompanha a complexidade
+ * média semana a semana. As datas usam o fuso local do navegador.
+ */
+
+import HistoryRepository from './historyRepository.js';
+import ExportService from './exportService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 30;
+const TOP_TAGS = 10;
+const COMPLEXITY_SCORES = { baixa: 1, 'média': 2, alta: 3 };
+
+class AnalyticsService {
+    /**
+     * @param {Object} options
+     * @param {string|number|null} options.userId - null para todos os usuários (admin)
+     * @param {number} options.days - Tamanho do período, em dias, até hoje
+     */
+    async getAnalytics({ userId = null, days = DEFAULT_DAYS, now = new Date() } = {}) {
+        let propostas = [];
+        try {
+            propostas = await HistoryRepository.listAll({ userId });
+        } catch (error) {
+            console.error('Error loading analytics:', error);
+        }
+
+        const start = this.startOfDay(new Date(now.getTime() - (days - 1) * DAY));
+        const end = now.getTime();
+        const inPeriod = propostas.filter(p => {
+            const time = new Date(p.createdAt).getTime();
+            return time >= start.getTime() && time <= end;
+        });
+
+        return {
+            generatedAt: now.toISOString(),
+            userId,
+            days,
+            from: this.dateKey(start),
+            to: this.dateKey(now),
+            total: inPeriod.length,
+            daily: this.dailySeries(inPeriod, start, days),
+            weekly: this.weeklySeries(inPeriod, start, now),
+            byTipo: this.distribution(inPeriod.map(p => p.tipo)),
+            byTom: this.distribution(inPeriod.map(p => p.tom)),
+            byTemplate: this.distribution(inPeriod.map(p => p.template)),
+            complexity: this.complexityTrend(inPeriod, start, now),
+            topTags: this.distribution(inPeriod.flatMap(p => p.tags || [])).slice(0, TOP_TAGS)
+        };
+    }
+
+    dailySeries(propostas, start, days) {
+        const counts = this.countBy(propostas, p => this.dateKey(new Date(p.createdAt)));
+        return Array.from({ length: days }, (_, i) => {
+            const date = this.dateKey(new Date(start.getTime() + i * DAY + DAY / 2));
+            return { date, count: counts[date] || 0 };
+        });
+    }
+
+    weeklySeries(propostas, start, now) {
+        const counts = this.countBy(propostas, p => this.weekKey(new Date(p.createdAt)));
+        return this.weekKeys(start, now).map(week => ({ week, count: counts[week] || 0 }));
+    }
+
+    // Média semanal (baixa = 1, média = 2, alta = 3) e contagem por nível
+    complexityTrend(propostas, start, now) {
+        return this.weekKeys(start, now).map(week => {
+            const levels = propostas
+                .filter(p => this.weekKey(new Date(p.createdAt)) === week)
+                .map(p => p.metadata?.complexity)
+                .filter(level => COMPLEXITY_SCORES[level]);
+            const total = levels.reduce((sum, level) => sum + COMPLEXITY_SCORES[level], 0);
+
+            return {
+                week,
+                baixa: levels.filter(level => level === 'baixa').length,
+                media: levels.filter(level => level === 'média').length,
+                alta: levels.filter(level => level === 'alta').length,
+                score: levels.length ? Math.round((total / levels.length) * 100) / 100 : null
+            };
+        });
+    }
+
+    // Contagens em ordem decrescente (empates em ordem alfabética)
+    distribution(values) {
+        const counts = this.countBy(values.filter(Boolean), value => value);
+        return Object.entries(counts)
+            .map(([label, count]) => ({ label, count }))
+            .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label, 'pt-BR'));
+    }
+
+    /**
+     * Linhas do CSV em formato longo (série, chave, valor, detalhe),
+     * uma por ponto de cada gráfico, prontas para planilhas
+     */
+    toRows(analytics) {
+        const rows = [['serie', 'chave', 'valor', 'detalhe']];
+
+        analytics.daily.forEach(({ date, count }) => rows.push(['diario', date, count, '']));
+        analytics.weekly.forEach(({ week, count }) => rows.push(['semanal', week, count, '']));
+        [['tipo', analytics.byTipo], ['tom', analytics.byTom], ['template', analytics.byTemplate], ['tag', analytics.topTags]]
+            .forEach(([serie, items]) => items.forEach(({ label, count }) => rows.push([serie, label, count, ''])));
+        analytics.complexity.forEach(({ week, score, baixa, media, alta }) => {
+            rows.push(['complexidade', week, score ?? '', `baixa=${baixa};media=${media};alta=${alta}`]);
+        });
+
+        return rows;
+    }
+
+    buildCSVFile(analytics) {
+        const scope = analytics.userId === null ? 'geral' : 'usuario';
+        return ExportService.buildCSV(`analise_${scope}_${analytics.from}_${analytics.to}.csv`, this.toRows(analytics));
+    }
+
+    countBy(items, keyOf) {
+        return items.reduce((counts, item) => {
+            const key = keyOf(item);
+            counts[key] = (counts[key] || 0) + 1;
+            return counts;
+        }, {});
+    }
+
+    startOfDay(date) {
+        const start = new Date(date);
+        start.setHours(0, 0, 0, 0);
+        return start;
+    }
+
+    dateKey(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // Segunda-feira da semana da data
+    weekKey(date) {
+        const monday = this.startOfDay(date);
+        monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+        return this.dateKey(monday);
+    }
+
+    weekKeys(start, now) {
+        const keys = [];
+        for (let day = new Date(start); day <= now; day.setDate(day.getDate() + 7)) {
+            keys.push(this.weekKey(day));
+        }
+        const last = this.weekKey(now);
+        if (keys[keys.length - 1] !== last) keys.push(last);
+        return keys;
+    }
+}
+
+// Instância única
+const analyticsService = new AnalyticsService();
+
+// Disponibilizar globalmente (apenas uma instância)
+window.AnalyticsService = analyticsService;
+
+export default analyticsService;
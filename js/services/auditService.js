@@ -0,0 +1,182 @@
+/**
+ * AuditService - Log de auditoria (somente inclusão)
+ * Registra quem fez o quê e quando: logins, logouts, cadastros, ações de
+ * administradores e operações com propostas. Os registros nunca são editados;
+ * só saem pela retenção (idade máxima e quantidade máxima).
+ * A leitura fica no AuthService (listarAuditoria), que exige administrador.
+ * Com "Log de Auditoria Ativo" desligado, só ações de administradores são
+ * registradas, para que o próprio desligamento fique no log.
+ */
+
+import ExportService from './exportService.js';
+import SettingsService from './settingsService.js';
+
+export const AUDIT_TYPES = {
+    login: 'Login',
+    logout: 'Logout',
+    cadastro: 'Cadastro',
+    proposta: 'Proposta',
+    admin: 'Ação Admin'
+};
+
+const DEFAULT_RETENTION = {
+    maxAgeDays: 90,
+    maxEntries: 2000
+};
+
+class AuditService {
+    constructor() {
+        this.storageKey = 'promptpro_auditoria';
+        this.retention = { ...DEFAULT_RETENTION };
+        this.entries = this.loadEntries();
+    }
+
+    loadEntries() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(entries) ? entries : [];
+        } catch {
+            return [];
+        }
+    }
+
+    // Sem espaço, descarta a metade mais antiga e tenta de novo
+    saveEntries() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            console.error('Error saving audit log:', error);
+            this.entries = this.entries.slice(Math.floor(this.entries.length / 2));
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+            } catch {
+                // O log de auditoria nunca deve interromper a operação auditada
+            }
+        }
+    }
+
+    /**
+     * Registrar um evento
+     * @param {string} type - Uma das chaves de AUDIT_TYPES
+     * @param {string} action - Ex.: 'login.sucesso', 'proposta.excluida'
+     * @param {Object} options
+     * @param {Object|null} options.actor - Usuário que executou a ação ({ id, email })
+     * @param {string} options.message - Descrição legível
+     * @param {Object} options.details - Dados adicionais (sem senhas)
+     */
+    record(type, action, { actor = null, message = '', details = {} } = {}) {
+        if (!AUDIT_TYPES[type]) {
+            console.warn(`Unknown audit type: ${type}`);
+            return null;
+        }
+        if (type !== 'admin' && !SettingsService.get('auditLog')) {
+            return null;
+        }
+
+        const entry = Object.freeze({
+            id: this.generateId(),
+            timestamp: new Date().toISOString(),
+            type,
+            action,
+            actor: actor ? { id: actor.id ?? null, email: actor.email || '' } : null,
+            message,
+            details
+        });
+
+        this.entries = this.loadEntries();
+        this.entries.push(entry);
+        this.applyRetention();
+        this.saveEntries();
+        return entry;
+    }
+
+    /**
+     * Eventos do mais recente para o mais antigo (a ordem de gravação
+     * desempata eventos do mesmo milissegundo)
+     * @param {Object} filters
+     * @param {string} filters.type - Tipo (vazio para todos)
+     * @param {string} filters.query - Texto buscado na ação, mensagem, usuário e detalhes
+     */
+    list({ type = '', query = '', limit = Infinity } = {}) {
+        const term = this.normalize(query);
+        return this.loadEntries()
+            .filter(e => !type || e.type === type)
+            .filter(e => !term || this.normalize(this.searchText(e)).includes(term))
+            .reverse()
+            .slice(0, limit);
+    }
+
+    /**
+     * Remover os eventos fora da retenção
+     * @returns {number} Quantidade removida
+     */
+    purge() {
+        this.entries = this.loadEntries();
+        const before = this.entries.length;
+        this.applyRetention();
+        this.saveEntries();
+        return before - this.entries.length;
+    }
+
+    applyRetention() {
+        const { maxAgeDays, maxEntries } = this.retention;
+        const cutoff = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000).toISOString();
+        this.entries = this.entries
+            .filter(e => e.timestamp >= cutoff)
+            .slice(-maxEntries);
+    }
+
+    setRetention({ maxAgeDays, maxEntries } = {}) {
+        if (Number.isFinite(maxAgeDays) && maxAgeDays > 0) this.retention.maxAgeDays = maxAgeDays;
+        if (Number.isFinite(maxEntries) && maxEntries > 0) this.retention.maxEntries = maxEntries;
+    }
+
+    /**
+     * Arquivo com os eventos em CSV ou JSON
+     * @param {Array} entries - Resultado de list()
+     * @param {'csv'|'json'} format
+     */
+    buildExport(entries, format = 'csv') {
+        const stamp = new Date().toISOString().slice(0, 10);
+
+        if (format === 'json') {
+            return {
+                filename: `auditoria_${stamp}.json`,
+                mime: 'application/json',
+                content: JSON.stringify({ exportedAt: new Date().toISOString(), count: entries.length, entries }, null, 2)
+            };
+        }
+
+        return ExportService.buildCSV(`auditoria_${stamp}.csv`, [
+            ['data', 'tipo', 'acao', 'usuario', 'mensagem', 'detalhes'],
+            ...entries.map(e => [
+                e.timestamp,
+                e.type,
+                e.action,
+                e.actor?.email || '',
+                e.message,
+                JSON.stringify(e.details || {})
+            ])
+        ]);
+    }
+
+    searchText(entry) {
+        return [entry.action, entry.message, entry.actor?.email, JSON.stringify(entry.details || {})].join(' ');
+    }
+
+    normalize(text) {
+        return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+    }
+
+    generateId() {
+        return 'aud_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
+    }
+}
+
+// Instância única
+const auditService = new AuditService();
+
+// Disponibilizar globalmente (apenas uma instância)
+window.AuditService = auditService;
+
+export default auditService;
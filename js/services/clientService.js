@@ -0,0 +1,233 @@
+/**
+ * ClientService - Cadastro de clientes
+ * Clientes pertencem ao usuário que os cadastrou (administradores veem todos).
+ * Cada proposta guarda o clienteId e uma cópia do nome, para que o histórico
+ * continue legível mesmo se o cliente for excluído.
+ */
+
+import AuthService from './AuthService.js';
+import HistoryRepository from './historyRepository.js';
+import HistorySearch from './historySearch.js';
+import { Validation } from '../core/validation.js';
+
+const AUTOCOMPLETE_LIMIT = 8;
+
+class ClientService {
+    constructor() {
+        this.storageKey = 'promptpro_clientes';
+        this.clients = this.loadClients();
+    }
+
+    loadClients() {
+        try {
+            const clients = localStorage.getItem(this.storageKey);
+            return clients ? JSON.parse(clients) : [];
+        } catch {
+            return [];
+        }
+    }
+
+    saveClients() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.clients));
+        } catch (error) {
+            console.error('Error saving clients:', error);
+        }
+    }
+
+    // Clientes do usuário atual; administradores veem todos
+    getClients() {
+        const user = AuthService?.getCurrentUser();
+        if (!user) return [];
+
+        const isAdmin = AuthService.isAdmin?.() || false;
+        return this.clients
+            .filter(c => isAdmin || c.ownerId === user.id)
+            .sort((a, b) => a.nome.localeCompare(b.nome, 'pt-BR'));
+    }
+
+    getClientById(id) {
+        return this.getClients().find(c => c.id === id) || null;
+    }
+
+    /**
+     * Sugestões para o autocomplete: nome, empresa ou documento,
+     * sem diferenciar acentos e maiúsculas. Começo de palavra vem primeiro.
+     */
+    searchClients(query, { limit = AUTOCOMPLETE_LIMIT } = {}) {
+        const term = HistorySearch.normalize(query || '').trim();
+        const digits = (query || '').replace(/\D/g, '');
+        const clients = this.getClients();
+        if (!term) return clients.slice(0, limit);
+
+        return clients
+            .map(client => {
+                const text = HistorySearch.normalize(`${client.nome} ${client.empresa || ''}`);
+                const score = text.startsWith(term) ? 3
+                    : text.split(/\s+/).some(word => word.startsWith(term)) ? 2
+                    : text.includes(term) ? 1
+                    : digits.length >= 3 && (client.documento || '').includes(digits) ? 1
+                    : 0;
+                return { client, score };
+            })
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ client }) => client);
+    }
+
+    findByName(nome) {
+        const term = HistorySearch.normalize(nome || '').trim();
+        return this.getClients().find(c => HistorySearch.normalize(c.nome).trim() === term) || null;
+    }
+
+    validateClient(data, { id = null } = {}) {
+        const errors = [];
+        const nome = (data?.nome || '').trim();
+        const documento = (data?.documento || '').replace(/\D/g, '');
+
+        if (nome.length < 2 || nome.length > 120) {
+            errors.push('Nome deve ter entre 2 e 120 caracteres');
+        }
+        if (data?.email && !Validation.validate(data.email, 'email')) {
+            errors.push(Validation.getMessage('email'));
+        }
+        if (data?.telefone && !Validation.validate(data.telefone, 'phone')) {
+            errors.push(Validation.getMessage('phone'));
+        }
+        if (documento) {
+            if (!Validation.validate(documento, 'cpfCnpj')) {
+                errors.push(documento.length === 11 ? Validation.getMessage('cpf')
+                    : documento.length === 14 ? Validation.getMessage('cnpj')
+                    : Validation.getMessage('cpfCnpj'));
+            } else if (this.getClients().some(c => c.documento === documento && c.id !== id)) {
+                errors.push('Já existe um cliente com este CPF/CNPJ');
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            firstError: errors[0] || null
+        };
+    }
+
+    // Mantém apenas os campos editáveis; o documento é guardado só com dígitos
+    normalizeClient(data = {}) {
+        const documento = (data.documento || '').replace(/\D/g, '');
+        return {
+            nome: (data.nome || '').trim(),
+            empresa: (data.empresa || '').trim(),
+            email: (data.email || '').trim(),
+            telefone: (data.telefone || '').trim(),
+            documento,
+            tipoDocumento: documento.length === 14 ? 'cnpj' : documento.length === 11 ? 'cpf' : null,
+            observacoes: (data.observacoes || '').trim()
+        };
+    }
+
+    createClient(data) {
+        try {
+            const user = AuthService?.getCurrentUser();
+            if (!user) {
+                throw new Error('Faça login para cadastrar clientes');
+            }
+
+            const client = this.normalizeClient(data);
+            const validation = this.validateClient(client);
+            if (!validation.isValid) {
+                throw new Error(validation.errors.join('. '));
+            }
+
+            const now = new Date().toISOString();
+            const created = { ...client, id: this.generateId(), ownerId: user.id, createdAt: now, updatedAt: now };
+            this.clients.push(created);
+            this.saveClients();
+
+            return { success: true, client: created, message: 'Cliente cadastrado com sucesso!' };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    updateClient(id, changes) {
+        try {
+            const index = this.clients.findIndex(c => c.id === id);
+            if (index === -1 || !this.getClientById(id)) {
+                throw new Error('Cliente não encontrado');
+            }
+
+            const current = this.clients[index];
+            const client = this.normalizeClient({ ...current, ...changes });
+            const validation = this.validateClient(client, { id });
+            if (!validation.isValid) {
+                throw new Error(validation.errors.join('. '));
+            }
+
+            const updated = { ...current, ...client, updatedAt: new Date().toISOString() };
+            this.clients[index] = updated;
+            this.saveClients();
+
+            return { success: true, client: updated, message: 'Cliente atualizado com sucesso!' };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    // As propostas do cliente continuam no histórico com o nome copiado
+    deleteClient(id) {
+        if (!this.getClientById(id)) {
+            return { success: false, message: 'Cliente não encontrado' };
+        }
+
+        this.clients = this.clients.filter(c => c.id !== id);
+        this.saveClients();
+        return { success: true, message: 'Cliente excluído com sucesso!' };
+    }
+
+    /**
+     * Cliente digitado no formulário da ferramenta: usa o cadastro existente
+     * com o mesmo nome ou cria um novo só com o nome
+     */
+    resolveClient(nome) {
+        const existing = this.findByName(nome);
+        if (existing) {
+            return { success: true, client: existing, created: false };
+        }
+
+        const result = this.createClient({ nome });
+        return result.success ? { ...result, created: true } : result;
+    }
+
+    async getClientPropostas(id) {
+        try {
+            return await HistoryRepository.listByClient(id);
+        } catch (error) {
+            console.error('Error loading client propostas:', error);
+            return [];
+        }
+    }
+
+    formatDocumento(documento) {
+        const digits = (documento || '').replace(/\D/g, '');
+        if (digits.length === 11) {
+            return digits.replace(/(\d{3})(\d{3})(\d{3})(\d{2})/, '$1.$2.$3-$4');
+        }
+        if (digits.length === 14) {
+            return digits.replace(/(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})/, '$1.$2.$3/$4-$5');
+        }
+        return digits;
+    }
+
+    generateId() {
+        return 'cli_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
+    }
+}
+
+// Instância única
+const clientService = new ClientService();
+
+// Disponibilizar globalmente (apenas uma instância)
+window.ClientService = clientService;
+
+export default clientService;
@@ -0,0 +1,240 @@
+/**
+ * Biblioteca de templates padrão do PropostaService
+ * Incremente TEMPLATES_VERSION sempre que alterar a lista para que os
+ * templates embutidos já salvos no navegador sejam atualizados.
+ *
+ * Placeholders suportados: {TEMA}, {OBJETIVO}, {PUBLICO_ALVO}, {TOM},
+ * {DETALHES}, {DATA}, {CONTEXTO_ADICIONAL} e a lista PALAVRAS_CHAVE.
+ * Sintaxe completa (condicionais, loops, padrões e filtros) em core/template.engine.js
+ */
+
+export const TEMPLATES_VERSION = 2;
+
+export const DEFAULT_TEMPLATES = [
+    {
+        id: 'tpl_marketing_campanha',
+        name: 'Campanha de Marketing',
+        type: 'marketing',
+        keywords: ['campanha', 'lançamento', 'marca', 'branding', 'promoção', 'anúncio'],
+        structure: `Você é um estrategista de marketing sênior.
+
+Crie uma campanha sobre **{TEMA}** com o objetivo de {OBJETIVO}.
+
+**Público-alvo:** {PUBLICO_ALVO}
+**Tom de voz:** {TOM}
+**Data de referência:** {DATA}
+
+Entregue:
+1. Conceito criativo e mensagem principal
+2. Canais recomendados e justificativa
+3. Três variações de chamada (headline + subtítulo)
+4. Métricas de sucesso e metas
+
+{{#if DETALHES}}
+**Informações complementares:** {DETALHES}
+
+{{/if}}
+**Diretrizes:**{CONTEXTO_ADICIONAL}`
+    },
+    {
+        id: 'tpl_marketing_redes_sociais',
+        name: 'Posts para Redes Sociais',
+        type: 'marketing',
+        keywords: ['instagram', 'redes sociais', 'post', 'linkedin', 'tiktok', 'engajamento'],
+        structure: `Atue como social media especializado em {PUBLICO_ALVO}.
+
+Produza um calendário de posts sobre **{TEMA}** para {OBJETIVO}.
+
+Para cada post inclua legenda, sugestão visual, hashtags e melhor horário.
+Use um tom {TOM} e considere a data atual ({DATA}) para sazonalidades.
+
+{{#if DETALHES}}
+**Detalhes do cliente:** {DETALHES}
+
+{{/if}}
+**Diretrizes:**{CONTEXTO_ADICIONAL}`
+    },
+    {
+        id: 'tpl_vendas_proposta_comercial',
+        name: 'Proposta Comercial',
+        type: 'vendas',
+        keywords: ['proposta', 'orçamento', 'serviço', 'contrato', 'cliente', 'b2b'],
+        structure: `Você é um consultor comercial experiente.
+
+Redija uma proposta comercial sobre **{TEMA}**.
+
+**Objetivo da proposta:** {OBJETIVO}
+**Cliente / decisor:** {PUBLICO_ALVO}
+**Tom:** {TOM}
+**Data:** {DATA}
+
+Estrutura esperada:
+1. Diagnóstico do cenário atual
+2. Solução proposta e entregáveis
+3. Benefícios mensuráveis
+4. Investimento e condições
+5. Próximos passos
+
+{{#if DETALHES}}
+**Escopo e restrições:** {DETALHES}
+
+{{/if}}
+**Diretrizes:**{CONTEXTO_ADICIONAL}`
+    },
+    {
+        id: 'tpl_vendas_email_prospeccao',
+        name: 'E-mail de Prospecção',
+        type: 'vendas',
+        keywords: ['email', 'e-mail', 'prospecção', 'cold', 'follow-up', 'lead'],
+        structure: `Escreva uma sequência de três e-mails de prospecção sobre **{TEMA}**.
+
+Meta da sequência: {OBJETIVO}
+Destinatário: {PUBLICO_ALVO}
+Tom: {TOM}
+Enviar a partir de: {DATA}
+
+Cada e-mail deve ter assunto, abertura personalizada, proposta de valor e CTA único.
+
+{{#if DETALHES}}
+**Informações sobre a oferta:** {DETALHES}
+
+{{/if}}
+**Diretrizes:**{CONTEXTO_ADICIONAL}`
+    },
+    {
+        id: 'tpl_conteudo_artigo',
+        name: 'Artigo de Blog',
+        type: 'conteudo',
+        keywords: ['artigo', 'blog', 'seo', 'texto', 'guia', 'tutorial'],
+        structure: `Você é um redator especialista em conteúdo educativo.
+
+Escreva um artigo sobre **{TEMA}**.
+
+**Objetivo do conteúdo:** {OBJETIVO}
+**Leitor:** {PUBLICO_ALVO}
+**Tom:** {TOM}
+**Atualizado em:** {DATA}
+
+Inclua título otimizado, introdução, seções com subtítulos, exemplos práticos e conclusão com próximo passo para o leitor.
+
+{{#if DETALHES}}
+**Pontos obrigatórios:** {DETALHES}
+
+{{/if}}
+**Diretrizes:**{CONTEXTO_ADICIONAL}`
+    },
+    {
+        id: 'tpl_conteudo_roteiro',
+        name: 'Roteiro de Vídeo',
+        type: 'conteudo',
+        keywords: ['vídeo', 'video', 'roteiro', 'youtube', 'podcast', 'reels'],
+        structure: `Crie um roteiro de vídeo sobre **{TEMA}** para {OBJETIVO}.
+
+Audiência: {PUBLICO_ALVO}
+Tom de apresentação: {TOM}
+Data de gravação prevista: {DATA}
+
+Divida em gancho inicial, desenvolvimento em blocos, chamada para ação e encerramento, com duração estimada de cada trecho.
+
+{{#if DETALHES}}
+**Observações de produção:** {DETALHES}
+
+{{/if}}
+**Diretrizes:**{CONTEXTO_ADICIONAL}`
+    },
+    {
+        id: 'tpl_tecnico_especificacao',
+        name: 'Especificação Técnica',
+        type: 'tecnico',
+        keywords: ['sistema', 'api', 'software', 'arquitetura', 'integração', 'requisito'],
+        structure: `Atue como arquiteto de software.
+
+Elabore uma especificação técnica para **{TEMA}**.
+
+**Objetivo:** {OBJETIVO}
+**Leitores do documento:** {PUBLICO_ALVO}
+**Tom:** {TOM}
+**Versão do documento:** {DATA}
+
+Seções:
+1. Visão geral e escopo
+2. Requisitos funcionais e não funcionais
+3. Arquitetura proposta e componentes
+4. Riscos, dependências e mitigação
+5. Critérios de aceite
+
+{{#if DETALHES}}
+**Restrições conhecidas:** {DETALHES}
+
+{{/if}}
+**Diretrizes:**{CONTEXTO_ADICIONAL}`
+    },
+    {
+        id: 'tpl_tecnico_diagnostico',
+        name: 'Diagnóstico de Problema',
+        type: 'tecnico',
+        keywords: ['erro', 'bug', 'falha', 'diagnóstico', 'performance', 'suporte'],
+        structure: `Você é um engenheiro de suporte sênior.
+
+Analise o problema: **{TEMA}**.
+
+Resultado esperado: {OBJETIVO}
+Quem vai ler: {PUBLICO_ALVO}
+Tom: {TOM}
+Data da análise: {DATA}
+
+Apresente hipóteses de causa em ordem de probabilidade, passos de verificação, solução recomendada e como evitar recorrência.
+
+{{#if DETALHES}}
+**Sintomas e ambiente:** {DETALHES}
+
+{{/if}}
+**Diretrizes:**{CONTEXTO_ADICIONAL}`
+    },
+    {
+        id: 'tpl_geral_estruturado',
+        name: 'Prompt Estruturado',
+        type: 'geral',
+        keywords: ['plano', 'ideia', 'projeto', 'estratégia'],
+        structure: `Você é um especialista no assunto **{TEMA}**.
+
+**Objetivo:** {OBJETIVO}
+**Público-alvo:** {PUBLICO_ALVO|Público geral}
+**Tom:** {TOM|capitalize}
+**Data:** {DATA}
+{{#if PALAVRAS_CHAVE}}
+**Termos-chave:**
+{{#each PALAVRAS_CHAVE}}
+- {ITEM}
+{{/each}}
+{{/if}}
+
+Responda de forma organizada, com tópicos claros e recomendações acionáveis.
+
+{{#if DETALHES}}
+**Detalhes adicionais:** {DETALHES}
+
+{{/if}}
+**Diretrizes:**{CONTEXTO_ADICIONAL}`
+    },
+    {
+        id: 'tpl_geral_resumo',
+        name: 'Resumo Executivo',
+        type: 'geral',
+        keywords: ['resumo', 'relatório', 'apresentação', 'reunião', 'síntese'],
+        structure: `Prepare um resumo executivo sobre **{TEMA}**.
+
+Finalidade: {OBJETIVO}
+Leitores: {PUBLICO_ALVO}
+Tom: {TOM}
+Referência: {DATA}
+
+Limite-se a uma página: contexto, principais pontos, decisões necessárias e próximos passos.
+
+{{#if DETALHES}}
+**Material de apoio:** {DETALHES}
+
+{{/if}}
+**Diretrizes:**{CONTEXTO_ADICIONAL}`
+    }
+];
@@ -0,0 +1,377 @@
+/**
+ * ExportService - Exportação de propostas em vários formatos
+ * Todos os formatos partem do mesmo conteúdo: Markdown/TXT e JSON são texto,
+ * HTML, PDF e DOCX são montados a partir de uma lista de blocos
+ * (titulo, secao, subsecao, paragrafo, item, codigo, divisor).
+ * Exportações em lote geram um ZIP com um arquivo por proposta e um manifest.json.
+ */
+
+import { PdfWriter } from '../core/pdf.writer.js';
+import { DocxWriter } from '../core/docx.writer.js';
+import { ZipWriter } from '../core/zip.writer.js';
+import { HtmlUtils } from '../core/html.utils.js';
+
+export const EXPORT_FORMATS = {
+    txt: { label: 'Texto (.txt)', mime: 'text/plain;charset=utf-8' },
+    md: { label: 'Markdown (.md)', mime: 'text/markdown;charset=utf-8' },
+    json: { label: 'JSON (.json)', mime: 'application/json' },
+    html: { label: 'HTML (.html)', mime: 'text/html;charset=utf-8' },
+    pdf: { label: 'PDF (.pdf)', mime: 'application/pdf' },
+    docx: { label: 'Word (.docx)', mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' }
+};
+
+// Identificação dos formatos JSON, usada também pela importação
+export const EXPORT_SCHEMA = 'promptpro.proposta';
+export const TEMPLATES_SCHEMA = 'promptpro.templates';
+export const EXPORT_SCHEMA_VERSION = 1;
+
+const HTML_STYLES = `
+    body { font-family: system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif; max-width: 780px; margin: 40px auto; padding: 0 20px; color: #1f2937; line-height: 1.6; }
+    h1 { font-size: 1.9rem; margin-bottom: .5rem; }
+    h2 { font-size: 1.3rem; margin-top: 2rem; border-bottom: 1px solid #e5e7eb; padding-bottom: .25rem; }
+    h3 { font-size: 1.1rem; margin-top: 1.5rem; }
+    pre { background: #f3f4f6; padding: 1rem; border-radius: 8px; white-space: pre-wrap; word-wrap: break-word; font-size: .9rem; }
+    hr { border: 0; border-top: 1px solid #d1d5db; margin: 2rem 0; }
+    @media (prefers-color-scheme: dark) {
+        body { background: #111827; color: #f9fafb; }
+        pre { background: #1f2937; }
+        h2 { border-color: #374151; }
+    }
+    @media print { body { margin: 0; } pre { border: 1px solid #d1d5db; } }`;
+
+class ExportService {
+    getFormats() {
+        return Object.entries(EXPORT_FORMATS).map(([format, { label }]) => ({ format, label }));
+    }
+
+    /**
+     * Gerar o arquivo de uma proposta no formato pedido
+     * @returns {{filename: string, mime: string, content: string|Uint8Array}}
+     */
+    build(proposta, format = 'txt') {
+        const definition = EXPORT_FORMATS[format];
+        if (!definition) {
+            throw new Error(`Formato de exportação não suportado: ${format}. Use ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+        }
+
+        const builders = {
+            txt: () => this.toMarkdown(proposta),
+            md: () => this.toMarkdown(proposta),
+            json: () => this.toJSON(proposta),
+            html: () => this.toHTML(proposta),
+            pdf: () => PdfWriter.gerar(this.toBlocks(proposta), { titulo: proposta.tema }),
+            docx: () => DocxWriter.gerar(this.toBlocks(proposta), { titulo: proposta.tema })
+        };
+
+        return {
+            filename: this.buildFilename(proposta, format),
+            mime: definition.mime,
+            content: builders[format]()
+        };
+    }
+
+    /**
+     * ZIP com um arquivo por proposta e um manifest.json descrevendo o lote
+     */
+    buildArchive(propostas, format = 'md') {
+        const used = new Set();
+        const files = propostas.map(proposta => {
+            const { filename, content } = this.build(proposta, format);
+            let name = filename;
+            for (let n = 2; used.has(name); n++) {
+                name = filename.replace(/(\.\w+)$/, `_${n}$1`);
+            }
+            used.add(name);
+            return { nome: `propostas/${name}`, conteudo: content, data: new Date(proposta.createdAt), proposta };
+        });
+
+        const manifest = {
+            schema: `${EXPORT_SCHEMA}.lote`,
+            version: EXPORT_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            format,
+            count: files.length,
+            items: files.map(({ nome, proposta }) => ({
+                id: proposta.id,
+                tema: proposta.tema,
+                createdAt: proposta.createdAt,
+                file: nome
+            }))
+        };
+
+        const stamp = new Date().toISOString().slice(0, 10);
+        return {
+            filename: `propostas_${stamp}.zip`,
+            mime: 'application/zip',
+            content: ZipWriter.criar([
+                { nome: 'manifest.json', conteudo: JSON.stringify(manifest, null, 2) },
+                ...files.map(({ nome, conteudo, data }) => ({ nome, conteudo, data }))
+            ])
+        };
+    }
+
+    /**
+     * Pacote JSON de templates (sem campos de posse), aceito pela importação
+     */
+    buildTemplateBundle(templates) {
+        const bundle = {
+            schema: TEMPLATES_SCHEMA,
+            version: EXPORT_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            templates: templates.map(({ id, name, type, keywords, structure, shared }) => ({
+                id, name, type, keywords, structure, shared: !!shared
+            }))
+        };
+
+        return {
+            filename: `templates_${bundle.exportedAt.slice(0, 10)}.json`,
+            mime: EXPORT_FORMATS.json.mime,
+            content: JSON.stringify(bundle, null, 2)
+        };
+    }
+
+    /**
+     * Planilha CSV (separador vírgula, linhas CRLF) a partir de uma lista de linhas.
+     * O BOM faz o Excel reconhecer UTF-8 (acentos).
+     */
+    buildCSV(filename, rows) {
+        return {
+            filename,
+            mime: 'text/csv;charset=utf-8',
+            content: '\uFEFF' + rows.map(row => row.map(value => this.csvField(value)).join(',')).join('\r\n')
+        };
+    }
+
+    // Textos vindos do usuário: "=..." viraria fórmula na planilha
+    csvField(value) {
+        const raw = String(value ?? '');
+        const text = /^[=+\-@]/.test(raw) ? `'${raw}` : raw;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    download({ filename, mime, content }) {
+        const blob = new Blob([content], { type: mime });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        // Adiar a revogação para o download começar em todos os navegadores
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    buildFilename(proposta, format) {
+        const slug = String(proposta.tema || 'proposta')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-zA-Z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '')
+            .slice(0, 60) || 'proposta';
+        const date = (proposta.createdAt || new Date().toISOString()).slice(0, 10);
+        return `proposta_${slug}_${date}.${format}`;
+    }
+
+    toMarkdown(proposta) {
+        const metadata = proposta.metadata || {};
+        const lines = [`# ${proposta.tema}`, ''];
+
+        if (proposta.contexto) {
+            lines.push(proposta.contexto.trim(), '');
+        }
+
+        lines.push('## Prompt Gerado', '', proposta.prompt || '', '');
+
+        if (proposta.resposta?.content) {
+            lines.push('## Resposta do Modelo', '');
+            if (proposta.resposta.parcial) {
+                lines.push('_Resposta parcial: a geração foi interrompida._', '');
+            }
+            lines.push(proposta.resposta.content.trim(), '');
+        }
+
+        lines.push('---', '', ...this.buildDetails(proposta).map(([label, value]) => `**${label}:** ${value}`));
+
+        if (metadata.tags?.length) {
+            lines.push('', `**Tags:** ${metadata.tags.join(', ')}`);
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    toJSON(proposta) {
+        return JSON.stringify({
+            schema: EXPORT_SCHEMA,
+            version: EXPORT_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            proposta
+        }, null, 2);
+    }
+
+    toHTML(proposta) {
+        const body = [];
+        let list = false;
+
+        this.toBlocks(proposta).forEach(({ tipo, texto = '' }) => {
+            if (list && tipo !== 'item') {
+                body.push('</ul>');
+                list = false;
+            }
+
+            const inline = this.inlineHtml(texto);
+            switch (tipo) {
+                case 'titulo': body.push(`<h1>${inline}</h1>`); break;
+                case 'secao': body.push(`<h2>${inline}</h2>`); break;
+                case 'subsecao': body.push(`<h3>${inline}</h3>`); break;
+                case 'codigo': body.push(`<pre>${HtmlUtils.escapar(texto)}</pre>`); break;
+                case 'divisor': body.push('<hr>'); break;
+                case 'item':
+                    if (!list) {
+                        body.push('<ul>');
+                        list = true;
+                    }
+                    body.push(`<li>${inline}</li>`);
+                    break;
+                default: body.push(`<p>${inline}</p>`);
+            }
+        });
+        if (list) body.push('</ul>');
+
+        return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="generator" content="Utilidade Pro">
+<title>${HtmlUtils.escapar(proposta.tema)}</title>
+<style>${HTML_STYLES}
+</style>
+</head>
+<body>
+<main>
+${body.join('\n')}
+</main>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Conteúdo estruturado usado por HTML, PDF e DOCX
+     */
+    toBlocks(proposta) {
+        const blocks = [{ tipo: 'titulo', texto: proposta.tema }];
+
+        if (proposta.contexto) {
+            blocks.push(...this.parseMarkdown(proposta.contexto));
+        }
+
+        blocks.push({ tipo: 'secao', texto: 'Prompt Gerado' }, { tipo: 'codigo', texto: proposta.prompt || '' });
+
+        if (proposta.resposta?.content) {
+            blocks.push({ tipo: 'secao', texto: 'Resposta do Modelo' });
+            if (proposta.resposta.parcial) {
+                blocks.push({ tipo: 'paragrafo', texto: 'Resposta parcial: a geração foi interrompida.' });
+            }
+            blocks.push(...this.parseMarkdown(proposta.resposta.content));
+        }
+
+        blocks.push({ tipo: 'divisor' });
+        this.buildDetails(proposta).forEach(([label, value]) => {
+            blocks.push({ tipo: 'paragrafo', texto: `**${label}:** ${value}` });
+        });
+        if (proposta.metadata?.tags?.length) {
+            blocks.push({ tipo: 'paragrafo', texto: `**Tags:** ${proposta.metadata.tags.join(', ')}` });
+        }
+
+        return blocks;
+    }
+
+    buildDetails(proposta) {
+        const metadata = proposta.metadata || {};
+        const details = [
+            ['Gerado em', new Date(proposta.createdAt).toLocaleString('pt-BR')],
+            ['Tipo', proposta.tipo],
+            ['Template', proposta.template],
+            ['Complexidade', metadata.complexity],
+            ['Tempo estimado', metadata.estimatedTime ? `${metadata.estimatedTime} minutos` : null],
+            ['Modelo', proposta.resposta?.model ? `${proposta.resposta.model} (${proposta.resposta.provider})` : null],
+            ['ID', proposta.id]
+        ];
+        return details.filter(([, value]) => value);
+    }
+
+    /**
+     * Markdown simples (títulos, listas, blocos de código, divisores) para blocos.
+     * Quebras de linha dentro de um parágrafo são mantidas.
+     */
+    parseMarkdown(text) {
+        const blocks = [];
+        let paragraph = [];
+        let code = null;
+
+        const flush = () => {
+            if (paragraph.length) {
+                blocks.push({ tipo: 'paragrafo', texto: paragraph.join('\n') });
+                paragraph = [];
+            }
+        };
+
+        String(text).split('\n').forEach(line => {
+            if (line.trim().startsWith('```')) {
+                if (code === null) {
+                    flush();
+                    code = [];
+                } else {
+                    blocks.push({ tipo: 'codigo', texto: code.join('\n') });
+                    code = null;
+                }
+                return;
+            }
+            if (code !== null) {
+                code.push(line);
+                return;
+            }
+
+            const heading = line.match(/^(#{1,6})\s+(.*)$/);
+            const item = line.match(/^\s*[-*+]\s+(.*)$/);
+
+            if (heading) {
+                flush();
+                blocks.push({ tipo: heading[1].length <= 2 ? 'secao' : 'subsecao', texto: heading[2].trim() });
+            } else if (/^\s*(-{3,}|\*{3,}|_{3,})\s*$/.test(line)) {
+                flush();
+                blocks.push({ tipo: 'divisor' });
+            } else if (item) {
+                flush();
+                blocks.push({ tipo: 'item', texto: item[1].trim() });
+            } else if (/^\s*\d+[.)]\s+/.test(line)) {
+                flush();
+                blocks.push({ tipo: 'paragrafo', texto: line.trim() });
+            } else if (!line.trim()) {
+                flush();
+            } else {
+                paragraph.push(line.trim());
+            }
+        });
+
+        if (code !== null) blocks.push({ tipo: 'codigo', texto: code.join('\n') });
+        flush();
+        return blocks;
+    }
+
+    inlineHtml(text) {
+        return HtmlUtils.escapar(text)
+            .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/\n/g, '<br>\n');
+    }
+}
+
+// Instância única
+const exportService = new ExportService();
+
+// Disponibilizar globalmente (apenas uma instância)
+window.ExportService = exportService;
+
+export default exportService;
@@ -0,0 +1,490 @@
+/**
+ * HistoryRepository - Histórico único de gerações
+ * Substitui os dois registros paralelos (`promptpro_propostas` do PropostaService
+ * e `promptHistory` do main.js) por um único modelo versionado, com retenção
+ * por usuário e por idade definida no SettingsService.
+ *
+ * Os registros ficam no IndexedDB (índices por usuário, tipo, data e tags) e são
+ * listados em páginas com cursor. Dados antigos do localStorage são migrados
+ * na primeira abertura.
+ */
+
+import SettingsService from './settingsService.js';
+import { SessionStore } from '../core/session.store.js';
+
+// v2: cadeia de versões (versions/currentVersion) e templateId
+// v3: cliente vinculado (clienteId/clienteNome)
+const SCHEMA_VERSION = 3;
+const DB_NAME = 'promptpro';
+// v2: índice clienteId
+const DB_VERSION = 2;
+const STORE = 'historico';
+
+const DEFAULT_PAGE_SIZE = 20;
+
+// Gerações registradas nos dois formatos antigos com até 60s de diferença
+// são consideradas a mesma entrada
+const DUPLICATE_WINDOW_MS = 60 * 1000;
+
+export class StorageQuotaError extends Error {
+    constructor(message = 'Armazenamento do navegador cheio. Exclua propostas antigas ou reduza a retenção do histórico.') {
+        super(message);
+        this.name = 'StorageQuotaError';
+        this.code = 'QUOTA_EXCEEDED';
+    }
+}
+
+class HistoryRepository {
+    constructor() {
+        this.legacyKeys = {
+            history: 'promptpro_history',
+            propostas: 'promptpro_propostas',
+            prompts: 'promptHistory'
+        };
+        this.db = null;
+        this.ready = null;
+
+        // Retenção reduzida pelo admin vale de imediato, se o banco já estiver aberto
+        SettingsService.onChange(({ changes }) => {
+            if (this.db && (changes.retentionDays || changes.historyMaxItemsPerUser)) {
+                this.prune().catch(error => console.error('Error applying retention:', error));
+            }
+        });
+    }
+
+    // Abre o banco e migra o localStorage uma única vez por carregamento
+    init() {
+        if (!this.ready) {
+            this.ready = this.openDatabase()
+                .then(db => {
+                    this.db = db;
+                    return this.migrateLegacy();
+                })
+                .catch(error => {
+                    this.ready = null;
+                    throw error;
+                });
+        }
+        return this.ready;
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB não disponível neste navegador'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion >= 1 && event.oldVersion < 2) {
+                    request.transaction.objectStore(STORE).createIndex('clienteId', 'clienteId');
+                }
+                if (!db.objectStoreNames.contains(STORE)) {
+                    const store = db.createObjectStore(STORE, { keyPath: 'id' });
+                    store.createIndex('userId', 'userId');
+                    store.createIndex('tipo', 'tipo');
+                    store.createIndex('createdAt', 'createdAt');
+                    store.createIndex('tags', 'tags', { multiEntry: true });
+                    // Índices compostos garantem ordem estável para a paginação
+                    store.createIndex('createdAt_id', ['createdAt', 'id']);
+                    store.createIndex('userId_createdAt_id', ['userId', 'createdAt', 'id']);
+                    store.createIndex('tipo_createdAt_id', ['tipo', 'createdAt', 'id']);
+                    store.createIndex('clienteId', 'clienteId');
+                }
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+                db.onversionchange = () => db.close();
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Banco de histórico bloqueado por outra aba'));
+        });
+    }
+
+    /**
+     * Página de registros, do mais recente para o mais antigo.
+     * Filtra por userId, tipo e/ou tag; retorna nextCursor para a página seguinte.
+     */
+    async list({ userId = null, tipo = null, tag = null, limit = DEFAULT_PAGE_SIZE, cursor = null } = {}) {
+        await this.init();
+
+        const after = this.decodeCursor(cursor);
+        const items = [];
+
+        // Tags usam índice multiEntry, sem ordem por data: ordenar em memória
+        if (tag) {
+            const tagged = await this.getAllFromIndex('tags', IDBKeyRange.only(tag));
+            const sorted = tagged
+                .filter(item => (!userId || item.userId === userId) && (!tipo || item.tipo === tipo))
+                .sort((a, b) => this.compareDesc(a, b))
+                .filter(item => !after || this.compareDesc(item, after) > 0);
+            const page = sorted.slice(0, limit);
+            return {
+                items: page,
+                nextCursor: sorted.length > limit ? this.encodeCursor(page[page.length - 1]) : null
+            };
+        }
+
+        const { indexName, range } = this.buildRange({ userId, tipo, after });
+
+        await new Promise((resolve, reject) => {
+            const tx = this.db.transaction(STORE, 'readonly');
+            const request = tx.objectStore(STORE).index(indexName).openCursor(range, 'prev');
+
+            request.onsuccess = () => {
+                const current = request.result;
+                if (!current || items.length > limit) {
+                    resolve();
+                    return;
+                }
+                const item = current.value;
+                if ((!userId || item.userId === userId) && (!tipo || item.tipo === tipo)) {
+                    items.push(item);
+                }
+                current.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+
+        const page = items.slice(0, limit);
+        return {
+            items: page,
+            nextCursor: items.length > limit ? this.encodeCursor(page[page.length - 1]) : null
+        };
+    }
+
+    // Todos os registros (de um usuário, se informado), do mais recente ao mais antigo
+    async listAll({ userId = null } = {}) {
+        await this.init();
+        const items = userId !== null && userId !== undefined
+            ? await this.getAllFromIndex('userId', IDBKeyRange.only(userId))
+            : await this.getAllFromIndex('createdAt');
+        return items.sort((a, b) => this.compareDesc(a, b));
+    }
+
+    // Propostas vinculadas a um cliente, mais recentes primeiro
+    async listByClient(clienteId) {
+        await this.init();
+        const items = await this.getAllFromIndex('clienteId', IDBKeyRange.only(clienteId));
+        return items.sort((a, b) => this.compareDesc(a, b));
+    }
+
+    async get(id) {
+        await this.init();
+        return this.request(this.db.transaction(STORE, 'readonly').objectStore(STORE).get(id))
+            .then(item => item || null);
+    }
+
+    async save(entry) {
+        await this.init();
+        const record = this.normalize(entry);
+        await this.write(store => store.put(record));
+        await this.prune();
+        return record;
+    }
+
+    async update(id, changes) {
+        const current = await this.get(id);
+        if (!current) return null;
+
+        const record = this.normalize({
+            ...current,
+            ...changes,
+            id,
+            updatedAt: new Date().toISOString()
+        });
+        await this.write(store => store.put(record));
+        return record;
+    }
+
+    async remove(id) {
+        const current = await this.get(id);
+        if (!current) return false;
+        await this.write(store => store.delete(id));
+        return true;
+    }
+
+    async clear({ userId = null } = {}) {
+        await this.init();
+        if (userId === null) {
+            await this.write(store => store.clear());
+            return;
+        }
+        const ids = (await this.getAllFromIndex('userId', IDBKeyRange.only(userId))).map(item => item.id);
+        await this.write(store => ids.forEach(id => store.delete(id)));
+    }
+
+    async count({ userId = null } = {}) {
+        await this.init();
+        const store = this.db.transaction(STORE, 'readonly').objectStore(STORE);
+        return this.request(userId === null ? store.count() : store.index('userId').count(IDBKeyRange.only(userId)));
+    }
+
+    getRetention() {
+        return {
+            maxItemsPerUser: SettingsService.get('historyMaxItemsPerUser'),
+            maxAgeDays: SettingsService.get('retentionDays')
+        };
+    }
+
+    // Grava no SettingsService e aplica a nova retenção
+    async setRetention(changes = {}) {
+        const values = {};
+        if ('maxItemsPerUser' in changes) values.historyMaxItemsPerUser = changes.maxItemsPerUser;
+        if ('maxAgeDays' in changes) values.retentionDays = changes.maxAgeDays;
+
+        const result = SettingsService.update(values);
+        if (!result.success) {
+            return { success: false, message: result.message };
+        }
+        await this.applyRetention();
+        return { success: true, retention: this.getRetention(), message: 'Retenção do histórico atualizada' };
+    }
+
+    async applyRetention() {
+        await this.init();
+        return this.prune();
+    }
+
+    // Mantém os mais recentes de cada usuário e descarta itens mais antigos que maxAgeDays.
+    // Não aguarda init(): também é chamado durante a migração, antes de `ready` resolver.
+    async prune() {
+        const { maxItemsPerUser, maxAgeDays } = this.getRetention();
+        const cutoff = maxAgeDays
+            ? new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000).toISOString()
+            : null;
+        const expired = [];
+        const perUser = {};
+
+        await new Promise((resolve, reject) => {
+            const tx = this.db.transaction(STORE, 'readonly');
+            const request = tx.objectStore(STORE).index('createdAt_id').openCursor(null, 'prev');
+            request.onsuccess = () => {
+                const current = request.result;
+                if (!current) {
+                    resolve();
+                    return;
+                }
+                const { id, userId, createdAt } = current.value;
+                perUser[userId] = (perUser[userId] || 0) + 1;
+                if ((cutoff && createdAt < cutoff) || perUser[userId] > maxItemsPerUser) {
+                    expired.push(id);
+                }
+                current.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+
+        if (expired.length > 0) {
+            await this.write(store => expired.forEach(id => store.delete(id)));
+        }
+        return expired.length;
+    }
+
+    normalize(entry) {
+        const now = new Date().toISOString();
+        const metadata = entry.metadata || {};
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            id: entry.id,
+            userId: entry.userId ?? 'anonymous',
+            tipo: entry.tipo || 'geral',
+            tema: entry.tema || '',
+            objetivo: entry.objetivo || '',
+            publicoAlvo: entry.publicoAlvo || '',
+            tom: entry.tom || '',
+            detalhes: entry.detalhes || '',
+            contexto: entry.contexto || '',
+            prompt: entry.prompt || '',
+            template: entry.template || null,
+            templateId: entry.templateId || null,
+            clienteId: entry.clienteId || null,
+            clienteNome: entry.clienteNome || '',
+            metadata,
+            tags: Array.isArray(entry.tags) ? entry.tags : (metadata.tags || []),
+            resposta: entry.resposta || null,
+            respostaErro: entry.respostaErro || null,
+            versions: Array.isArray(entry.versions) ? entry.versions : [],
+            currentVersion: entry.currentVersion || 1,
+            createdAt: entry.createdAt || now,
+            updatedAt: entry.updatedAt || entry.createdAt || now
+        };
+    }
+
+    // Escolhe o índice composto e o intervalo que começa logo após o cursor
+    buildRange({ userId, tipo, after }) {
+        const prefixRange = (prefix) => after
+            ? IDBKeyRange.bound([prefix], [prefix, after.createdAt, after.id], false, true)
+            : IDBKeyRange.bound([prefix], [prefix, []]); // Arrays ordenam após strings e números
+
+        if (userId !== null && userId !== undefined) {
+            return { indexName: 'userId_createdAt_id', range: prefixRange(userId) };
+        }
+        if (tipo) {
+            return { indexName: 'tipo_createdAt_id', range: prefixRange(tipo) };
+        }
+        return {
+            indexName: 'createdAt_id',
+            range: after ? IDBKeyRange.upperBound([after.createdAt, after.id], true) : null
+        };
+    }
+
+    compareDesc(a, b) {
+        if (a.createdAt !== b.createdAt) return a.createdAt < b.createdAt ? 1 : -1;
+        if (a.id === b.id) return 0;
+        return a.id < b.id ? 1 : -1;
+    }
+
+    encodeCursor(item) {
+        return item ? btoa(JSON.stringify({ createdAt: item.createdAt, id: item.id })) : null;
+    }
+
+    decodeCursor(cursor) {
+        if (!cursor) return null;
+        try {
+            const { createdAt, id } = JSON.parse(atob(cursor));
+            return createdAt && id ? { createdAt, id } : null;
+        } catch {
+            return null;
+        }
+    }
+
+    getAllFromIndex(indexName, range) {
+        const tx = this.db.transaction(STORE, 'readonly');
+        return this.request(tx.objectStore(STORE).index(indexName).getAll(range));
+    }
+
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Executa uma transação de escrita, convertendo falta de espaço em StorageQuotaError
+    write(operation) {
+        return new Promise((resolve, reject) => {
+            let tx;
+            try {
+                tx = this.db.transaction(STORE, 'readwrite');
+                operation(tx.objectStore(STORE));
+            } catch (error) {
+                reject(this.translateError(error));
+                return;
+            }
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(this.translateError(tx.error));
+            tx.onabort = () => reject(this.translateError(tx.error));
+        });
+    }
+
+    translateError(error) {
+        if (error?.name === 'QuotaExceededError') {
+            return new StorageQuotaError();
+        }
+        return error || new Error('Falha ao gravar no histórico');
+    }
+
+    // Converte o histórico do localStorage (formato unificado e os dois formatos
+    // antigos) para o IndexedDB. As chaves só são removidas se a gravação concluir.
+    // Entradas sem userId (todo o `promptHistory` do main.js) pertencem a quem usa
+    // este navegador: recebem o usuário da sessão. Sem sessão, continuam no
+    // localStorage até a próxima abertura com alguém logado.
+    async migrateLegacy() {
+        const history = this.readLegacy(this.legacyKeys.history, data => data?.items);
+        const propostas = this.readLegacy(this.legacyKeys.propostas);
+        const prompts = this.readLegacy(this.legacyKeys.prompts);
+        if (history === null && propostas === null && prompts === null) {
+            return false;
+        }
+
+        const ownerId = SessionStore.obterUsuario()?.id ?? null;
+        const hasOwner = item => (item.userId ?? ownerId) !== null;
+        const withOwner = item => ({ ...item, userId: item.userId ?? ownerId });
+        const pending = {
+            history: (history || []).filter(item => !hasOwner(item)),
+            propostas: (propostas || []).filter(item => !hasOwner(item)),
+            prompts: []
+        };
+
+        const migrated = [...(history || []), ...(propostas || [])]
+            .filter(hasOwner)
+            .map(item => this.normalize(withOwner(item)));
+
+        (prompts || []).forEach(item => {
+            const record = this.fromLegacyPrompt(withOwner(item));
+            const duplicate = migrated.find(existing =>
+                existing.prompt === record.prompt &&
+                Math.abs(new Date(existing.createdAt) - new Date(record.createdAt)) <= DUPLICATE_WINDOW_MS
+            );
+
+            if (duplicate) {
+                duplicate.resposta = duplicate.resposta || record.resposta;
+            } else if (hasOwner(item)) {
+                migrated.push(record);
+            } else {
+                pending.prompts.push(item);
+            }
+        });
+
+        try {
+            await this.write(store => migrated.forEach(item => store.put(item)));
+        } catch (error) {
+            console.warn('⚠️ Histórico antigo mantido no localStorage:', error.message);
+            return false;
+        }
+
+        Object.entries(this.legacyKeys).forEach(([name, key]) => {
+            if (pending[name].length === 0) {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, JSON.stringify(name === 'history' ? { items: pending[name] } : pending[name]));
+            }
+        });
+        await this.prune();
+        return true;
+    }
+
+    fromLegacyPrompt(item) {
+        const createdAt = item.timestamp || new Date(Number(item.id) || Date.now()).toISOString();
+        return this.normalize({
+            id: `hist_${item.id || Date.parse(createdAt)}`,
+            userId: item.userId,
+            tipo: item.tipo,
+            tema: item.keywords || (item.objetivo || '').slice(0, 120),
+            objetivo: item.objetivo,
+            tom: item.tom,
+            detalhes: item.contexto,
+            prompt: item.generatedPrompt,
+            metadata: item.metadata,
+            resposta: item.resposta
+                ? { content: item.resposta, createdAt, ...(item.parcial ? { parcial: true } : {}) }
+                : null,
+            createdAt
+        });
+    }
+
+    readLegacy(key, extract = data => data) {
+        const raw = localStorage.getItem(key);
+        if (raw === null) return null;
+        try {
+            const items = extract(JSON.parse(raw));
+            return Array.isArray(items) ? items : [];
+        } catch {
+            return [];
+        }
+    }
+}
+
+// Instância única
+const historyRepository = new HistoryRepository();
+
+// Disponibilizar globalmente (apenas uma instância)
+window.HistoryRepository = historyRepository;
+
+export default historyRepository;
@@ -0,0 +1,217 @@
+/**
+ * HistorySearch - Busca textual e filtros facetados no histórico de propostas
+ * Indexa tema, objetivo, prompt e tags com tokenização em português sem acentos
+ * e ordena os resultados por relevância (empate: mais recente primeiro).
+ */
+
+import HistoryRepository from './historyRepository.js';
+
+// Pesos por campo na pontuação de relevância
+const FIELD_WEIGHTS = {
+    tema: 4,
+    tags: 3,
+    objetivo: 2,
+    prompt: 1
+};
+
+// Termo que é só prefixo de uma palavra do documento vale metade
+const PREFIX_MATCH_FACTOR = 0.5;
+const MIN_PREFIX_LENGTH = 3;
+
+const STOPWORDS = new Set([
+    'a', 'ao', 'aos', 'as', 'com', 'como', 'da', 'das', 'de', 'do', 'dos', 'e', 'em', 'entre',
+    'essa', 'esse', 'esta', 'este', 'isso', 'mais', 'mas', 'na', 'nas', 'no', 'nos', 'o', 'os',
+    'ou', 'para', 'pela', 'pelas', 'pelo', 'pelos', 'por', 'que', 'se', 'sem', 'seu', 'sua',
+    'um', 'uma', 'umas', 'uns'
+]);
+
+// Plurais comuns reduzidos ao singular (aplicado a documentos e consultas)
+const PLURAL_RULES = [
+    [/oes$/, 'ao'],
+    [/aes$/, 'ao'],
+    [/ais$/, 'al'],
+    [/eis$/, 'el'],
+    [/ois$/, 'ol'],
+    [/ns$/, 'm'],
+    [/(r|z)es$/, '$1'],
+    [/([^s])s$/, '$1']
+];
+
+const PERIODS = ['hoje', 'semana', 'mes', 'anteriores'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class HistorySearch {
+    constructor() {
+        // Tokens por proposta, invalidados quando updatedAt muda
+        this.cache = new Map();
+    }
+
+    /**
+     * Buscar no histórico.
+     * @param {Object} params
+     * @param {string} [params.query] - Texto livre; todos os termos devem aparecer
+     * @param {string|number} [params.userId] - Restringe a um usuário (omitido: todos)
+     * @param {string} [params.tipo]
+     * @param {string} [params.tom]
+     * @param {string} [params.complexity] - 'baixa', 'média' ou 'alta'
+     * @param {string} [params.period] - 'hoje', 'semana', 'mes' ou 'anteriores'
+     * @param {string} [params.from] - Data inicial (AAAA-MM-DD, inclusiva)
+     * @param {string} [params.to] - Data final (AAAA-MM-DD, inclusiva)
+     * @param {number} [params.limit]
+     * @returns {Promise<{results: Array<{proposta: Object, score: number}>, total: number, facets: Object}>}
+     */
+    async search({ query = '', userId = null, tipo = '', tom = '', complexity = '', period = '', from = '', to = '', limit = 50 } = {}) {
+        const items = await HistoryRepository.listAll({ userId });
+        const terms = this.tokenize(query);
+        const now = Date.now();
+        const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : null;
+        const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : null;
+
+        // Texto e intervalo de datas restringem todas as facetas
+        const matches = [];
+        items.forEach(item => {
+            const createdAt = new Date(item.createdAt).getTime();
+            if (fromTime !== null && createdAt < fromTime) return;
+            if (toTime !== null && createdAt > toTime) return;
+
+            const score = terms.length > 0 ? this.score(item, terms) : 0;
+            if (terms.length > 0 && score === 0) return;
+
+            matches.push({
+                proposta: item,
+                score,
+                values: {
+                    tipo: item.tipo || '',
+                    tom: item.tom || '',
+                    complexity: item.metadata?.complexity || '',
+                    period: this.periodOf(createdAt, now)
+                }
+            });
+        });
+
+        const filters = { tipo, tom, complexity, period };
+        const active = Object.entries(filters).filter(([, value]) => value);
+        const passes = (match, ignore = null) =>
+            active.every(([key, value]) => key === ignore || match.values[key] === value);
+
+        const results = matches
+            .filter(match => passes(match))
+            .sort((a, b) => b.score - a.score || (a.proposta.createdAt < b.proposta.createdAt ? 1 : -1));
+
+        return {
+            results: results.slice(0, limit).map(({ proposta, score }) => ({ proposta, score })),
+            total: results.length,
+            facets: this.buildFacets(matches, passes)
+        };
+    }
+
+    /**
+     * Contagens por faceta. Cada faceta considera os demais filtros ativos,
+     * mas não o seu próprio, para que as alternativas continuem visíveis.
+     */
+    buildFacets(matches, passes) {
+        const facets = { tipo: {}, tom: {}, complexity: {}, period: {} };
+
+        Object.keys(facets).forEach(key => {
+            matches.forEach(match => {
+                const value = match.values[key];
+                if (!value || !passes(match, key)) return;
+                facets[key][value] = (facets[key][value] || 0) + 1;
+            });
+        });
+
+        // Períodos em ordem cronológica fixa
+        facets.period = Object.fromEntries(
+            PERIODS.filter(period => facets.period[period]).map(period => [period, facets.period[period]])
+        );
+        return facets;
+    }
+
+    score(item, terms) {
+        const fields = this.indexItem(item);
+        let total = 0;
+
+        for (const term of terms) {
+            let best = 0;
+            for (const [field, tokens] of Object.entries(fields)) {
+                let hits = 0;
+                tokens.forEach(token => {
+                    if (token === term) {
+                        hits += 1;
+                    } else if (term.length >= MIN_PREFIX_LENGTH && token.startsWith(term)) {
+                        hits += PREFIX_MATCH_FACTOR;
+                    }
+                });
+                if (hits > 0) {
+                    // Repetições contam com retorno decrescente
+                    best = Math.max(best, FIELD_WEIGHTS[field] * (1 + Math.log(hits + 1)));
+                }
+            }
+            if (best === 0) return 0;
+            total += best;
+        }
+
+        return Math.round(total * 100) / 100;
+    }
+
+    indexItem(item) {
+        const cached = this.cache.get(item.id);
+        if (cached && cached.updatedAt === item.updatedAt) {
+            return cached.fields;
+        }
+
+        const fields = {
+            tema: this.tokenize(item.tema),
+            tags: this.tokenize((item.tags?.length ? item.tags : item.metadata?.tags || []).join(' ')),
+            objetivo: this.tokenize(item.objetivo),
+            prompt: this.tokenize(`${item.prompt} ${item.resposta?.content || ''}`)
+        };
+        this.cache.set(item.id, { updatedAt: item.updatedAt, fields });
+        return fields;
+    }
+
+    /**
+     * Remove acentos e caixa: "Promoção" → "promocao"
+     */
+    normalize(text) {
+        return String(text ?? '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    tokenize(text) {
+        return this.normalize(text)
+            .split(/[^a-z0-9]+/)
+            .filter(token => token.length > 1 && !STOPWORDS.has(token))
+            .map(token => this.singularize(token));
+    }
+
+    singularize(token) {
+        if (token.length <= 3) return token;
+        for (const [pattern, replacement] of PLURAL_RULES) {
+            if (pattern.test(token)) {
+                return token.replace(pattern, replacement);
+            }
+        }
+        return token;
+    }
+
+    periodOf(createdAt, now) {
+        const startOfDay = new Date(now);
+        startOfDay.setHours(0, 0, 0, 0);
+
+        if (createdAt >= startOfDay.getTime()) return 'hoje';
+        if (createdAt >= now - 7 * DAY_MS) return 'semana';
+        if (createdAt >= now - 30 * DAY_MS) return 'mes';
+        return 'anteriores';
+    }
+}
+
+// Instância única
+const historySearch = new HistorySearch();
+
+// Disponibilizar globalmente (apenas uma instância)
+window.HistorySearch = historySearch;
+
+export default historySearch;
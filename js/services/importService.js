@@ -0,0 +1,398 @@
+/**
+ * ImportService - Importação de propostas e templates
+ * Aceita o JSON da exportação (uma proposta ou um pacote de templates), o
+ * Markdown gerado por formatPropostaForExport e ZIPs da exportação em lote.
+ *
+ * O fluxo tem duas etapas: preview() valida e classifica cada item como
+ * adicionar, ignorar, sobrescrever ou inválido (dry-run, nada é gravado);
+ * apply() grava o plano aprovado.
+ *
+ * Modos: 'merge' adiciona apenas o que é novo e ignora duplicados;
+ * 'replace' sobrescreve os duplicados com a versão importada.
+ * Duplicados são detectados pelo id ou pelo hash do conteúdo.
+ */
+
+import AuthService from './AuthService.js';
+import PropostaService from './propostaService.js';
+import HistoryRepository from './historyRepository.js';
+import { EXPORT_SCHEMA, TEMPLATES_SCHEMA } from './exportService.js';
+import { ZipReader } from '../core/zip.reader.js';
+
+const IMPORT_MODES = ['merge', 'replace'];
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+// Rótulos do Markdown exportado e os campos correspondentes
+const CONTEXT_LABELS = {
+    'Objetivo': 'objetivo',
+    'Público-alvo': 'publicoAlvo',
+    'Tom': 'tom',
+    'Detalhes adicionais': 'detalhes'
+};
+
+const DETAIL_LABELS = {
+    'Gerado em': 'createdAt',
+    'Tipo': 'tipo',
+    'Template': 'template',
+    'Complexidade': 'complexity',
+    'Tempo estimado': 'estimatedTime',
+    'Modelo': 'modelo',
+    'ID': 'id',
+    'Tags': 'tags'
+};
+
+class ImportService {
+    /**
+     * Ler arquivos escolhidos pelo usuário
+     * @param {FileList|File[]} files
+     * @returns {Promise<{entries: Array<{kind: string, data: Object, source: string}>, errors: Array<{source: string, message: string}>}>}
+     */
+    async readFiles(files) {
+        const entries = [];
+        const errors = [];
+
+        for (const file of Array.from(files)) {
+            try {
+                if (file.size > MAX_FILE_SIZE) {
+                    throw new Error('Arquivo maior que 5 MB');
+                }
+
+                if (/\.zip$/i.test(file.name)) {
+                    const archive = await ZipReader.extrair(await file.arrayBuffer());
+                    const decoder = new TextDecoder();
+                    archive
+                        .filter(({ nome }) => !/(^|\/)manifest\.json$/.test(nome))
+                        .forEach(({ nome, conteudo }) => {
+                            const source = `${file.name}/${nome}`;
+                            try {
+                                entries.push(...this.parseText(decoder.decode(conteudo), source));
+                            } catch (error) {
+                                errors.push({ source, message: error.message });
+                            }
+                        });
+                } else {
+                    entries.push(...this.parseText(await file.text(), file.name));
+                }
+            } catch (error) {
+                errors.push({ source: file.name, message: error.message });
+            }
+        }
+
+        return { entries, errors };
+    }
+
+    parseText(text, source) {
+        if (/\.(md|markdown|txt)$/i.test(source)) {
+            return [{ kind: 'proposta', data: this.parseMarkdown(text), source }];
+        }
+        if (/\.json$/i.test(source) || /^\s*[[{]/.test(text)) {
+            return this.parseJSON(text, source);
+        }
+        throw new Error('Formato não suportado. Use .json, .md, .txt ou .zip da exportação');
+    }
+
+    parseJSON(text, source) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            throw new Error('JSON inválido');
+        }
+
+        if (data?.schema === TEMPLATES_SCHEMA) {
+            if (!Array.isArray(data.templates)) {
+                throw new Error('Pacote de templates sem a lista "templates"');
+            }
+            return data.templates.map(template => ({ kind: 'template', data: template, source }));
+        }
+        if (data?.schema === EXPORT_SCHEMA) {
+            return [{ kind: 'proposta', data: data.proposta, source }];
+        }
+        if (data?.schema) {
+            throw new Error(`Esquema desconhecido: ${data.schema}`);
+        }
+
+        // Sem envelope: proposta ou lista de propostas
+        const items = Array.isArray(data) ? data : [data];
+        return items.map(item => ({ kind: 'proposta', data: item, source }));
+    }
+
+    /**
+     * Converter o Markdown de formatPropostaForExport de volta em proposta
+     */
+    parseMarkdown(text) {
+        const content = String(text).replace(/\r\n/g, '\n');
+        const title = content.match(/^# (.+)$/m);
+        const promptHeading = content.indexOf('\n## Prompt Gerado\n');
+        if (!title || promptHeading === -1) {
+            throw new Error('Markdown fora do formato exportado (título ou "## Prompt Gerado" ausente)');
+        }
+
+        const separator = content.lastIndexOf('\n---\n');
+        const bodyEnd = separator > promptHeading ? separator : content.length;
+        let body = content.slice(promptHeading + '\n## Prompt Gerado\n'.length, bodyEnd);
+        const details = this.readLabels(separator > promptHeading ? content.slice(separator) : '', DETAIL_LABELS);
+
+        const contextStart = content.indexOf('\n', title.index) + 1;
+        const contexto = content.slice(contextStart, promptHeading).trim();
+        const fields = this.readLabels(contexto, CONTEXT_LABELS);
+
+        let resposta = null;
+        const answerHeading = body.indexOf('\n## Resposta do Modelo\n');
+        if (answerHeading !== -1) {
+            let answer = body.slice(answerHeading + '\n## Resposta do Modelo\n'.length).trim();
+            const parcial = answer.startsWith('_Resposta parcial');
+            if (parcial) {
+                answer = answer.slice(answer.indexOf('\n') + 1).trim();
+            }
+            const [, model, provider] = (details.modelo || '').match(/^(.*) \((.*)\)$/) || [];
+            resposta = { content: answer, ...(parcial ? { parcial: true } : {}), ...(model ? { model, provider } : {}) };
+            body = body.slice(0, answerHeading);
+        }
+
+        return {
+            id: details.id,
+            tipo: details.tipo || 'geral',
+            tema: title[1].trim(),
+            objetivo: fields.objetivo || '',
+            publicoAlvo: fields.publicoAlvo || '',
+            tom: fields.tom || '',
+            detalhes: fields.detalhes || '',
+            contexto,
+            prompt: body.trim(),
+            template: details.template || null,
+            resposta,
+            createdAt: this.parseLocaleDate(details.createdAt),
+            metadata: {
+                complexity: details.complexity,
+                estimatedTime: parseInt(details.estimatedTime, 10) || undefined,
+                tags: details.tags ? details.tags.split(',').map(tag => tag.trim()).filter(Boolean) : []
+            }
+        };
+    }
+
+    readLabels(text, labels) {
+        const values = {};
+        text.split('\n').forEach(line => {
+            const match = line.match(/^\*\*(.+?):\*\*\s*(.*)$/);
+            if (match && labels[match[1]]) {
+                values[labels[match[1]]] = match[2].trim();
+            }
+        });
+        return values;
+    }
+
+    // "19/10/2026, 14:36:00" (toLocaleString pt-BR) → ISO
+    parseLocaleDate(value) {
+        const match = (value || '').match(/^(\d{2})\/(\d{2})\/(\d{4}),?\s+(\d{2}):(\d{2})(?::(\d{2}))?/);
+        if (!match) return undefined;
+        const [, day, month, year, hour, minute, second = '0'] = match;
+        return new Date(+year, +month - 1, +day, +hour, +minute, +second).toISOString();
+    }
+
+    validateProposta(data) {
+        const errors = [];
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { isValid: false, errors: ['Proposta deve ser um objeto'], firstError: 'Proposta deve ser um objeto' };
+        }
+        if (typeof data.tema !== 'string' || !data.tema.trim()) {
+            errors.push('Campo "tema" é obrigatório');
+        }
+        if (typeof data.prompt !== 'string' || !data.prompt.trim()) {
+            errors.push('Campo "prompt" é obrigatório');
+        }
+        if (data.id !== undefined && (typeof data.id !== 'string' || !data.id.trim())) {
+            errors.push('Campo "id" deve ser um texto');
+        }
+        if (data.createdAt !== undefined && Number.isNaN(Date.parse(data.createdAt))) {
+            errors.push('Campo "createdAt" deve ser uma data válida');
+        }
+        ['tipo', 'objetivo', 'publicoAlvo', 'tom', 'detalhes', 'contexto'].forEach(field => {
+            if (data[field] !== undefined && data[field] !== null && typeof data[field] !== 'string') {
+                errors.push(`Campo "${field}" deve ser um texto`);
+            }
+        });
+        if (data.metadata !== undefined && (typeof data.metadata !== 'object' || Array.isArray(data.metadata))) {
+            errors.push('Campo "metadata" deve ser um objeto');
+        }
+        if (data.resposta && typeof data.resposta.content !== 'string') {
+            errors.push('Campo "resposta.content" deve ser um texto');
+        }
+        if (data.versions !== undefined && (!Array.isArray(data.versions) || data.versions.some(v =>
+            !Number.isInteger(v?.version) || typeof v.prompt !== 'string'))) {
+            errors.push('Campo "versions" deve ser uma lista de versões com número e prompt');
+        }
+
+        return { isValid: errors.length === 0, errors, firstError: errors[0] || null };
+    }
+
+    /**
+     * Dry-run: classificar cada item sem gravar nada
+     * @returns {Promise<{mode: string, items: Array, summary: {add: number, skip: number, overwrite: number, invalid: number}}>}
+     */
+    async preview(entries, { mode = 'merge' } = {}) {
+        if (!IMPORT_MODES.includes(mode)) {
+            throw new Error(`Modo de importação inválido. Use: ${IMPORT_MODES.join(', ')}`);
+        }
+        const user = AuthService.getCurrentUser();
+        if (!user) {
+            throw new Error('Faça login para importar');
+        }
+
+        const existing = await HistoryRepository.listAll({ userId: user.id });
+        const propostasById = new Map(existing.map(item => [item.id, item]));
+        const propostasByHash = new Map(existing.map(item => [this.hashProposta(item), item]));
+        const templates = PropostaService.getTemplates();
+        const templatesById = new Map(templates.map(item => [item.id, item]));
+        const templatesByHash = new Map(templates.map(item => [this.hashTemplate(item), item]));
+        const seen = new Set();
+
+        const items = [];
+        for (const entry of entries) {
+            const item = entry.kind === 'template'
+                ? this.planTemplate(entry, { mode, templatesById, templatesByHash })
+                : await this.planProposta(entry, { mode, user, propostasById, propostasByHash });
+
+            // O mesmo conteúdo repetido no próprio lote entra uma vez só
+            if (item.hash && item.action !== 'invalid') {
+                const key = `${entry.kind}:${item.hash}`;
+                if (seen.has(key)) {
+                    Object.assign(item, { action: 'skip', reason: 'Repetido nos arquivos importados' });
+                }
+                seen.add(key);
+            }
+            items.push(item);
+        }
+
+        const summary = { add: 0, skip: 0, overwrite: 0, invalid: 0 };
+        items.forEach(item => summary[item.action]++);
+
+        return { mode, items, summary };
+    }
+
+    async planProposta(entry, { mode, user, propostasById, propostasByHash }) {
+        const base = { kind: 'proposta', source: entry.source, label: entry.data?.tema || '(sem tema)' };
+        const validation = this.validateProposta(entry.data);
+        if (!validation.isValid) {
+            return { ...base, action: 'invalid', reason: validation.errors.join('. ') };
+        }
+
+        const hash = this.hashProposta(entry.data);
+        const duplicate = propostasById.get(entry.data.id) || propostasByHash.get(hash);
+        if (duplicate) {
+            const reason = duplicate.id === entry.data.id ? 'Mesmo id no histórico' : 'Mesmo conteúdo no histórico';
+            return mode === 'replace'
+                ? { ...base, hash, action: 'overwrite', reason, data: entry.data, targetId: duplicate.id }
+                : { ...base, hash, action: 'skip', reason, data: entry.data };
+        }
+
+        // Id usado por outro usuário: importa com um id novo
+        const taken = entry.data.id && await HistoryRepository.get(entry.data.id);
+        return {
+            ...base,
+            hash,
+            action: 'add',
+            data: entry.data,
+            targetId: !entry.data.id || (taken && taken.userId !== user.id) ? PropostaService.generateId() : entry.data.id
+        };
+    }
+
+    planTemplate(entry, { mode, templatesById, templatesByHash }) {
+        const base = { kind: 'template', source: entry.source, label: entry.data?.name || '(sem nome)' };
+        const data = PropostaService.normalizeTemplate(entry.data || {});
+        const validation = PropostaService.validateTemplate(data);
+        if (!validation.isValid) {
+            return { ...base, action: 'invalid', reason: validation.errors.join('. ') };
+        }
+
+        const hash = this.hashTemplate(data);
+        const duplicate = templatesById.get(entry.data.id) || templatesByHash.get(hash);
+        if (!duplicate) {
+            return { ...base, hash, action: 'add', data };
+        }
+
+        const reason = duplicate.id === entry.data.id ? 'Mesmo id de um template existente' : 'Mesmo conteúdo de um template existente';
+        if (mode === 'merge') {
+            return { ...base, hash, action: 'skip', reason, data };
+        }
+        if (!PropostaService.canEditTemplate(duplicate)) {
+            return { ...base, hash, action: 'skip', reason: duplicate.builtIn ? 'Templates padrão não podem ser sobrescritos' : 'Sem permissão para sobrescrever', data };
+        }
+        return { ...base, hash, action: 'overwrite', reason, data, targetId: duplicate.id };
+    }
+
+    /**
+     * Gravar um plano gerado por preview()
+     */
+    async apply(plan) {
+        const user = AuthService.getCurrentUser();
+        if (!user) {
+            return { success: false, message: 'Faça login para importar' };
+        }
+
+        const now = new Date().toISOString();
+        const done = { add: 0, overwrite: 0 };
+        const failures = [];
+
+        for (const item of plan.items) {
+            if (item.action !== 'add' && item.action !== 'overwrite') continue;
+
+            try {
+                if (item.kind === 'template') {
+                    const result = item.action === 'add'
+                        ? PropostaService.createTemplate(item.data)
+                        : PropostaService.updateTemplate(item.targetId, item.data);
+                    if (!result.success) throw new Error(result.message);
+                } else {
+                    await HistoryRepository.save({
+                        ...item.data,
+                        id: item.targetId,
+                        userId: user.id,
+                        createdAt: item.data.createdAt || now,
+                        updatedAt: now,
+                        metadata: { ...(item.data.metadata || {}), importedAt: now }
+                    });
+                }
+                done[item.action]++;
+            } catch (error) {
+                failures.push(`${item.label}: ${error.message}`);
+                // Sem espaço, as próximas gravações também falhariam
+                if (error.code === 'QUOTA_EXCEEDED') break;
+            }
+        }
+
+        const message = `${done.add} adicionado(s), ${done.overwrite} sobrescrito(s), ${plan.summary.skip} ignorado(s)`;
+        return {
+            success: failures.length === 0,
+            imported: done,
+            failures,
+            message: failures.length ? `${message}. Falhas: ${failures.join('; ')}` : message
+        };
+    }
+
+    hashProposta(data) {
+        return this.hash(`${String(data.tema || '').trim().toLowerCase()}\n${String(data.prompt || '').trim()}`);
+    }
+
+    hashTemplate(data) {
+        return this.hash(`${String(data.name || '').trim().toLowerCase()}\n${String(data.structure || '').trim()}`);
+    }
+
+    // FNV-1a 32 bits: suficiente para detectar conteúdo idêntico
+    hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+}
+
+// Instância única
+const importService = new ImportService();
+
+// Disponibilizar globalmente (apenas uma instância)
+window.ImportService = importService;
+
+export default importService;
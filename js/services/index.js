@@ -16,4 +16,34 @@ export { default as AuthService } from './AuthService.js';
 // Proposal/Prompt service
 export { default as PropostaService } from './propostaService.js';
 
+// Unified generation history
+export { default as HistoryRepository } from './historyRepository.js';
+
+// Full-text, faceted history search
+export { default as HistorySearch } from './historySearch.js';
+
+// Multi-format export (txt, md, json, html, pdf, docx, zip)
+export { default as ExportService } from './exportService.js';
+
+// Import from JSON, Markdown and ZIP exports with duplicate detection
+export { default as ImportService } from './importService.js';
+
+// Client registry linked to propostas
+export { default as ClientService } from './clientService.js';
+
+// Time series and distributions for the activity charts
+export { default as AnalyticsService } from './analyticsService.js';
+
+// Typed system settings with change events
+export { default as SettingsService } from './settingsService.js';
+
+// Per-user daily generation quota
+export { default as QuotaService } from './quotaService.js';
+
+// Append-only audit log with retention
+export { default as AuditService } from './auditService.js';
+
+// LLM provider adapters (OpenAI-compatible, Ollama)
+export { default as LLMService } from './llmService.js';
+
 console.log('🔧 Services centralized exports loaded');
@@ -0,0 +1,498 @@
+/**
+ * LLMService - Execução de prompts em modelos de linguagem
+ * Adaptadores para endpoints compatíveis com OpenAI (chat completions) e
+ * Ollama. Novos provedores podem ser registrados com registerProvider().
+ */
+
+import { CryptoUtils } from '../core/crypto.utils.js';
+
+const DEFAULT_CONFIG = {
+    provider: 'none',
+    baseUrl: '',
+    model: '',
+    temperature: 0.7,
+    maxTokens: 1024,
+    timeoutMs: 60000
+};
+
+export class LLMProvider {
+    constructor(config, fetchFn = globalThis.fetch?.bind(globalThis)) {
+        this.config = config;
+        this.fetch = fetchFn;
+    }
+
+    // Implementado pelos provedores: recebe mensagens { role, content }
+    // e resolve para { content, model, usage }
+    async complete(messages, options = {}) {
+        throw new Error('Provedor não implementa complete()');
+    }
+
+    // Provedores sem streaming entregam a resposta completa como um único trecho
+    async *stream(messages, options = {}) {
+        yield await this.complete(messages, options);
+    }
+
+    buildUrl(path) {
+        return this.config.baseUrl.replace(/\/+$/, '') + path;
+    }
+
+    // Abre a requisição mantendo o cancelamento ativo até release().
+    // O tempo limite é de inatividade: touch() o reinicia a cada trecho recebido.
+    async open(path, body, headers = {}, signal) {
+        const controller = new AbortController();
+        let timer = null;
+        const touch = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => controller.abort(new Error('timeout')), this.config.timeoutMs);
+        };
+        const abort = () => controller.abort(signal.reason);
+        const release = () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', abort);
+        };
+        const translate = (error) => {
+            if (signal?.aborted) {
+                return new Error('Execução cancelada');
+            }
+            if (controller.signal.aborted) {
+                return new Error(`Tempo limite de ${Math.round(this.config.timeoutMs / 1000)}s excedido`);
+            }
+            if (error instanceof TypeError) {
+                return new Error(`Não foi possível conectar a ${this.config.baseUrl}`);
+            }
+            return error;
+        };
+
+        if (signal?.aborted) {
+            throw translate();
+        }
+        signal?.addEventListener('abort', abort, { once: true });
+        touch();
+
+        try {
+            const response = await this.fetch(this.buildUrl(path), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const text = await response.text().catch(() => '');
+                let detail = text;
+                try {
+                    const parsed = JSON.parse(text);
+                    detail = parsed.error?.message || parsed.error || text;
+                } catch {
+                    // Corpo não-JSON: usar texto bruto
+                }
+                throw new Error(`Provedor respondeu ${response.status}${detail ? `: ${String(detail).slice(0, 200)}` : ''}`);
+            }
+
+            return { response, touch, release, translate };
+        } catch (error) {
+            release();
+            throw translate(error);
+        }
+    }
+
+    async request(path, body, headers = {}, signal) {
+        const { response, release, translate } = await this.open(path, body, headers, signal);
+        try {
+            return await response.json();
+        } catch (error) {
+            throw translate(error);
+        } finally {
+            release();
+        }
+    }
+
+    // Lê o corpo em linhas (SSE ou NDJSON) conforme os trechos chegam
+    async *requestLines(path, body, headers = {}, signal) {
+        const { response, touch, release, translate } = await this.open(path, body, headers, signal);
+        const reader = response.body.getReader();
+        try {
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                touch();
+
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                for (const line of lines) {
+                    if (line.trim()) yield line.trim();
+                }
+            }
+
+            buffer += decoder.decode();
+            if (buffer.trim()) yield buffer.trim();
+        } catch (error) {
+            throw translate(error);
+        } finally {
+            release();
+            reader.cancel().catch(() => {});
+        }
+    }
+}
+
+export class OpenAICompatibleProvider extends LLMProvider {
+    buildBody(messages, stream) {
+        return {
+            model: this.config.model,
+            messages,
+            temperature: this.config.temperature,
+            max_tokens: this.config.maxTokens,
+            stream
+        };
+    }
+
+    buildHeaders() {
+        return this.config.apiKey ? { Authorization: `Bearer ${this.config.apiKey}` } : {};
+    }
+
+    parseUsage(usage) {
+        return usage ? {
+            promptTokens: usage.prompt_tokens,
+            completionTokens: usage.completion_tokens,
+            totalTokens: usage.total_tokens
+        } : null;
+    }
+
+    async complete(messages, options = {}) {
+        const data = await this.request('/chat/completions', this.buildBody(messages, false), this.buildHeaders(), options.signal);
+
+        const content = data.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+            throw new Error('Resposta do provedor sem conteúdo');
+        }
+
+        return {
+            content,
+            model: data.model || this.config.model,
+            usage: this.parseUsage(data.usage)
+        };
+    }
+
+    // Server-Sent Events: linhas "data: {...}" terminadas por "data: [DONE]"
+    async *stream(messages, options = {}) {
+        const lines = this.requestLines('/chat/completions', this.buildBody(messages, true), this.buildHeaders(), options.signal);
+
+        for await (const line of lines) {
+            if (!line.startsWith('data:')) continue;
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') break;
+
+            let data;
+            try {
+                data = JSON.parse(payload);
+            } catch {
+                continue;
+            }
+
+            yield {
+                content: data.choices?.[0]?.delta?.content || '',
+                model: data.model,
+                usage: this.parseUsage(data.usage)
+            };
+        }
+    }
+}
+
+export class OllamaProvider extends LLMProvider {
+    buildBody(messages, stream) {
+        return {
+            model: this.config.model,
+            messages,
+            stream,
+            options: {
+                temperature: this.config.temperature,
+                num_predict: this.config.maxTokens
+            }
+        };
+    }
+
+    parseUsage(data) {
+        return data.eval_count !== undefined ? {
+            promptTokens: data.prompt_eval_count,
+            completionTokens: data.eval_count,
+            totalTokens: (data.prompt_eval_count || 0) + data.eval_count
+        } : null;
+    }
+
+    async complete(messages, options = {}) {
+        const data = await this.request('/api/chat', this.buildBody(messages, false), {}, options.signal);
+
+        const content = data.message?.content;
+        if (typeof content !== 'string') {
+            throw new Error('Resposta do provedor sem conteúdo');
+        }
+
+        return {
+            content,
+            model: data.model || this.config.model,
+            usage: this.parseUsage(data)
+        };
+    }
+
+    // NDJSON: um objeto por linha, o último com done: true
+    async *stream(messages, options = {}) {
+        const lines = this.requestLines('/api/chat', this.buildBody(messages, true), {}, options.signal);
+
+        for await (const line of lines) {
+            let data;
+            try {
+                data = JSON.parse(line);
+            } catch {
+                continue;
+            }
+            if (data.error) {
+                throw new Error(`Provedor respondeu: ${data.error}`);
+            }
+
+            yield {
+                content: data.message?.content || '',
+                model: data.model,
+                usage: data.done ? this.parseUsage(data) : null
+            };
+            if (data.done) break;
+        }
+    }
+}
+
+class LLMService {
+    constructor() {
+        this.configKey = 'promptpro_llm_config';
+        this.apiKeyKey = 'promptpro_llm_api_key';
+        this.systemPrompt = 'Você é um assistente especialista. Responda em português do Brasil, seguindo exatamente as instruções do prompt.';
+        this.providers = {
+            openai: OpenAICompatibleProvider,
+            ollama: OllamaProvider
+        };
+        this.fetch = globalThis.fetch?.bind(globalThis);
+    }
+
+    registerProvider(name, ProviderClass) {
+        if (!(ProviderClass?.prototype instanceof LLMProvider)) {
+            throw new Error('Provedor deve estender LLMProvider');
+        }
+        this.providers[name] = ProviderClass;
+    }
+
+    getConfig() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.configKey) || '{}');
+            return { ...DEFAULT_CONFIG, ...stored };
+        } catch {
+            return { ...DEFAULT_CONFIG };
+        }
+    }
+
+    validateConfig(config) {
+        const errors = [];
+
+        if (config.provider !== 'none' && !this.providers[config.provider]) {
+            errors.push(`Provedor inválido. Use: none, ${Object.keys(this.providers).join(', ')}`);
+        }
+        if (config.provider !== 'none') {
+            try {
+                const url = new URL(config.baseUrl);
+                if (!['http:', 'https:'].includes(url.protocol)) throw new Error();
+            } catch {
+                errors.push('URL base inválida (ex.: https://api.openai.com/v1 ou http://localhost:11434)');
+            }
+            if (!config.model || !String(config.model).trim()) {
+                errors.push('Informe o modelo');
+            }
+        }
+        if (!Number.isFinite(config.temperature) || config.temperature < 0 || config.temperature > 2) {
+            errors.push('Temperatura deve estar entre 0 e 2');
+        }
+        if (!Number.isInteger(config.maxTokens) || config.maxTokens < 1 || config.maxTokens > 32000) {
+            errors.push('Máximo de tokens deve ser um inteiro entre 1 e 32000');
+        }
+        if (!Number.isInteger(config.timeoutMs) || config.timeoutMs < 1000) {
+            errors.push('Tempo limite deve ser de pelo menos 1000 ms');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            firstError: errors[0] || null
+        };
+    }
+
+    // A chave de API é guardada separadamente, criptografada com CryptoUtils
+    async saveConfig(changes = {}) {
+        try {
+            const { apiKey, ...rest } = changes;
+            const config = { ...this.getConfig(), ...rest };
+            ['temperature', 'maxTokens', 'timeoutMs'].forEach(field => {
+                config[field] = Number(config[field]);
+            });
+
+            const validation = this.validateConfig(config);
+            if (!validation.isValid) {
+                throw new Error(validation.errors.join('. '));
+            }
+
+            localStorage.setItem(this.configKey, JSON.stringify(config));
+
+            if (apiKey !== undefined) {
+                await this.saveApiKey(apiKey);
+            }
+
+            return { success: true, config, message: 'Configuração do modelo salva' };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    async saveApiKey(apiKey) {
+        if (!apiKey) {
+            localStorage.removeItem(this.apiKeyKey);
+            return;
+        }
+        const envelope = await CryptoUtils.criptografar(apiKey);
+        if (!envelope) {
+            throw new Error('Não foi possível proteger a chave de API');
+        }
+        localStorage.setItem(this.apiKeyKey, envelope);
+    }
+
+    // Regrava a chave a cada leitura para que a validade do envelope não expire em uso
+    async getApiKey() {
+        const envelope = localStorage.getItem(this.apiKeyKey);
+        if (!envelope) return null;
+
+        const apiKey = await CryptoUtils.descriptografar(envelope);
+        if (!apiKey) {
+            localStorage.removeItem(this.apiKeyKey);
+            return null;
+        }
+        await this.saveApiKey(apiKey);
+        return apiKey;
+    }
+
+    hasApiKey() {
+        return !!localStorage.getItem(this.apiKeyKey);
+    }
+
+    getProviderNames() {
+        return Object.keys(this.providers);
+    }
+
+    // Envia um prompt curto com a configuração salva
+    async testConnection(options = {}) {
+        const result = await this.execute('Responda apenas: ok', options);
+        return result.success
+            ? { success: true, model: result.resposta.model, message: `Conexão com ${result.resposta.model} funcionando` }
+            : result;
+    }
+
+    isConfigured() {
+        const config = this.getConfig();
+        return config.provider !== 'none' && this.validateConfig(config).isValid;
+    }
+
+    async createProvider() {
+        const config = this.getConfig();
+        const ProviderClass = this.providers[config.provider];
+        if (config.provider === 'none' || !ProviderClass) {
+            throw new Error('Nenhum provedor de modelo configurado');
+        }
+        return new ProviderClass({ ...config, apiKey: await this.getApiKey() }, this.fetch);
+    }
+
+    buildMessages(prompt) {
+        return [
+            { role: 'system', content: this.systemPrompt },
+            { role: 'user', content: prompt }
+        ];
+    }
+
+    async execute(prompt, options = {}) {
+        try {
+            if (!prompt || !prompt.trim()) {
+                throw new Error('Prompt vazio');
+            }
+
+            const provider = await this.createProvider();
+            const result = await provider.complete(this.buildMessages(prompt), { signal: options.signal });
+
+            return {
+                success: true,
+                resposta: {
+                    content: result.content,
+                    provider: provider.config.provider,
+                    model: result.model,
+                    usage: result.usage,
+                    createdAt: new Date().toISOString()
+                },
+                message: 'Resposta do modelo recebida'
+            };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    // Entrega cada trecho a onChunk(delta, textoAcumulado). Em erro ou
+    // cancelamento, o texto recebido até ali volta em resposta com parcial: true
+    async executeStream(prompt, options = {}) {
+        const { signal, onChunk } = options;
+        let content = '';
+        let provider = null;
+        let model = null;
+        let usage = null;
+
+        const buildResposta = (parcial) => ({
+            content,
+            provider: provider?.config.provider,
+            model: model || provider?.config.model,
+            usage,
+            createdAt: new Date().toISOString(),
+            ...(parcial ? { parcial: true } : {})
+        });
+
+        try {
+            if (!prompt || !prompt.trim()) {
+                throw new Error('Prompt vazio');
+            }
+
+            provider = await this.createProvider();
+
+            for await (const chunk of provider.stream(this.buildMessages(prompt), { signal })) {
+                model = chunk.model || model;
+                usage = chunk.usage || usage;
+                if (chunk.content) {
+                    content += chunk.content;
+                    onChunk?.(chunk.content, content);
+                }
+            }
+
+            return {
+                success: true,
+                resposta: buildResposta(false),
+                message: 'Resposta do modelo recebida'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                cancelled: !!signal?.aborted,
+                resposta: content ? buildResposta(true) : null,
+                message: error.message
+            };
+        }
+    }
+}
+
+// Instância única
+const llmService = new LLMService();
+
+// Disponibilizar globalmente (apenas uma instância)
+window.LLMService = llmService;
+
+export default llmService;
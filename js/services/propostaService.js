@@ -4,20 +4,37 @@
  */
 
 import AuthService from './AuthService.js';
+import LLMService from './llmService.js';
+import HistoryRepository from './historyRepository.js';
+import HistorySearch from './historySearch.js';
+import ExportService from './exportService.js';
+import ClientService from './clientService.js';
+import AuditService from './auditService.js';
+import QuotaService from './quotaService.js';
+import { TemplateEngine } from '../core/template.engine.js';
+import { TextDiff } from '../core/text.diff.js';
+import { DEFAULT_TEMPLATES, TEMPLATES_VERSION } from './defaultTemplates.js';
+
+const TEMPLATE_TYPES = ['marketing', 'vendas', 'conteudo', 'tecnico', 'geral'];
+const TEMPLATE_PLACEHOLDERS = ['TEMA', 'OBJETIVO', 'PUBLICO_ALVO', 'TOM', 'DETALHES', 'DATA', 'CONTEXTO_ADICIONAL'];
+const TEMPLATE_LISTS = ['PALAVRAS_CHAVE'];
+const TEMPLATE_DEFAULTS = { DETALHES: 'Não especificado' };
+
+// Origem de cada versão de uma proposta
+const VERSION_SOURCES = ['gerada', 'regenerada', 'edicao', 'template', 'restaurada'];
+const MAX_VERSIONS = 50;
 
 class PropostaService {
     constructor() {
-        this.storageKey = 'promptpro_propostas';
         this.templatesKey = 'promptpro_templates';
+        this.templatesVersionKey = 'promptpro_templates_version';
         this.templates = this.loadTemplates();
         this.currentProposta = null;
         this.init();
     }
 
     init() {
-        if (this.templates.length === 0) {
-            this.loadDefaultTemplates();
-        }
+        this.syncDefaultTemplates();
     }
 
     async generateProposta(params) {
@@ -29,7 +46,11 @@ class PropostaService {
                 publicoAlvo,
                 tom = 'profissional',
                 detalhes = '',
-                template = null
+                template = null,
+                clienteId = null,
+                execute = true,
+                signal,
+                onChunk
             } = params;
 
             if (!tema || tema.trim().length < 3) {
@@ -39,9 +60,11 @@ class PropostaService {
                 throw new Error('Objetivo deve ter pelo menos 10 caracteres');
             }
 
-            await this.sleep(1000);
-
             const selectedTemplate = template || this.selectBestTemplate(tipo, tema);
+            const cliente = clienteId ? ClientService.getClientById(clienteId) : null;
+            if (clienteId && !cliente) {
+                throw new Error('Cliente não encontrado');
+            }
 
             const proposta = this.buildProposta({
                 tipo,
@@ -50,16 +73,48 @@ class PropostaService {
                 publicoAlvo: publicoAlvo?.trim() || 'Público geral',
                 tom,
                 detalhes: detalhes.trim(),
-                template: selectedTemplate
+                template: selectedTemplate,
+                cliente
             });
 
-            this.saveProposta(proposta);
-            this.currentProposta = proposta;
+            const reservation = this.reserveQuota();
+            if (reservation.quota.exhausted) {
+                return this.quotaExhaustedResult(reservation.quota);
+            }
+
+            const execution = await this.runWithQuota(reservation, proposta, { execute, signal, onChunk });
+            let message = execution.message || 'Proposta gerada com sucesso!';
+            const { cancelled } = execution;
+            proposta.versions = [this.buildVersion(proposta, 1, 'gerada', { createdAt: proposta.createdAt })];
+            proposta.currentVersion = 1;
+
+            let saveError = null;
+            try {
+                this.currentProposta = await this.saveProposta(proposta);
+            } catch (error) {
+                console.error('Error saving proposta:', error);
+                this.currentProposta = proposta;
+                saveError = error;
+                message = error.code === 'QUOTA_EXCEEDED'
+                    ? `${message} Porém não foi salva: ${error.message}`
+                    : `${message} Porém não foi possível salvá-la no histórico.`;
+            }
+
+            this.audit('proposta.criada', `Proposta "${proposta.tema}" gerada`, {
+                propostaId: proposta.id,
+                tipo,
+                clienteId: proposta.clienteId || null,
+                saved: !saveError
+            });
 
             return {
                 success: true,
-                proposta,
-                message: 'Proposta gerada com sucesso!'
+                cancelled,
+                saved: !saveError,
+                quotaExceeded: saveError?.code === 'QUOTA_EXCEEDED',
+                quota: this.getQuotaStatus(),
+                proposta: this.currentProposta,
+                message
             };
 
         } catch (error) {
@@ -70,8 +125,77 @@ class PropostaService {
         }
     }
 
+    // Cota diária do usuário da sessão; administradores não têm limite
+    getQuotaStatus() {
+        const userId = AuthService?.getCurrentUser()?.id || 'anonymous';
+        return QuotaService.getStatus(userId, { exempt: AuthService?.isAdmin?.() || false });
+    }
+
+    // Reserva uma geração antes de qualquer await; administradores não consomem cota
+    reserveQuota() {
+        const userId = AuthService?.getCurrentUser()?.id || 'anonymous';
+        return { userId, ...QuotaService.reserve(userId, { exempt: AuthService?.isAdmin?.() || false }) };
+    }
+
+    quotaExhaustedResult(quota) {
+        return {
+            success: false,
+            limitReached: true,
+            quota,
+            message: `Limite diário de ${quota.limit} proposta(s) atingido. A cota renova à meia-noite.`
+        };
+    }
+
+    // Executa o modelo com a cota já reservada. A reserva só é devolvida quando
+    // nada foi gerado: erro inesperado ou "Parar" antes do primeiro trecho
+    async runWithQuota(reservation, proposta, options) {
+        let execution;
+        try {
+            execution = await this.runModel(proposta, options);
+        } catch (error) {
+            if (reservation.reserved) QuotaService.release(reservation.userId);
+            throw error;
+        }
+
+        if (reservation.reserved && execution.cancelled && !proposta.resposta?.content) {
+            QuotaService.release(reservation.userId);
+        }
+        return execution;
+    }
+
+    /**
+     * Executar o prompt no modelo configurado, anexando a resposta à proposta.
+     * Retorna a mensagem a exibir quando a execução não foi concluída.
+     */
+    async runModel(proposta, { execute = true, signal, onChunk } = {}) {
+        if (!execute || !LLMService.isConfigured()) {
+            return { cancelled: false, message: null };
+        }
+
+        // Com onChunk a resposta é transmitida em trechos
+        const execution = onChunk
+            ? await LLMService.executeStream(proposta.prompt, { signal, onChunk })
+            : await LLMService.execute(proposta.prompt, { signal });
+
+        proposta.resposta = execution.resposta;
+        if (execution.success) {
+            return { cancelled: false, message: null };
+        }
+        if (execution.cancelled) {
+            return {
+                cancelled: true,
+                message: execution.resposta
+                    ? 'Geração interrompida. O resultado parcial foi salvo no histórico.'
+                    : 'Geração interrompida antes da resposta do modelo.'
+            };
+        }
+
+        proposta.respostaErro = execution.message;
+        return { cancelled: false, message: `Prompt gerado, mas o modelo não respondeu: ${execution.message}` };
+    }
+
     buildProposta(params) {
-        const { tipo, tema, objetivo, publicoAlvo, tom, detalhes, template } = params;
+        const { tipo, tema, objetivo, publicoAlvo, tom, detalhes, template, cliente = null } = params;
         const contexto = this.buildContexto(params);
         const prompt = this.applyTemplate(template, params);
         const metadata = this.generateMetadata(params);
@@ -82,9 +206,14 @@ class PropostaService {
             tema,
             objetivo,
             publicoAlvo,
+            tom,
+            detalhes,
             contexto,
             prompt,
             template: template?.name || 'Sem template',
+            templateId: template?.id || null,
+            clienteId: cliente?.id || null,
+            clienteNome: cliente?.nome || '',
             metadata,
             createdAt: new Date().toISOString(),
             userId: AuthService?.getCurrentUser()?.id || 'anonymous'
@@ -106,26 +235,26 @@ class PropostaService {
     }
 
     applyTemplate(template, params) {
-        let prompt = template.structure;
-        const variables = {
-            '{TEMA}': params.tema,
-            '{OBJETIVO}': params.objetivo,
-            '{PUBLICO_ALVO}': params.publicoAlvo,
-            '{TOM}': params.tom,
-            '{DETALHES}': params.detalhes || 'Não especificado',
-            '{DATA}': new Date().toLocaleDateString('pt-BR'),
-            '{CONTEXTO_ADICIONAL}': this.generateContextoAdicional(params)
-        };
-
-        function escapeRegExp(string) {
-            return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (!template?.structure) {
+            throw new Error('Nenhum template disponível para gerar a proposta');
         }
 
-        Object.entries(variables).forEach(([key, value]) => {
-            prompt = prompt.replace(new RegExp(escapeRegExp(key), 'g'), value);
+        return TemplateEngine.renderizar(template.structure, this.buildTemplateVariables(params), {
+            padroes: TEMPLATE_DEFAULTS
         });
+    }
 
-        return prompt;
+    buildTemplateVariables(params) {
+        return {
+            TEMA: params.tema,
+            OBJETIVO: params.objetivo,
+            PUBLICO_ALVO: params.publicoAlvo,
+            TOM: params.tom,
+            DETALHES: params.detalhes || '',
+            DATA: new Date().toLocaleDateString('pt-BR'),
+            CONTEXTO_ADICIONAL: this.generateContextoAdicional(params),
+            PALAVRAS_CHAVE: [...new Set((params.tema || '').toLowerCase().split(/\s+/).filter(word => word.length > 3))]
+        };
     }
 
     generateContextoAdicional(params) {
@@ -155,16 +284,17 @@ class PropostaService {
     }
 
     selectBestTemplate(tipo, tema) {
-        let suitableTemplates = this.templates.filter(t => t.type === tipo);
+        const available = this.getTemplates();
+        let suitableTemplates = available.filter(t => t.type === tipo);
         if (suitableTemplates.length === 0) {
-            suitableTemplates = this.templates.filter(t => t.type === 'geral');
+            suitableTemplates = available.filter(t => t.type === 'geral');
         }
         const thematicTemplate = suitableTemplates.find(t =>
             t.keywords.some(keyword =>
                 tema.toLowerCase().includes(keyword.toLowerCase())
             )
         );
-        return thematicTemplate || suitableTemplates[0];
+        return thematicTemplate || suitableTemplates[0] || available[0];
     }
 
     generateMetadata(params) {
@@ -222,78 +352,348 @@ class PropostaService {
         return [...new Set(tags)];
     }
 
-    saveProposta(proposta) {
+    // Lança StorageQuotaError quando o navegador não tem mais espaço
+    async saveProposta(proposta) {
+        return HistoryRepository.save(proposta);
+    }
+
+    async getHistorico(userId) {
         try {
-            const propostas = this.getHistorico();
-            propostas.unshift(proposta);
-            const limited = propostas.slice(0, 50);
-            localStorage.setItem(this.storageKey, JSON.stringify(limited));
+            return await HistoryRepository.listAll({ userId });
         } catch (error) {
-            console.error('Error saving proposta:', error);
+            console.error('Error loading historico:', error);
+            return [];
         }
     }
 
-    getHistorico(userId) {
+    /**
+     * Página do histórico (mais recentes primeiro).
+     * Passe o nextCursor retornado para obter a página seguinte.
+     */
+    async getHistoricoPage({ userId, tipo, tag, limit, cursor } = {}) {
         try {
-            const propostas = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
-            if (userId) {
-                return propostas.filter(p => p.userId === userId);
-            }
-            return propostas;
-        } catch {
-            return [];
+            return await HistoryRepository.list({ userId, tipo, tag, limit, cursor });
+        } catch (error) {
+            console.error('Error loading historico:', error);
+            return { items: [], nextCursor: null };
         }
     }
 
-    getPropostaById(id) {
-        const propostas = this.getHistorico();
-        return propostas.find(p => p.id === id);
+    /**
+     * Busca textual com facetas (tipo, tom, complexity, period) no histórico.
+     * Sem userId a busca abrange todos os usuários e exige perfil de administrador.
+     */
+    async searchHistorico(params = {}) {
+        if (params.userId === null || params.userId === undefined) {
+            AuthService.verificarAdmin();
+        }
+        return HistorySearch.search(params);
     }
 
-    deleteProposta(id) {
+    async getPropostaById(id) {
         try {
-            const propostas = this.getHistorico();
-            const filtered = propostas.filter(p => p.id !== id);
-            localStorage.setItem(this.storageKey, JSON.stringify(filtered));
-            return true;
+            return await HistoryRepository.get(id);
         } catch {
+            return null;
+        }
+    }
+
+    // Mesma regra de edição: apenas o dono ou um administrador
+    async deleteProposta(id) {
+        try {
+            await this.getEditableProposta(id);
+            const removed = await HistoryRepository.remove(id);
+            if (removed) this.audit('proposta.excluida', 'Proposta excluída do histórico', { propostaId: id });
+            return removed;
+        } catch (error) {
+            console.error('Error deleting proposta:', error.message);
             return false;
         }
     }
 
-    exportProposta(proposta, format = 'txt') {
-        if (format !== 'txt') {
-            throw new Error("Formato de exportação não suportado. Apenas 'txt' é permitido.");
+    /**
+     * Versões da proposta, da mais antiga para a atual.
+     * Registros anteriores ao versionamento viram uma única versão 1.
+     */
+    getVersions(proposta) {
+        if (proposta?.versions?.length) return proposta.versions;
+        if (!proposta) return [];
+        return [{ ...this.buildVersion(proposta, 1, 'gerada'), createdAt: proposta.createdAt }];
+    }
+
+    buildVersion(proposta, version, source, extra = {}) {
+        return {
+            version,
+            source,
+            prompt: proposta.prompt,
+            template: proposta.template,
+            templateId: proposta.templateId || null,
+            resposta: proposta.resposta || null,
+            createdAt: new Date().toISOString(),
+            ...extra
+        };
+    }
+
+    // Carrega a proposta e confere se o usuário atual pode alterá-la
+    async getEditableProposta(id) {
+        const proposta = await HistoryRepository.get(id);
+        if (!proposta) {
+            throw new Error('Proposta não encontrada');
+        }
+
+        const user = AuthService?.getCurrentUser();
+        if (!user || (proposta.userId !== user.id && !AuthService.isAdmin())) {
+            throw new Error('Você não tem permissão para alterar esta proposta');
         }
-        const content = this.formatPropostaForExport(proposta);
-        const blob = new Blob([content], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `proposta_${proposta.tema.replace(/[^a-zA-Z0-9]/g, '_')}.${format}`;
-        a.click();
-        URL.revokeObjectURL(url);
+        return proposta;
     }
 
-    formatPropostaForExport(proposta) {
-        return `
-# ${proposta.tema}
+    // Grava as alterações como uma nova versão, que passa a ser a atual.
+    // Com amend, substitui a última versão se ela tiver a mesma origem.
+    async commitVersion(proposta, changes, source, extra = {}, { amend = false } = {}) {
+        if (!VERSION_SOURCES.includes(source)) {
+            throw new Error(`Origem de versão inválida: ${source}`);
+        }
 
-${proposta.contexto}
+        const versions = this.getVersions(proposta);
+        const last = versions[versions.length - 1];
+        const updated = { ...proposta, ...changes };
+        if (!('respostaErro' in changes)) {
+            delete updated.respostaErro;
+        }
 
-## Prompt Gerado
+        const replaceLast = amend && last.source === source && last.version === (proposta.currentVersion || 1);
+        const version = this.buildVersion(updated, replaceLast ? last.version : last.version + 1, source, extra);
+        updated.versions = [...(replaceLast ? versions.slice(0, -1) : versions), version].slice(-MAX_VERSIONS);
+        updated.currentVersion = version.version;
 
-${proposta.prompt}
+        const saved = await HistoryRepository.update(proposta.id, updated);
+        if (this.currentProposta?.id === saved.id) {
+            this.currentProposta = saved;
+        }
+        return saved;
+    }
 
----
+    /**
+     * Edição manual do prompt e/ou do texto da resposta.
+     * O salvamento automático passa amend: true para acumular uma sessão de
+     * edição na mesma versão em vez de criar uma versão por pausa na digitação.
+     */
+    async editProposta(id, { prompt, resposta } = {}, { amend = false } = {}) {
+        try {
+            const proposta = await this.getEditableProposta(id);
+            const changes = {};
 
-**Gerado em:** ${new Date(proposta.createdAt).toLocaleString('pt-BR')}
-**Template:** ${proposta.template}
-**Complexidade:** ${proposta.metadata.complexity}
-**Tempo estimado:** ${proposta.metadata.estimatedTime} minutos
+            if (prompt !== undefined) {
+                if (!prompt.trim()) {
+                    throw new Error('O prompt não pode ficar vazio');
+                }
+                if (prompt !== proposta.prompt) changes.prompt = prompt;
+            }
+            if (resposta !== undefined && resposta !== (proposta.resposta?.content || '')) {
+                changes.resposta = { ...(proposta.resposta || {}), content: resposta, editada: true };
+            }
 
-**Tags:** ${proposta.metadata.tags.join(', ')}
-`;
+            if (Object.keys(changes).length === 0) {
+                return { success: true, unchanged: true, proposta, message: 'Nenhuma alteração' };
+            }
+
+            const saved = await this.commitVersion(proposta, changes, 'edicao', {}, { amend });
+            return { success: true, proposta: saved, message: `Versão ${saved.currentVersion} salva` };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    /**
+     * Descartar as edições manuais: restaura a versão gerada mais recente
+     * (geração, regeneração ou troca de template)
+     */
+    async resetToGenerated(id) {
+        try {
+            const proposta = await this.getEditableProposta(id);
+            const generated = [...this.getVersions(proposta)].reverse()
+                .find(v => ['gerada', 'regenerada', 'template'].includes(v.source));
+            if (!generated) {
+                throw new Error('Nenhuma versão gerada encontrada');
+            }
+            const result = await this.restoreVersion(id, generated.version);
+            return result.unchanged ? { ...result, message: 'O texto já é o gerado' } : result;
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    /**
+     * Montar o prompt de novo com o mesmo template (ou o mais adequado, se ele
+     * não existir mais) e executar no modelo, criando uma nova versão
+     */
+    async regenerateProposta(id, { execute = true, signal, onChunk } = {}) {
+        try {
+            const proposta = await this.getEditableProposta(id);
+            const template = this.getTemplateById(proposta.templateId)
+                || this.getTemplates().find(t => t.name === proposta.template)
+                || this.selectBestTemplate(proposta.tipo, proposta.tema);
+
+            const draft = {
+                prompt: this.applyTemplate(template, proposta),
+                template: template.name,
+                templateId: template.id,
+                resposta: null
+            };
+
+            // Regenerar conta como uma nova geração na cota diária
+            const reservation = this.reserveQuota();
+            if (reservation.quota.exhausted) {
+                return this.quotaExhaustedResult(reservation.quota);
+            }
+
+            const execution = await this.runWithQuota(reservation, draft, { execute, signal, onChunk });
+
+            const saved = await this.commitVersion(proposta, draft, 'regenerada');
+            return {
+                success: true,
+                cancelled: execution.cancelled,
+                quota: this.getQuotaStatus(),
+                proposta: saved,
+                message: execution.message || `Proposta regenerada (versão ${saved.currentVersion})`
+            };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    /**
+     * Trocar o template: o prompt é montado de novo e a resposta anterior,
+     * que não corresponde mais ao prompt, fica apenas nas versões antigas
+     */
+    async changePropostaTemplate(id, templateId) {
+        try {
+            const proposta = await this.getEditableProposta(id);
+            const template = this.getTemplateById(templateId);
+            if (!template) {
+                throw new Error('Template não encontrado');
+            }
+            if (template.id === proposta.templateId) {
+                return { success: true, unchanged: true, proposta, message: 'A proposta já usa este template' };
+            }
+
+            const saved = await this.commitVersion(proposta, {
+                prompt: this.applyTemplate(template, proposta),
+                template: template.name,
+                templateId: template.id,
+                resposta: null
+            }, 'template');
+            return { success: true, proposta: saved, message: `Template alterado (versão ${saved.currentVersion})` };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    /**
+     * Restaurar uma versão antiga. O histórico não é reescrito: o conteúdo
+     * dela é copiado para uma nova versão atual.
+     */
+    async restoreVersion(id, version) {
+        try {
+            const proposta = await this.getEditableProposta(id);
+            const target = this.getVersions(proposta).find(v => v.version === Number(version));
+            if (!target) {
+                throw new Error('Versão não encontrada');
+            }
+            const sameContent = target.prompt === proposta.prompt
+                && (target.resposta?.content || '') === (proposta.resposta?.content || '')
+                && target.template === proposta.template;
+            if (target.version === (proposta.currentVersion || 1) || sameContent) {
+                return { success: true, unchanged: true, proposta, message: 'Esta já é a versão atual' };
+            }
+
+            const saved = await this.commitVersion(proposta, {
+                prompt: target.prompt,
+                template: target.template,
+                templateId: target.templateId || null,
+                resposta: target.resposta || null
+            }, 'restaurada', { restoredFrom: target.version });
+            return { success: true, proposta: saved, message: `Versão ${target.version} restaurada como versão ${saved.currentVersion}` };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    /**
+     * Diferença palavra a palavra entre duas versões (prompt e resposta)
+     */
+    compareVersions(proposta, from, to) {
+        const versions = this.getVersions(proposta);
+        const a = versions.find(v => v.version === Number(from));
+        const b = versions.find(v => v.version === Number(to));
+        if (!a || !b) {
+            throw new Error('Versão não encontrada');
+        }
+
+        const prompt = TextDiff.comparar(a.prompt, b.prompt);
+        const resposta = TextDiff.comparar(a.resposta?.content || '', b.resposta?.content || '');
+        return {
+            from: a,
+            to: b,
+            prompt,
+            resposta,
+            summary: {
+                prompt: TextDiff.resumo(prompt),
+                resposta: TextDiff.resumo(resposta)
+            }
+        };
+    }
+
+    /**
+     * Baixar uma proposta em txt, md, json, html, pdf ou docx
+     */
+    exportProposta(proposta, format = 'txt') {
+        const file = ExportService.build(proposta, format);
+        ExportService.download(file);
+        this.audit('proposta.exportada', `Proposta exportada em ${format}`, { propostaId: proposta.id, format });
+        return file;
+    }
+
+    /**
+     * Baixar um ZIP com as propostas que atendem aos filtros de busca
+     * (userId, query, from, to e facetas), uma por arquivo no formato escolhido
+     */
+    async exportHistorico({ format = 'md', ...filters } = {}) {
+        try {
+            const { results } = await this.searchHistorico({ ...filters, limit: Infinity });
+            if (results.length === 0) {
+                return { success: false, message: 'Nenhuma proposta encontrada para exportar' };
+            }
+
+            const archive = ExportService.buildArchive(results.map(r => r.proposta), format);
+            ExportService.download(archive);
+            this.audit('proposta.exportada', `${results.length} proposta(s) exportada(s) em lote`, {
+                format,
+                count: results.length,
+                filename: archive.filename
+            });
+            return {
+                success: true,
+                count: results.length,
+                message: `${results.length} proposta(s) exportada(s) em ${archive.filename}`
+            };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    // Evento de proposta na auditoria, em nome do usuário da sessão
+    audit(action, message, details = {}) {
+        AuditService.record('proposta', action, {
+            actor: AuthService?.getCurrentUser(),
+            message,
+            details
+        });
+    }
+
+    formatPropostaForExport(proposta) {
+        return ExportService.toMarkdown(proposta);
     }
 
     loadTemplates() {
@@ -306,13 +706,226 @@ ${proposta.prompt}
     }
 
     loadDefaultTemplates() {
-        const defaultTemplates = [
-            // ... (mantém os templates como já estão no seu código)
-            // Copie os templates do seu código original aqui
-        ];
-        this.templates = defaultTemplates;
+        return DEFAULT_TEMPLATES.map(template => ({
+            ...template,
+            keywords: [...template.keywords],
+            builtIn: true,
+            version: TEMPLATES_VERSION
+        }));
+    }
+
+    // Substitui os templates embutidos quando a biblioteca muda de versão,
+    // preservando os templates criados pelos usuários
+    syncDefaultTemplates() {
+        const storedVersion = parseInt(localStorage.getItem(this.templatesVersionKey), 10) || 0;
+        const hasBuiltIns = this.templates.some(t => t.builtIn);
+
+        if (storedVersion >= TEMPLATES_VERSION && hasBuiltIns) {
+            return false;
+        }
+
+        const builtInIds = new Set(DEFAULT_TEMPLATES.map(t => t.id));
+        const customTemplates = this.templates.filter(t => !t.builtIn && !builtInIds.has(t.id));
+
+        this.templates = [...this.loadDefaultTemplates(), ...customTemplates];
         this.saveTemplates();
-        return defaultTemplates;
+        localStorage.setItem(this.templatesVersionKey, String(TEMPLATES_VERSION));
+        return true;
+    }
+
+    // Templates visíveis: embutidos, compartilhados, do próprio usuário
+    // (admins veem todos). Templates antigos sem dono continuam públicos.
+    getTemplates({ type = null } = {}) {
+        const user = AuthService?.getCurrentUser();
+        const isAdmin = AuthService?.isAdmin?.() || false;
+
+        return this.templates.filter(t =>
+            (!type || t.type === type) &&
+            (t.builtIn || t.shared || !t.ownerId || isAdmin || (user && t.ownerId === user.id))
+        );
+    }
+
+    getTemplateById(id) {
+        return this.getTemplates().find(t => t.id === id) || null;
+    }
+
+    canEditTemplate(template) {
+        if (!template || template.builtIn) return false;
+        if (AuthService?.isAdmin?.()) return true;
+        const user = AuthService?.getCurrentUser();
+        return !!user && template.ownerId === user.id;
+    }
+
+    validateTemplate(data) {
+        const errors = [];
+        const name = (data?.name || '').trim();
+        const structure = data?.structure || '';
+
+        if (name.length < 3 || name.length > 80) {
+            errors.push('Nome deve ter entre 3 e 80 caracteres');
+        }
+        if (!TEMPLATE_TYPES.includes(data?.type)) {
+            errors.push(`Tipo inválido. Use: ${TEMPLATE_TYPES.join(', ')}`);
+        }
+        if (!Array.isArray(data?.keywords) || data.keywords.some(k => typeof k !== 'string' || !k.trim())) {
+            errors.push('Palavras-chave devem ser uma lista de textos');
+        }
+        if (typeof structure !== 'string' || structure.trim().length < 10) {
+            errors.push('Estrutura deve ter pelo menos 10 caracteres');
+        } else {
+            const syntax = TemplateEngine.validar(structure, {
+                variaveis: TEMPLATE_PLACEHOLDERS,
+                listas: TEMPLATE_LISTS
+            });
+            errors.push(...syntax.errors);
+            if (!/\{(TEMA|OBJETIVO)[|}]/.test(structure)) {
+                errors.push('Estrutura deve usar ao menos {TEMA} ou {OBJETIVO}');
+            }
+        }
+        if (data?.shared !== undefined && typeof data.shared !== 'boolean') {
+            errors.push('Campo "compartilhado" deve ser verdadeiro ou falso');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            firstError: errors[0] || null
+        };
+    }
+
+    getSupportedPlaceholders() {
+        return [...TEMPLATE_PLACEHOLDERS];
+    }
+
+    getSupportedLists() {
+        return [...TEMPLATE_LISTS];
+    }
+
+    createTemplate(data) {
+        try {
+            const user = AuthService?.getCurrentUser();
+            if (!user) {
+                throw new Error('Faça login para criar templates');
+            }
+
+            const template = this.normalizeTemplate(data);
+            const validation = this.validateTemplate(template);
+            if (!validation.isValid) {
+                throw new Error(validation.errors.join('. '));
+            }
+
+            const now = new Date().toISOString();
+            const created = {
+                ...template,
+                id: this.generateTemplateId(),
+                ownerId: user.id,
+                builtIn: false,
+                createdAt: now,
+                updatedAt: now
+            };
+
+            this.templates.push(created);
+            this.saveTemplates();
+
+            return { success: true, template: created, message: 'Template criado com sucesso!' };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    updateTemplate(id, changes) {
+        try {
+            const index = this.templates.findIndex(t => t.id === id);
+            if (index === -1) {
+                throw new Error('Template não encontrado');
+            }
+
+            const current = this.templates[index];
+            if (!this.canEditTemplate(current)) {
+                throw new Error(current.builtIn
+                    ? 'Templates padrão não podem ser alterados. Duplique-o para personalizar.'
+                    : 'Você não tem permissão para alterar este template');
+            }
+
+            const template = this.normalizeTemplate({ ...current, ...changes });
+            const validation = this.validateTemplate(template);
+            if (!validation.isValid) {
+                throw new Error(validation.errors.join('. '));
+            }
+
+            const updated = {
+                ...current,
+                ...template,
+                id: current.id,
+                ownerId: current.ownerId,
+                builtIn: false,
+                createdAt: current.createdAt,
+                updatedAt: new Date().toISOString()
+            };
+
+            this.templates[index] = updated;
+            this.saveTemplates();
+
+            return { success: true, template: updated, message: 'Template atualizado com sucesso!' };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    deleteTemplate(id) {
+        try {
+            const template = this.templates.find(t => t.id === id);
+            if (!template) {
+                throw new Error('Template não encontrado');
+            }
+            if (!this.canEditTemplate(template)) {
+                throw new Error(template.builtIn
+                    ? 'Templates padrão não podem ser excluídos'
+                    : 'Você não tem permissão para excluir este template');
+            }
+
+            this.templates = this.templates.filter(t => t.id !== id);
+            this.saveTemplates();
+
+            return { success: true, message: 'Template excluído com sucesso!' };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+
+    duplicateTemplate(id, overrides = {}) {
+        const source = this.getTemplateById(id);
+        if (!source) {
+            return { success: false, message: 'Template não encontrado' };
+        }
+
+        return this.createTemplate({
+            name: `${source.name} (cópia)`.slice(0, 80),
+            type: source.type,
+            keywords: [...(source.keywords || [])],
+            structure: source.structure,
+            shared: false,
+            ...overrides
+        });
+    }
+
+    // Mantém apenas os campos editáveis e aceita palavras-chave separadas por vírgula
+    normalizeTemplate(data = {}) {
+        const keywords = typeof data.keywords === 'string'
+            ? data.keywords.split(',')
+            : data.keywords || [];
+
+        return {
+            name: (data.name || '').trim(),
+            type: data.type,
+            keywords: Array.isArray(keywords) ? keywords.map(k => typeof k === 'string' ? k.trim() : k).filter(k => k !== '') : keywords,
+            structure: data.structure || '',
+            shared: data.shared === undefined ? false : data.shared
+        };
+    }
+
+    generateTemplateId() {
+        return 'tpl_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
     }
 
     saveTemplates() {
@@ -331,19 +944,27 @@ ${proposta.prompt}
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
-    getUserStats(userId) {
-        const propostas = this.getHistorico(userId);
+    /**
+     * Estatísticas do usuário. Clientes únicos contam o cadastro vinculado
+     * (ou o nome copiado na proposta); a média por dia vai da primeira
+     * proposta até hoje; a tendência compara os últimos 7 dias com os 7 anteriores.
+     */
+    async getUserStats(userId, { now = new Date() } = {}) {
+        const propostas = await this.getHistorico(userId);
 
         if (propostas.length === 0) {
             return {
                 total: 0,
                 thisMonth: 0,
                 mostUsedType: null,
-                avgComplexity: null
+                avgComplexity: null,
+                uniqueClients: 0,
+                avgPerDay: 0,
+                weekTrend: { thisWeek: 0, lastWeek: 0, change: null, direction: 'flat' }
             };
         }
 
-        const thisMonth = new Date();
+        const thisMonth = new Date(now);
         thisMonth.setDate(1);
         thisMonth.setHours(0, 0, 0, 0);
 
@@ -359,7 +980,7 @@ ${proposta.prompt}
             typeCounts[a] > typeCounts[b] ? a : b
         );
 
-        const complexities = propostas.map(p => p.metadata.complexity);
+        const complexities = propostas.map(p => p.metadata?.complexity);
         const complexityScores = complexities.map(c =>
             c === 'baixa' ? 1 : c === 'média' ? 2 : 3
         );
@@ -367,11 +988,49 @@ ${proposta.prompt}
         const avgComplexity = avgComplexityScore <= 1.5 ? 'baixa' :
             avgComplexityScore <= 2.5 ? 'média' : 'alta';
 
+        const clients = new Set(propostas
+            .map(p => p.clienteId || (p.clienteNome ? HistorySearch.normalize(p.clienteNome).trim() : null))
+            .filter(Boolean));
+
         return {
             total: propostas.length,
             thisMonth: thisMonthCount,
             mostUsedType,
-            avgComplexity
+            avgComplexity,
+            uniqueClients: clients.size,
+            avgPerDay: this.averagePerDay(propostas, now),
+            weekTrend: this.weekTrend(propostas, now)
+        };
+    }
+
+    // Dias corridos desde a primeira proposta, contando hoje
+    averagePerDay(propostas, now = new Date()) {
+        const DAY = 24 * 60 * 60 * 1000;
+        const first = Math.min(...propostas.map(p => new Date(p.createdAt).getTime()));
+        const start = new Date(first);
+        start.setHours(0, 0, 0, 0);
+        const days = Math.max(1, Math.floor((now.getTime() - start.getTime()) / DAY) + 1);
+        return Math.round((propostas.length / days) * 10) / 10;
+    }
+
+    weekTrend(propostas, now = new Date()) {
+        const WEEK = 7 * 24 * 60 * 60 * 1000;
+        const end = now.getTime();
+        const count = (from, to) => propostas.filter(p => {
+            const time = new Date(p.createdAt).getTime();
+            return time > from && time <= to;
+        }).length;
+
+        const thisWeek = count(end - WEEK, end);
+        const lastWeek = count(end - 2 * WEEK, end - WEEK);
+        // Sem semana anterior não há base para percentual
+        const change = lastWeek === 0 ? null : Math.round(((thisWeek - lastWeek) / lastWeek) * 100);
+
+        return {
+            thisWeek,
+            lastWeek,
+            change,
+            direction: thisWeek > lastWeek ? 'up' : thisWeek < lastWeek ? 'down' : 'flat'
         };
     }
 }
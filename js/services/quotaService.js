@@ -0,0 +1,134 @@
+/**
+ * QuotaService - Cota diária de geração de propostas por usuário
+ * Conta as gerações de cada usuário no dia local (a contagem zera à
+ * meia-noite do navegador). O limite padrão vem de
+ * SettingsService.dailyPropostaLimit; administradores podem definir um limite
+ * próprio por usuário pelo AuthService (definirLimiteDiario). Excluir
+ * propostas não devolve a cota.
+ *
+ * O PropostaService reserva a geração com reserve() antes de chamar o modelo
+ * e a devolve com release() quando a execução é cancelada ou não acontece.
+ */
+
+import SettingsService from './settingsService.js';
+
+class QuotaService {
+    constructor() {
+        this.usageKey = 'promptpro_cota_uso';
+        this.overridesKey = 'promptpro_cota_limites';
+    }
+
+    /**
+     * Situação da cota do usuário hoje
+     * @param {string|number} userId
+     * @param {Object} options
+     * @param {boolean} options.exempt - Usuário sem limite (administradores)
+     * @returns {{exempt: boolean, limit: number|null, used: number, remaining: number|null, exhausted: boolean, resetsAt: string}}
+     */
+    getStatus(userId, { exempt = false, now = new Date() } = {}) {
+        const used = this.getUsedToday(userId, now);
+        const tomorrow = new Date(now);
+        tomorrow.setHours(24, 0, 0, 0);
+
+        if (exempt) {
+            return { exempt: true, limit: null, used, remaining: null, exhausted: false, resetsAt: tomorrow.toISOString() };
+        }
+
+        const limit = this.getLimit(userId);
+        const remaining = Math.max(0, limit - used);
+        return { exempt: false, limit, used, remaining, exhausted: remaining === 0, resetsAt: tomorrow.toISOString() };
+    }
+
+    // Limite próprio do usuário ou o padrão das configurações
+    getLimit(userId) {
+        return this.getOverride(userId) ?? SettingsService.get('dailyPropostaLimit');
+    }
+
+    getUsedToday(userId, now = new Date()) {
+        const entry = this.read(this.usageKey)[userId];
+        return entry?.date === this.dateKey(now) ? entry.count : 0;
+    }
+
+    /**
+     * Verifica a cota e já registra a geração, sem nenhum await entre as duas
+     * etapas: gerações disparadas ao mesmo tempo não passam juntas do limite
+     * @returns {{reserved: boolean, quota: Object}} reserved é false para isentos e com a cota esgotada
+     */
+    reserve(userId, { exempt = false, now = new Date() } = {}) {
+        const quota = this.getStatus(userId, { exempt, now });
+        if (exempt || quota.exhausted) {
+            return { reserved: false, quota };
+        }
+
+        this.consume(userId, now);
+        return { reserved: true, quota: this.getStatus(userId, { now }) };
+    }
+
+    // Devolve uma geração reservada hoje
+    release(userId, now = new Date()) {
+        const usage = this.read(this.usageKey);
+        const entry = usage[userId];
+        if (entry?.date !== this.dateKey(now) || entry.count <= 0) return;
+
+        usage[userId] = { ...entry, count: entry.count - 1 };
+        localStorage.setItem(this.usageKey, JSON.stringify(usage));
+    }
+
+    // Registra uma geração; dias anteriores são descartados na mesma gravação
+    consume(userId, now = new Date()) {
+        const today = this.dateKey(now);
+        const usage = Object.fromEntries(Object.entries(this.read(this.usageKey)).filter(([, entry]) => entry.date === today));
+        usage[userId] = { date: today, count: (usage[userId]?.count || 0) + 1 };
+        localStorage.setItem(this.usageKey, JSON.stringify(usage));
+        return usage[userId].count;
+    }
+
+    getOverride(userId) {
+        return this.read(this.overridesKey)[userId] ?? null;
+    }
+
+    getOverrides() {
+        return this.read(this.overridesKey);
+    }
+
+    /**
+     * Definir ou remover (null) o limite próprio de um usuário
+     * Use AuthService.definirLimiteDiario, que exige administrador.
+     */
+    setOverride(userId, limit) {
+        if (limit !== null && (!Number.isInteger(limit) || limit < 0 || limit > 1000)) {
+            return { success: false, message: 'Limite diário deve ser um inteiro entre 0 e 1000, ou vazio para usar o padrão' };
+        }
+
+        const overrides = this.read(this.overridesKey);
+        if (limit === null) {
+            delete overrides[userId];
+        } else {
+            overrides[userId] = limit;
+        }
+        localStorage.setItem(this.overridesKey, JSON.stringify(overrides));
+        return { success: true, limit, message: limit === null ? 'Limite padrão restaurado' : `Limite diário definido em ${limit}` };
+    }
+
+    read(key) {
+        try {
+            const data = JSON.parse(localStorage.getItem(key) || '{}');
+            return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+        } catch {
+            return {};
+        }
+    }
+
+    dateKey(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+}
+
+// Instância única
+const quotaService = new QuotaService();
+
+// Disponibilizar globalmente (apenas uma instância)
+window.QuotaService = quotaService;
+
+export default quotaService;
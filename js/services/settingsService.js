@@ -0,0 +1,229 @@
+/**
+ * SettingsService - Configurações do sistema (aba "Configurações" do admin)
+ * Cada chave tem tipo, limites e valor padrão no SETTINGS_SCHEMA; valores
+ * inválidos nunca são gravados. Alterações disparam 'settingsChanged' na
+ * janela e avisam os ouvintes de onChange(), inclusive quando vêm de outra aba.
+ * A gravação pela interface passa pelo AuthService (salvarConfiguracoes),
+ * que exige administrador.
+ */
+
+export const SETTINGS_SCHEMA = {
+    inactivityMinutes: {
+        type: 'integer',
+        min: 5,
+        max: 60,
+        default: 30,
+        label: 'Tempo de inatividade'
+    },
+    forceHttps: {
+        type: 'boolean',
+        default: false,
+        label: 'Forçar HTTPS'
+    },
+    auditLog: {
+        type: 'boolean',
+        default: true,
+        label: 'Log de auditoria'
+    },
+    dailyPropostaLimit: {
+        type: 'integer',
+        min: 1,
+        max: 100,
+        default: 50,
+        label: 'Limite de propostas por usuário/dia'
+    },
+    // null mantém o histórico sem limite de idade
+    retentionDays: {
+        type: 'integer',
+        min: 30,
+        max: 365,
+        default: null,
+        nullable: true,
+        label: 'Retenção de dados'
+    },
+    historyMaxItemsPerUser: {
+        type: 'integer',
+        min: 1,
+        max: 10000,
+        default: 200,
+        label: 'Máximo de propostas no histórico por usuário'
+    },
+    maintenanceMode: {
+        type: 'boolean',
+        default: false,
+        label: 'Modo manutenção'
+    },
+    maintenanceMessage: {
+        type: 'string',
+        maxLength: 300,
+        default: 'Estamos realizando uma manutenção programada. Voltamos em breve!',
+        label: 'Mensagem de manutenção'
+    },
+    // Data/hora ISO prevista para o fim da manutenção
+    maintenanceEta: {
+        type: 'datetime',
+        default: null,
+        nullable: true,
+        label: 'Previsão de retorno'
+    }
+};
+
+class SettingsService {
+    constructor() {
+        this.storageKey = 'promptpro_settings';
+        this.listeners = new Set();
+        this.settings = this.load();
+
+        // Outra aba salvou: recarregar e avisar os ouvintes desta
+        window.addEventListener('storage', (e) => {
+            if (e.key !== this.storageKey) return;
+            const previous = this.settings;
+            this.settings = this.load();
+            this.notify(previous);
+        });
+    }
+
+    getDefaults() {
+        return Object.fromEntries(Object.entries(SETTINGS_SCHEMA).map(([key, rule]) => [key, rule.default]));
+    }
+
+    // Valores gravados inválidos (editados à mão, versões antigas) voltam ao padrão
+    load() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(this.storageKey) || '{}') || {};
+        } catch {
+            stored = {};
+        }
+
+        const settings = this.getDefaults();
+        Object.keys(SETTINGS_SCHEMA).forEach(key => {
+            if (key in stored && !this.validateField(key, stored[key])) {
+                settings[key] = stored[key];
+            }
+        });
+        return settings;
+    }
+
+    get(key) {
+        if (!(key in SETTINGS_SCHEMA)) {
+            throw new Error(`Unknown setting: ${key}`);
+        }
+        return this.settings[key];
+    }
+
+    getAll() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Validar valores parciais contra o schema
+     * @returns {{isValid: boolean, errors: Object, firstError: string|null}}
+     */
+    validate(values = {}) {
+        const errors = {};
+        Object.entries(values).forEach(([key, value]) => {
+            const error = key in SETTINGS_SCHEMA ? this.validateField(key, value) : 'Configuração desconhecida';
+            if (error) errors[key] = error;
+        });
+
+        return {
+            isValid: Object.keys(errors).length === 0,
+            errors,
+            firstError: Object.values(errors)[0] || null
+        };
+    }
+
+    validateField(key, value) {
+        const rule = SETTINGS_SCHEMA[key];
+
+        if (value === null && rule.nullable) return null;
+        if (rule.type === 'boolean') {
+            return typeof value === 'boolean' ? null : `${rule.label}: valor deve ser verdadeiro ou falso`;
+        }
+        if (rule.type === 'string') {
+            if (typeof value !== 'string' || !value.trim()) return `${rule.label}: campo obrigatório`;
+            return value.length > rule.maxLength ? `${rule.label}: máximo de ${rule.maxLength} caracteres` : null;
+        }
+        if (rule.type === 'datetime') {
+            return typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? null : `${rule.label}: data inválida`;
+        }
+        if (!Number.isInteger(value)) {
+            return `${rule.label}: informe um número inteiro`;
+        }
+        if (value < rule.min || value > rule.max) {
+            return `${rule.label}: informe um valor entre ${rule.min} e ${rule.max}`;
+        }
+        return null;
+    }
+
+    /**
+     * Gravar alterações (todas ou nenhuma)
+     * @param {Object} values - Chaves do SETTINGS_SCHEMA a alterar
+     */
+    update(values = {}) {
+        const validation = this.validate(values);
+        if (!validation.isValid) {
+            return { success: false, errors: validation.errors, message: validation.firstError };
+        }
+
+        return this.save({ ...this.settings, ...values }, 'Configurações salvas');
+    }
+
+    reset() {
+        return this.save(this.getDefaults(), 'Configurações restauradas para o padrão');
+    }
+
+    save(settings, message) {
+        const previous = this.settings;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(settings));
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            return { success: false, errors: {}, message: 'Não foi possível salvar as configurações' };
+        }
+
+        this.settings = settings;
+        const changes = this.notify(previous);
+        return { success: true, settings: this.getAll(), changes, message };
+    }
+
+    /**
+     * Registrar ouvinte de alterações
+     * @param {Function} listener - Recebe ({ changes, settings }); changes = { chave: { from, to } }
+     * @returns {Function} Cancela o registro
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify(previous) {
+        const changes = {};
+        Object.keys(SETTINGS_SCHEMA).forEach(key => {
+            if (previous[key] !== this.settings[key]) {
+                changes[key] = { from: previous[key], to: this.settings[key] };
+            }
+        });
+        if (Object.keys(changes).length === 0) return changes;
+
+        const detail = { changes, settings: this.getAll() };
+        this.listeners.forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error('Error in settings listener:', error);
+            }
+        });
+        window.dispatchEvent(new CustomEvent('settingsChanged', { detail }));
+        return changes;
+    }
+}
+
+// Instância única
+const settingsService = new SettingsService();
+
+// Disponibilizar globalmente (apenas uma instância)
+window.SettingsService = settingsService;
+
+export default settingsService;
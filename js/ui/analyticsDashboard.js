@@ -0,0 +1,90 @@
+/**
+ * AnalyticsDashboard - Painel de atividade com gráficos SVG
+ * Recebe o resultado de AnalyticsService.getAnalytics() e desenha as séries
+ * diária e semanal, as distribuições por tipo, tom e template, a tendência de
+ * complexidade e as tags mais usadas. O período e o download do CSV são
+ * repassados ao controller por onPeriodChange(dias) e onDownload().
+ */
+
+import SvgChart from './svgChart.js';
+import { HtmlUtils } from '../core/html.utils.js';
+
+const PERIODS = [7, 30, 90];
+const COMPLEXITY_LABELS = { 1: 'baixa', 2: 'média', 3: 'alta' };
+
+class AnalyticsDashboard {
+    constructor({ container, title = 'Atividade', onPeriodChange = () => {}, onDownload = () => {} } = {}) {
+        this.container = container;
+        this.title = title;
+        this.onPeriodChange = onPeriodChange;
+        this.onDownload = onDownload;
+
+        this.container?.addEventListener('change', (e) => {
+            if (e.target.name === 'periodoAnalise') this.onPeriodChange(Number(e.target.value));
+        });
+        this.container?.addEventListener('click', (e) => {
+            if (e.target.closest('[data-acao="baixar-csv"]')) this.onDownload();
+        });
+    }
+
+    render(analytics) {
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+            <section aria-label="${HtmlUtils.escapar(this.title)}" class="space-y-6">
+                <div class="flex flex-wrap items-center justify-between gap-2">
+                    <h3 class="text-lg font-semibold">${HtmlUtils.escapar(this.title)}
+                        <span class="text-sm font-normal text-gray-500 dark:text-gray-400">· ${analytics.total} proposta(s) em ${analytics.days} dias</span>
+                    </h3>
+                    <div class="flex items-center gap-2 text-sm">
+                        <label>Período
+                            <select name="periodoAnalise" class="ml-1 px-2 py-1 border rounded-md dark:bg-gray-700">
+                                ${PERIODS.map(dias => `<option value="${dias}" ${dias === analytics.days ? 'selected' : ''}>${dias} dias</option>`).join('')}
+                            </select>
+                        </label>
+                        <button type="button" data-acao="baixar-csv" class="px-3 py-1 rounded-md bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 transition">
+                            📥 Baixar CSV
+                        </button>
+                    </div>
+                </div>
+                <div class="grid gap-6 md:grid-cols-2">
+                    <div data-grafico="diario" class="md:col-span-2"></div>
+                    <div data-grafico="semanal"></div>
+                    <div data-grafico="complexidade"></div>
+                    <div data-grafico="tipo"></div>
+                    <div data-grafico="tom"></div>
+                    <div data-grafico="template"></div>
+                    <div data-grafico="tags"></div>
+                </div>
+            </section>`;
+
+        const grafico = (nome, title, description) => new SvgChart({
+            container: this.container.querySelector(`[data-grafico="${nome}"]`),
+            title,
+            description
+        });
+        const dia = (data) => data.slice(8, 10) + '/' + data.slice(5, 7);
+        const bars = (items) => items.map(({ label, count }) => ({ label, value: count }));
+
+        grafico('diario', 'Propostas por dia', `De ${dia(analytics.from)} a ${dia(analytics.to)}`)
+            .renderColumns(analytics.daily.map(({ date, count }) => ({ label: date, value: count })), { formatLabel: dia });
+        grafico('semanal', 'Propostas por semana', 'Semanas começando na segunda-feira')
+            .renderColumns(analytics.weekly.map(({ week, count }) => ({ label: week, value: count })), { formatLabel: dia });
+        grafico('complexidade', 'Complexidade média por semana', 'Escala de 1 (baixa) a 3 (alta)')
+            .renderLine(analytics.complexity.map(({ week, score }) => ({ label: week, value: score })), {
+                min: 1,
+                max: 3,
+                formatLabel: dia,
+                unit: `(1 = ${COMPLEXITY_LABELS[1]}, 3 = ${COMPLEXITY_LABELS[3]})`
+            });
+        grafico('tipo', 'Por tipo').renderBars(bars(analytics.byTipo));
+        grafico('tom', 'Por tom').renderBars(bars(analytics.byTom));
+        grafico('template', 'Por template').renderBars(bars(analytics.byTemplate));
+        grafico('tags', 'Tags mais usadas').renderBars(bars(analytics.topTags));
+    }
+}
+
+// Disponibilizar globalmente
+window.AnalyticsDashboard = AnalyticsDashboard;
+
+export default AnalyticsDashboard;
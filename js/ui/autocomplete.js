@@ -0,0 +1,124 @@
+/**
+ * Autocomplete - Sugestões para um campo de texto (padrão combobox ARIA)
+ * A lista é filtrada por source(texto) a cada digitação; setas navegam,
+ * Enter escolhe e Esc fecha. Escolher uma sugestão chama onSelect(item).
+ */
+
+import { HtmlUtils } from '../core/html.utils.js';
+
+let sequence = 0;
+
+class Autocomplete {
+    constructor({ input, source = () => [], getLabel = (item) => String(item), getDetail = () => '', onSelect = () => {} } = {}) {
+        this.input = input;
+        this.source = source;
+        this.getLabel = getLabel;
+        this.getDetail = getDetail;
+        this.onSelect = onSelect;
+        this.items = [];
+        this.active = -1;
+
+        if (!this.input) return;
+
+        const id = `${this.input.id || 'autocomplete'}-sugestoes-${++sequence}`;
+        this.list = document.createElement('ul');
+        this.list.id = id;
+        this.list.setAttribute('role', 'listbox');
+        this.list.className = 'hidden absolute z-10 mt-1 w-full max-h-60 overflow-y-auto bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-md shadow-lg text-sm';
+        this.input.parentElement.classList.add('relative');
+        this.input.insertAdjacentElement('afterend', this.list);
+
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.setAttribute('aria-controls', id);
+        this.input.setAttribute('autocomplete', 'off');
+
+        this.input.addEventListener('input', () => this.update());
+        this.input.addEventListener('focus', () => this.update());
+        this.input.addEventListener('keydown', (e) => this.handleKey(e));
+        this.input.addEventListener('blur', () => setTimeout(() => this.close(), 150));
+
+        // mousedown evita perder o foco antes do clique
+        this.list.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('[data-indice]');
+            if (!option) return;
+            e.preventDefault();
+            this.choose(Number(option.dataset.indice));
+        });
+    }
+
+    update() {
+        this.items = this.source(this.input.value) || [];
+        this.active = -1;
+        this.render();
+    }
+
+    render() {
+        if (this.items.length === 0) {
+            this.close();
+            return;
+        }
+
+        this.list.innerHTML = this.items.map((item, indice) => {
+            const detalhe = this.getDetail(item);
+            return `
+                <li id="${this.list.id}-${indice}" role="option" data-indice="${indice}" aria-selected="${indice === this.active}"
+                    class="px-3 py-2 cursor-pointer ${indice === this.active ? 'bg-blue-100 dark:bg-blue-900' : 'hover:bg-gray-100 dark:hover:bg-gray-600'}">
+                    <span class="block">${HtmlUtils.escapar(this.getLabel(item))}</span>
+                    ${detalhe ? `<span class="block text-xs text-gray-500 dark:text-gray-400">${HtmlUtils.escapar(detalhe)}</span>` : ''}
+                </li>`;
+        }).join('');
+
+        this.list.classList.remove('hidden');
+        this.input.setAttribute('aria-expanded', 'true');
+        if (this.active >= 0) {
+            this.input.setAttribute('aria-activedescendant', `${this.list.id}-${this.active}`);
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    handleKey(e) {
+        const aberto = this.input.getAttribute('aria-expanded') === 'true';
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (!aberto) {
+                this.update();
+                return;
+            }
+            const passo = e.key === 'ArrowDown' ? 1 : -1;
+            this.active = (this.active + passo + this.items.length) % this.items.length;
+            this.render();
+        } else if (e.key === 'Enter' && aberto && this.active >= 0) {
+            e.preventDefault();
+            this.choose(this.active);
+        } else if (e.key === 'Escape' && aberto) {
+            e.preventDefault();
+            this.close();
+        }
+    }
+
+    choose(indice) {
+        const item = this.items[indice];
+        if (!item) return;
+
+        this.input.value = this.getLabel(item);
+        this.close();
+        this.onSelect(item);
+    }
+
+    close() {
+        if (!this.list) return;
+        this.list.classList.add('hidden');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+        this.active = -1;
+    }
+}
+
+// Disponibilizar globalmente
+window.Autocomplete = Autocomplete;
+
+export default Autocomplete;
@@ -0,0 +1,188 @@
+/**
+ * EditableResult - Resultado editável com salvamento automático
+ * Área de texto com indicador de alterações não salvas, desfazer/refazer
+ * (Ctrl+Z / Ctrl+Shift+Z ou Ctrl+Y) e "restaurar gerado". As alterações são
+ * salvas por onSave após uma pausa na digitação; a primeira gravação de uma
+ * sessão de edição recebe amend = false e as seguintes amend = true, para que
+ * o serviço acumule a sessão em uma única versão.
+ */
+
+import { HtmlUtils } from '../core/html.utils.js';
+
+const DEFAULT_DELAY = 1500;
+const UNDO_GROUP_MS = 800;
+const MAX_UNDO = 100;
+
+const STATUS_LABELS = {
+    salvo: 'Todas as alterações salvas',
+    pendente: '● Alterações não salvas',
+    salvando: 'Salvando…',
+    erro: '⚠ Erro ao salvar'
+};
+
+class EditableResult {
+    constructor({ container, label = 'Resultado', delay = DEFAULT_DELAY, onSave = async () => {}, onReset = async () => {} } = {}) {
+        this.container = container;
+        this.delay = delay;
+        this.onSave = onSave;
+        this.onReset = onReset;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.lastSaved = '';
+        this.lastChange = 0;
+        this.timer = null;
+        this.saving = null;
+        this.amend = false;
+
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+            <div class="flex flex-wrap items-center gap-2 mb-1 text-xs">
+                <span data-estado class="mr-auto" aria-live="polite"></span>
+                <button type="button" data-acao="desfazer" title="Desfazer (Ctrl+Z)" class="px-2 py-0.5 rounded bg-white text-gray-800 hover:bg-gray-100 disabled:opacity-50 dark:bg-gray-700 dark:text-gray-100">↶ Desfazer</button>
+                <button type="button" data-acao="refazer" title="Refazer (Ctrl+Shift+Z)" class="px-2 py-0.5 rounded bg-white text-gray-800 hover:bg-gray-100 disabled:opacity-50 dark:bg-gray-700 dark:text-gray-100">↷ Refazer</button>
+                <button type="button" data-acao="restaurar" title="Voltar ao texto gerado" class="px-2 py-0.5 rounded bg-white text-gray-800 hover:bg-gray-100 dark:bg-gray-700 dark:text-gray-100">Restaurar gerado</button>
+            </div>
+            <textarea rows="12" aria-label="${HtmlUtils.escapar(label)}"
+                class="w-full px-3 py-2 border rounded-md text-sm text-gray-900 bg-white dark:bg-gray-700 dark:text-gray-100 focus:ring-2 focus:ring-blue-500"></textarea>`;
+
+        this.textarea = this.container.querySelector('textarea');
+        this.status = this.container.querySelector('[data-estado]');
+
+        this.textarea.addEventListener('beforeinput', () => this.recordUndo());
+        this.textarea.addEventListener('input', () => this.changed());
+        this.textarea.addEventListener('keydown', (e) => this.handleShortcut(e));
+        this.textarea.addEventListener('blur', () => this.flush());
+
+        this.container.addEventListener('click', (e) => {
+            const acao = e.target.closest('[data-acao]')?.dataset.acao;
+            if (acao === 'desfazer') this.undo();
+            if (acao === 'refazer') this.redo();
+            if (acao === 'restaurar') this.reset();
+        });
+
+        // Avisa antes de sair com alterações pendentes (e tenta salvá-las)
+        window.addEventListener('beforeunload', (e) => {
+            if (!this.isDirty) return;
+            this.flush();
+            e.preventDefault();
+            e.returnValue = '';
+        });
+    }
+
+    /**
+     * Carregar um texto novo, começando uma nova sessão de edição
+     */
+    load(text) {
+        if (!this.textarea) return;
+        clearTimeout(this.timer);
+        this.textarea.value = text;
+        this.lastSaved = text;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.amend = false;
+        this.setStatus('salvo');
+    }
+
+    get value() {
+        return this.textarea?.value ?? '';
+    }
+
+    get isDirty() {
+        return !!this.textarea && this.value !== this.lastSaved;
+    }
+
+    // Agrupa a digitação contínua em um único passo de desfazer
+    recordUndo() {
+        const now = Date.now();
+        if (now - this.lastChange > UNDO_GROUP_MS || this.undoStack.length === 0) {
+            this.undoStack.push(this.value);
+            if (this.undoStack.length > MAX_UNDO) this.undoStack.shift();
+        }
+        this.lastChange = now;
+        this.redoStack = [];
+    }
+
+    changed() {
+        this.setStatus(this.isDirty ? 'pendente' : 'salvo');
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), this.delay);
+    }
+
+    undo() {
+        if (this.undoStack.length === 0) return;
+        this.redoStack.push(this.value);
+        this.replace(this.undoStack.pop());
+    }
+
+    redo() {
+        if (this.redoStack.length === 0) return;
+        this.undoStack.push(this.value);
+        this.replace(this.redoStack.pop());
+    }
+
+    replace(text) {
+        this.textarea.value = text;
+        this.lastChange = 0;
+        this.changed();
+    }
+
+    handleShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey)) return;
+        const key = e.key.toLowerCase();
+
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            this.redo();
+        }
+    }
+
+    /**
+     * Salvar imediatamente as alterações pendentes (ex.: antes de exportar)
+     * @returns {Promise<boolean>} false se a gravação falhou
+     */
+    async flush() {
+        clearTimeout(this.timer);
+        if (this.saving) await this.saving;
+        if (!this.isDirty) return true;
+
+        const text = this.value;
+        this.setStatus('salvando');
+        this.saving = Promise.resolve(this.onSave(text, { amend: this.amend }))
+            .then(ok => ok !== false, () => false);
+        const ok = await this.saving;
+        this.saving = null;
+
+        if (ok) {
+            this.lastSaved = text;
+            this.amend = true;
+        }
+        this.setStatus(!ok ? 'erro' : this.isDirty ? 'pendente' : 'salvo');
+        return ok;
+    }
+
+    async reset() {
+        clearTimeout(this.timer);
+        if (this.saving) await this.saving;
+        await this.onReset();
+    }
+
+    setStatus(status) {
+        if (this.status) {
+            this.status.textContent = STATUS_LABELS[status];
+            this.status.dataset.estado = status;
+        }
+
+        const [desfazer, refazer] = ['desfazer', 'refazer'].map(acao => this.container?.querySelector(`[data-acao="${acao}"]`));
+        if (desfazer) desfazer.disabled = this.undoStack.length === 0;
+        if (refazer) refazer.disabled = this.redoStack.length === 0;
+    }
+}
+
+// Disponibilizar globalmente
+window.EditableResult = EditableResult;
+
+export default EditableResult;
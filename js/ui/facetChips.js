@@ -0,0 +1,84 @@
+/**
+ * FacetChips - Filtros facetados da busca no histórico
+ * Renderiza um grupo de botões por faceta com a contagem de cada valor;
+ * clicar seleciona o valor e clicar de novo remove o filtro.
+ */
+
+import { HtmlUtils } from '../core/html.utils.js';
+
+const FACET_LABELS = {
+    tipo: 'Tipo',
+    tom: 'Tom',
+    complexity: 'Complexidade',
+    period: 'Período'
+};
+
+const VALUE_LABELS = {
+    period: {
+        hoje: 'Hoje',
+        semana: 'Últimos 7 dias',
+        mes: 'Últimos 30 dias',
+        anteriores: 'Anteriores'
+    }
+};
+
+class FacetChips {
+    constructor({ container, onChange = () => {} } = {}) {
+        this.container = container;
+        this.onChange = onChange;
+        this.selected = {};
+
+        this.container?.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-faceta]');
+            if (!chip) return;
+
+            const { faceta, valor } = chip.dataset;
+            this.selected[faceta] = this.selected[faceta] === valor ? '' : valor;
+            this.onChange({ ...this.selected });
+        });
+    }
+
+    /**
+     * Desenhar facetas retornadas por HistorySearch.search()
+     */
+    render(facets = {}) {
+        if (!this.container) return;
+
+        const grupos = Object.keys(FACET_LABELS)
+            .filter(key => Object.keys(facets[key] || {}).length > 0)
+            .map(key => `
+                <div role="group" aria-label="${FACET_LABELS[key]}" class="flex flex-wrap items-center gap-1">
+                    <span class="text-gray-500 dark:text-gray-400 mr-1">${FACET_LABELS[key]}:</span>
+                    ${Object.entries(facets[key]).map(([valor, total]) => this.renderChip(key, valor, total)).join('')}
+                </div>`);
+
+        this.container.innerHTML = grupos.join('');
+    }
+
+    renderChip(faceta, valor, total) {
+        const ativo = this.selected[faceta] === valor;
+        const rotulo = VALUE_LABELS[faceta]?.[valor] || valor;
+        const classes = ativo
+            ? 'bg-blue-600 text-white border-blue-600'
+            : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100 dark:bg-gray-700 dark:text-gray-200 dark:border-gray-600';
+
+        return `
+            <button type="button" data-faceta="${faceta}" data-valor="${HtmlUtils.escapar(valor)}" aria-pressed="${ativo}"
+                class="px-2 py-0.5 rounded-full border transition ${classes}">
+                ${HtmlUtils.escapar(rotulo)} <span class="opacity-75">(${total})</span>
+            </button>`;
+    }
+
+    reset() {
+        this.selected = {};
+    }
+
+    get hasSelection() {
+        return Object.values(this.selected).some(Boolean);
+    }
+}
+
+// Disponibilizar globalmente
+window.FacetChips = FacetChips;
+
+export default FacetChips;
@@ -0,0 +1,113 @@
+/**
+ * ImportPreview - Revisão de uma importação antes de gravar
+ * Mostra o plano de ImportService.preview() (o que será adicionado, ignorado
+ * ou sobrescrito), permite trocar entre mesclar/substituir e confirmar.
+ */
+
+import { HtmlUtils } from '../core/html.utils.js';
+
+const ACTION_LABELS = {
+    add: { texto: 'Adicionar', classes: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200' },
+    overwrite: { texto: 'Sobrescrever', classes: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200' },
+    skip: { texto: 'Ignorar', classes: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200' },
+    invalid: { texto: 'Inválido', classes: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200' }
+};
+
+class ImportPreview {
+    constructor({ container, onModeChange = () => {}, onConfirm = () => {}, onCancel = () => {} } = {}) {
+        this.container = container;
+        this.onModeChange = onModeChange;
+        this.onConfirm = onConfirm;
+        this.onCancel = onCancel;
+        this.plan = null;
+
+        this.container?.addEventListener('change', (e) => {
+            if (e.target.name === 'modoImportacao') {
+                this.onModeChange(e.target.value);
+            }
+        });
+
+        this.container?.addEventListener('click', (e) => {
+            const botao = e.target.closest('[data-acao]');
+            if (!botao) return;
+
+            if (botao.dataset.acao === 'confirmar-importacao') {
+                this.onConfirm(this.plan);
+            } else if (botao.dataset.acao === 'cancelar-importacao') {
+                this.onCancel();
+            }
+        });
+    }
+
+    /**
+     * Desenhar o plano; erros de leitura dos arquivos aparecem no topo
+     */
+    render(plan, errors = []) {
+        if (!this.container) return;
+        this.plan = plan;
+
+        const { add, skip, overwrite, invalid } = plan.summary;
+        const pendentes = add + overwrite;
+        const modo = (valor, rotulo) => `
+            <label class="inline-flex items-center gap-1 mr-3">
+                <input type="radio" name="modoImportacao" value="${valor}" ${plan.mode === valor ? 'checked' : ''}>
+                ${rotulo}
+            </label>`;
+
+        this.container.innerHTML = `
+            <div class="border border-gray-200 dark:border-gray-700 rounded-lg p-3 space-y-2 text-sm" role="region" aria-label="Prévia da importação">
+                ${errors.map(({ source, message }) => `
+                    <p class="text-red-600 dark:text-red-400">${HtmlUtils.escapar(source)}: ${HtmlUtils.escapar(message)}</p>`).join('')}
+                <fieldset>
+                    <legend class="sr-only">Modo de importação</legend>
+                    ${modo('merge', 'Mesclar (ignorar duplicados)')}
+                    ${modo('replace', 'Substituir duplicados')}
+                </fieldset>
+                <p class="text-gray-600 dark:text-gray-300" aria-live="polite">
+                    ${add} para adicionar · ${overwrite} para sobrescrever · ${skip} ignorado(s) · ${invalid} inválido(s)
+                </p>
+                <ul class="max-h-60 overflow-y-auto space-y-1">
+                    ${plan.items.map(item => this.renderItem(item)).join('')}
+                </ul>
+                <div class="flex gap-2">
+                    <button type="button" data-acao="confirmar-importacao" ${pendentes ? '' : 'disabled'}
+                        class="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-white px-3 py-1.5 rounded-lg">
+                        Importar ${pendentes} item(ns)
+                    </button>
+                    <button type="button" data-acao="cancelar-importacao"
+                        class="bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 px-3 py-1.5 rounded-lg">
+                        Cancelar
+                    </button>
+                </div>
+            </div>`;
+        this.container.classList.remove('hidden');
+    }
+
+    renderItem(item) {
+        const acao = ACTION_LABELS[item.action];
+        const tipo = item.kind === 'template' ? 'Template' : 'Proposta';
+
+        return `
+            <li class="flex items-start gap-2">
+                <span class="shrink-0 px-2 py-0.5 rounded-full text-xs ${acao.classes}">${acao.texto}</span>
+                <span class="min-w-0">
+                    <span class="font-medium">${tipo}: ${HtmlUtils.escapar(item.label)}</span>
+                    <span class="block text-xs text-gray-500 dark:text-gray-400 truncate">
+                        ${HtmlUtils.escapar(item.source)}${item.reason ? ` — ${HtmlUtils.escapar(item.reason)}` : ''}
+                    </span>
+                </span>
+            </li>`;
+    }
+
+    clear() {
+        this.plan = null;
+        if (!this.container) return;
+        this.container.innerHTML = '';
+        this.container.classList.add('hidden');
+    }
+}
+
+// Disponibilizar globalmente
+window.ImportPreview = ImportPreview;
+
+export default ImportPreview;
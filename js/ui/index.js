@@ -13,4 +13,26 @@
 // Dark mode system
 export { default as DarkModeSystem } from './darkmode.js';
 
+// Incremental rendering of streamed model output
+export { default as StreamingOutput } from './streamingOutput.js';
+
+// Faceted filter chips for history search
+export { default as FacetChips } from './facetChips.js';
+
+// Dry-run preview for propostas/templates import
+export { default as ImportPreview } from './importPreview.js';
+
+// Proposta version list with word-level diff and restore
+export { default as VersionHistory } from './versionHistory.js';
+
+// In-place result editor with autosave and undo/redo
+export { default as EditableResult } from './editableResult.js';
+// Accessible combobox suggestions for text inputs
+export { default as Autocomplete } from './autocomplete.js';
+// Accessible SVG charts (columns, bars, line)
+export { default as SvgChart } from './svgChart.js';
+
+// Activity dashboard built from AnalyticsService data
+export { default as AnalyticsDashboard } from './analyticsDashboard.js';
+
 console.log('🎨 UI components centralized exports loaded');
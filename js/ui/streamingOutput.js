@@ -0,0 +1,102 @@
+/**
+ * StreamingOutput - Renderização incremental de respostas do modelo
+ * Acumula trechos recebidos e atualiza o elemento no máximo uma vez por frame,
+ * controlando o botão "Parar" e o AbortController da execução.
+ */
+
+class StreamingOutput {
+    constructor({ target, stopButton = null } = {}) {
+        this.target = target;
+        this.stopButton = stopButton;
+        this.controller = null;
+        this.pending = '';
+        this.frame = null;
+
+        this.handleStop = () => this.stop();
+    }
+
+    /**
+     * Iniciar nova transmissão e retornar o signal para a requisição
+     */
+    start(initialText = '') {
+        this.controller?.abort();
+        this.controller = new AbortController();
+        this.pending = '';
+
+        if (this.target) {
+            this.target.textContent = initialText;
+            this.target.setAttribute('aria-busy', 'true');
+        }
+
+        if (this.stopButton) {
+            this.stopButton.classList.remove('hidden');
+            this.stopButton.disabled = false;
+            this.stopButton.addEventListener('click', this.handleStop);
+        }
+
+        return this.controller.signal;
+    }
+
+    /**
+     * Acrescentar trecho recebido
+     */
+    append(delta) {
+        this.pending += delta;
+        if (this.frame !== null) return;
+
+        const schedule = window.requestAnimationFrame || ((fn) => setTimeout(fn, 16));
+        this.frame = schedule(() => this.flush());
+    }
+
+    flush() {
+        this.frame = null;
+        if (this.target && this.pending) {
+            this.target.textContent += this.pending;
+        }
+        this.pending = '';
+    }
+
+    /**
+     * Substituir todo o conteúdo exibido
+     */
+    setText(text) {
+        this.pending = '';
+        if (this.target) {
+            this.target.textContent = text;
+        }
+    }
+
+    /**
+     * Cancelar a execução em andamento
+     */
+    stop() {
+        if (this.stopButton) {
+            this.stopButton.disabled = true;
+        }
+        this.controller?.abort();
+    }
+
+    /**
+     * Encerrar transmissão (concluída ou cancelada)
+     */
+    finish() {
+        this.flush();
+        this.controller = null;
+
+        this.target?.removeAttribute('aria-busy');
+
+        if (this.stopButton) {
+            this.stopButton.classList.add('hidden');
+            this.stopButton.removeEventListener('click', this.handleStop);
+        }
+    }
+
+    get isStreaming() {
+        return this.controller !== null;
+    }
+}
+
+// Disponibilizar globalmente
+window.StreamingOutput = StreamingOutput;
+
+export default StreamingOutput;
@@ -0,0 +1,173 @@
+/**
+ * SvgChart - Gráficos SVG acessíveis, sem bibliotecas externas
+ * Cada gráfico é um <svg role="img"> com <title> e <desc> (resumo dos
+ * dados para leitores de tela) e uma tabela com os mesmos valores em
+ * "Ver dados". Cores fixas funcionam no tema claro e no escuro.
+ */
+
+import { HtmlUtils } from '../core/html.utils.js';
+
+const COLORS = ['#2563eb', '#16a34a', '#9333ea', '#ea580c', '#0891b2', '#db2777', '#65a30d', '#ca8a04'];
+const WIDTH = 600;
+
+let sequence = 0;
+
+class SvgChart {
+    constructor({ container, title, description = '' } = {}) {
+        this.container = container;
+        this.title = title;
+        this.description = description;
+        this.id = `grafico-${++sequence}`;
+    }
+
+    /**
+     * Colunas verticais (séries no tempo)
+     * @param {Array<{label: string, value: number}>} items
+     * @param {Object} opcoes
+     * @param {Function} opcoes.formatLabel - Rótulo exibido no eixo
+     */
+    renderColumns(items, { formatLabel = (label) => label, unit = 'proposta(s)' } = {}) {
+        const height = 180;
+        const top = 16;
+        const bottom = 28;
+        const max = Math.max(1, ...items.map(item => item.value));
+        const slot = WIDTH / Math.max(1, items.length);
+        const bar = Math.max(2, slot * 0.7);
+        const every = Math.ceil(items.length / 10);
+
+        const barras = items.map((item, i) => {
+            const h = ((height - top - bottom) * item.value) / max;
+            const x = i * slot + (slot - bar) / 2;
+            const y = height - bottom - h;
+            return `
+                <g>
+                    <title>${HtmlUtils.escapar(`${formatLabel(item.label)}: ${item.value} ${unit}`)}</title>
+                    <rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${bar.toFixed(1)}" height="${Math.max(h, 0).toFixed(1)}" fill="${COLORS[0]}" rx="2"></rect>
+                    ${i % every === 0 ? `<text x="${(x + bar / 2).toFixed(1)}" y="${height - 10}" text-anchor="middle" font-size="10" fill="currentColor">${HtmlUtils.escapar(formatLabel(item.label))}</text>` : ''}
+                </g>`;
+        }).join('');
+
+        this.draw(height, `
+            <line x1="0" y1="${height - bottom}" x2="${WIDTH}" y2="${height - bottom}" stroke="currentColor" stroke-opacity="0.3"></line>
+            <text x="0" y="10" font-size="10" fill="currentColor">máx. ${max}</text>
+            ${barras}`, items, { formatLabel, unit });
+    }
+
+    /**
+     * Barras horizontais (distribuições), uma cor por categoria
+     * @param {Array<{label: string, value: number}>} items
+     */
+    renderBars(items, { unit = 'proposta(s)' } = {}) {
+        const row = 24;
+        const height = Math.max(row, items.length * row);
+        const labelWidth = 160;
+        const max = Math.max(1, ...items.map(item => item.value));
+        const total = items.reduce((sum, item) => sum + item.value, 0);
+
+        const barras = items.map((item, i) => {
+            const w = ((WIDTH - labelWidth - 60) * item.value) / max;
+            const y = i * row;
+            const pct = total ? Math.round((item.value / total) * 100) : 0;
+            return `
+                <g>
+                    <title>${HtmlUtils.escapar(`${item.label}: ${item.value} ${unit} (${pct}%)`)}</title>
+                    <text x="${labelWidth - 8}" y="${y + 16}" text-anchor="end" font-size="11" fill="currentColor">${HtmlUtils.escapar(this.truncate(item.label, 24))}</text>
+                    <rect x="${labelWidth}" y="${y + 4}" width="${Math.max(w, 1).toFixed(1)}" height="${row - 8}" fill="${COLORS[i % COLORS.length]}" rx="2"></rect>
+                    <text x="${(labelWidth + w + 6).toFixed(1)}" y="${y + 16}" font-size="11" fill="currentColor">${item.value}</text>
+                </g>`;
+        }).join('');
+
+        this.draw(height, barras, items, { unit });
+    }
+
+    /**
+     * Linha com pontos; valores null interrompem a linha
+     * @param {Array<{label: string, value: number|null}>} items
+     * @param {Object} opcoes
+     * @param {number} opcoes.min - Início do eixo
+     * @param {number} opcoes.max - Fim do eixo
+     */
+    renderLine(items, { min = 0, max = null, formatLabel = (label) => label, unit = '' } = {}) {
+        const height = 180;
+        const top = 16;
+        const bottom = 28;
+        const values = items.map(item => item.value).filter(value => value !== null);
+        const topo = max ?? Math.max(min + 1, ...values);
+        const step = items.length > 1 ? (WIDTH - 20) / (items.length - 1) : 0;
+        const every = Math.ceil(items.length / 10);
+        const yOf = (value) => height - bottom - ((height - top - bottom) * (value - min)) / (topo - min);
+
+        let caminho = '';
+        let aberto = false;
+        const pontos = items.map((item, i) => {
+            const x = 10 + i * step;
+            const rotulo = i % every === 0
+                ? `<text x="${x.toFixed(1)}" y="${height - 10}" text-anchor="middle" font-size="10" fill="currentColor">${HtmlUtils.escapar(formatLabel(item.label))}</text>`
+                : '';
+            if (item.value === null) {
+                aberto = false;
+                return rotulo;
+            }
+            const y = yOf(item.value);
+            caminho += `${aberto ? 'L' : 'M'}${x.toFixed(1)},${y.toFixed(1)} `;
+            aberto = true;
+            return `
+                <g>
+                    <title>${HtmlUtils.escapar(`${formatLabel(item.label)}: ${item.value}${unit ? ` ${unit}` : ''}`)}</title>
+                    <circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="3" fill="${COLORS[2]}"></circle>
+                </g>
+                ${rotulo}`;
+        }).join('');
+
+        this.draw(height, `
+            <line x1="0" y1="${height - bottom}" x2="${WIDTH}" y2="${height - bottom}" stroke="currentColor" stroke-opacity="0.3"></line>
+            <text x="0" y="10" font-size="10" fill="currentColor">máx. ${topo}</text>
+            ${caminho ? `<path d="${caminho.trim()}" fill="none" stroke="${COLORS[2]}" stroke-width="2"></path>` : ''}
+            ${pontos}`, items, { formatLabel, unit });
+    }
+
+    draw(height, conteudo, items, { formatLabel = (label) => label, unit = '' } = {}) {
+        if (!this.container) return;
+
+        const vazio = items.length === 0 || items.every(item => !item.value);
+        this.container.innerHTML = `
+            <figure class="text-gray-700 dark:text-gray-200">
+                <figcaption class="text-sm font-medium mb-1">${HtmlUtils.escapar(this.title)}</figcaption>
+                ${vazio
+                    ? '<p class="text-xs text-gray-500 dark:text-gray-400">Sem dados no período.</p>'
+                    : `<svg viewBox="0 0 ${WIDTH} ${height}" width="100%" role="img" aria-labelledby="${this.id}-titulo ${this.id}-desc" preserveAspectRatio="xMinYMin meet">
+                        <title id="${this.id}-titulo">${HtmlUtils.escapar(this.title)}</title>
+                        <desc id="${this.id}-desc">${HtmlUtils.escapar(this.summarize(items, formatLabel, unit))}</desc>
+                        ${conteudo}
+                    </svg>
+                    <details class="mt-1 text-xs">
+                        <summary class="cursor-pointer text-blue-600 dark:text-blue-400">Ver dados</summary>
+                        <table class="mt-1 w-full text-left">
+                            <thead><tr><th scope="col" class="pr-2">Item</th><th scope="col">Valor</th></tr></thead>
+                            <tbody>
+                                ${items.map(item => `<tr><td class="pr-2">${HtmlUtils.escapar(formatLabel(item.label))}</td><td>${item.value ?? '—'}</td></tr>`).join('')}
+                            </tbody>
+                        </table>
+                    </details>`}
+            </figure>`;
+    }
+
+    // Resumo textual: descrição, total de itens e o maior valor
+    summarize(items, formatLabel, unit) {
+        const validos = items.filter(item => item.value !== null);
+        const maior = validos.reduce((a, b) => (b.value > a.value ? b : a), validos[0]);
+        const partes = [this.description, `${items.length} item(ns)`];
+        if (maior) partes.push(`maior valor: ${formatLabel(maior.label)} com ${maior.value}${unit ? ` ${unit}` : ''}`);
+        return partes.filter(Boolean).join('. ');
+    }
+
+    truncate(texto, limite) {
+        const valor = String(texto);
+        return valor.length > limite ? `${valor.slice(0, limite - 1)}…` : valor;
+    }
+}
+
+// Disponibilizar globalmente
+window.SvgChart = SvgChart;
+
+export default SvgChart;
@@ -0,0 +1,111 @@
+/**
+ * VersionHistory - Versões de uma proposta com diff e restauração
+ * Lista as versões, compara duas delas palavra a palavra (trechos removidos
+ * riscados, adicionados sublinhados) e oferece restaurar versões antigas.
+ */
+
+import { HtmlUtils } from '../core/html.utils.js';
+
+const SOURCE_LABELS = {
+    gerada: 'Geração',
+    regenerada: 'Regeneração',
+    edicao: 'Edição manual',
+    template: 'Troca de template',
+    restaurada: 'Restauração'
+};
+
+class VersionHistory {
+    constructor({ container, onCompare = () => {}, onRestore = () => {} } = {}) {
+        this.container = container;
+        this.onCompare = onCompare;
+        this.onRestore = onRestore;
+
+        this.container?.addEventListener('change', (e) => {
+            if (e.target.name === 'versaoDe' || e.target.name === 'versaoPara') {
+                const de = this.container.querySelector('[name="versaoDe"]').value;
+                const para = this.container.querySelector('[name="versaoPara"]').value;
+                this.onCompare(Number(de), Number(para));
+            }
+        });
+
+        this.container?.addEventListener('click', (e) => {
+            const botao = e.target.closest('[data-restaurar]');
+            if (botao) this.onRestore(Number(botao.dataset.restaurar));
+        });
+    }
+
+    /**
+     * @param {Object} dados
+     * @param {Array} dados.versions - PropostaService.getVersions()
+     * @param {number} dados.current - Versão atual
+     * @param {Object|null} dados.diff - PropostaService.compareVersions()
+     */
+    render({ versions, current, diff = null }) {
+        if (!this.container) return;
+
+        const opcoes = (selecionada) => versions.map(v => `
+            <option value="${v.version}" ${v.version === selecionada ? 'selected' : ''}>v${v.version} · ${SOURCE_LABELS[v.source] || v.source}</option>`).join('');
+
+        this.container.innerHTML = `
+            <div class="mt-3 p-3 rounded-md bg-white text-gray-800 dark:bg-gray-800 dark:text-gray-100 text-sm space-y-3" role="region" aria-label="Versões da proposta">
+                <ol class="space-y-1">
+                    ${[...versions].reverse().map(v => this.renderVersion(v, current)).join('')}
+                </ol>
+                ${versions.length > 1 && diff ? `
+                <div class="flex flex-wrap items-center gap-2">
+                    <label>Comparar <select name="versaoDe" class="px-1 py-0.5 border rounded dark:bg-gray-700">${opcoes(diff.from.version)}</select></label>
+                    <label>com <select name="versaoPara" class="px-1 py-0.5 border rounded dark:bg-gray-700">${opcoes(diff.to.version)}</select></label>
+                </div>
+                ${this.renderDiff('Prompt', diff.prompt, diff.summary.prompt)}
+                ${diff.summary.resposta.adicionadas || diff.summary.resposta.removidas
+                    ? this.renderDiff('Resposta', diff.resposta, diff.summary.resposta)
+                    : ''}` : ''}
+            </div>`;
+        this.container.classList.remove('hidden');
+    }
+
+    renderVersion(v, current) {
+        const atual = v.version === current;
+        const detalhe = v.restoredFrom ? ` (da v${v.restoredFrom})` : '';
+
+        return `
+            <li class="flex items-center justify-between gap-2">
+                <span>
+                    <strong>v${v.version}</strong> · ${SOURCE_LABELS[v.source] || v.source}${detalhe}
+                    <span class="text-xs text-gray-500 dark:text-gray-400">· ${new Date(v.createdAt).toLocaleString('pt-BR')} · ${HtmlUtils.escapar(v.template || '')}</span>
+                </span>
+                ${atual
+                    ? '<span class="text-xs font-semibold text-green-700 dark:text-green-300">atual</span>'
+                    : `<button type="button" data-restaurar="${v.version}" class="text-xs text-blue-600 hover:text-blue-800 dark:text-blue-400">Restaurar</button>`}
+            </li>`;
+    }
+
+    renderDiff(titulo, operacoes, { adicionadas, removidas }) {
+        const trechos = operacoes.map(({ tipo, texto }) => {
+            if (tipo === 'adicionado') {
+                return `<ins class="bg-green-200 text-green-900 dark:bg-green-800 dark:text-green-100 no-underline">${HtmlUtils.escapar(texto)}</ins>`;
+            }
+            if (tipo === 'removido') {
+                return `<del class="bg-red-200 text-red-900 dark:bg-red-900 dark:text-red-100">${HtmlUtils.escapar(texto)}</del>`;
+            }
+            return HtmlUtils.escapar(texto);
+        }).join('');
+
+        return `
+            <div>
+                <p class="font-medium">${titulo} <span class="text-xs font-normal text-gray-500 dark:text-gray-400">+${adicionadas} / −${removidas} palavra(s)</span></p>
+                <div class="mt-1 p-2 max-h-64 overflow-y-auto rounded border border-gray-200 dark:border-gray-700 whitespace-pre-wrap">${trechos || '<span class="text-gray-500">(vazio)</span>'}</div>
+            </div>`;
+    }
+
+    clear() {
+        if (!this.container) return;
+        this.container.innerHTML = '';
+        this.container.classList.add('hidden');
+    }
+}
+
+// Disponibilizar globalmente
+window.VersionHistory = VersionHistory;
+
+export default VersionHistory;
@@ -0,0 +1,139 @@
+/**
+ * check-llm-adapters.mjs - Verifica os adaptadores do LLMService contra o
+ * servidor simulado (scripts/mock-llm-server.mjs)
+ *
+ * Uso: `npm run check:llm`. Sai com código 1 se alguma verificação falhar.
+ */
+
+import assert from 'node:assert/strict';
+import { startMockLLMServer } from './mock-llm-server.mjs';
+
+// Os módulos do navegador se registram em window
+globalThis.window ??= globalThis;
+
+const { OpenAICompatibleProvider, OllamaProvider } = await import('../js/services/llmService.js');
+
+const mock = await startMockLLMServer();
+const messages = [
+    { role: 'system', content: 'Sistema' },
+    { role: 'user', content: 'Crie uma proposta de teste' }
+];
+const esperado = 'Resposta simulada para: Crie uma proposta de teste';
+
+const config = (provider, extra = {}) => ({
+    provider,
+    baseUrl: provider === 'openai' ? `${mock.url}/v1/` : mock.url,
+    model: 'modelo-teste',
+    temperature: 0.3,
+    maxTokens: 256,
+    timeoutMs: 1000,
+    ...extra
+});
+
+const juntar = async (stream) => {
+    let texto = '';
+    let usage = null;
+    for await (const chunk of stream) {
+        texto += chunk.content;
+        usage = chunk.usage || usage;
+    }
+    return { texto, usage };
+};
+
+const adaptadores = [
+    ['openai', OpenAICompatibleProvider],
+    ['ollama', OllamaProvider]
+];
+
+const verificacoes = [];
+const verificar = (nome, fn) => verificacoes.push({ nome, fn });
+
+for (const [nome, Provider] of adaptadores) {
+    verificar(`${nome}: complete() devolve o texto, o modelo e o uso`, async () => {
+        const resultado = await new Provider(config(nome)).complete(messages);
+        assert.equal(resultado.content, esperado);
+        assert.equal(resultado.model, 'modelo-teste');
+        assert.ok(resultado.usage.totalTokens > 0);
+    });
+
+    verificar(`${nome}: stream() entrega a resposta em vários trechos`, async () => {
+        const trechos = [];
+        for await (const chunk of new Provider(config(nome)).stream(messages)) {
+            trechos.push(chunk);
+        }
+        assert.ok(trechos.filter(t => t.content).length > 1);
+        assert.equal(trechos.map(t => t.content).join(''), esperado);
+        assert.ok(trechos.some(t => t.usage?.completionTokens > 0));
+    });
+
+    verificar(`${nome}: erro HTTP vira mensagem com status e detalhe`, async () => {
+        await assert.rejects(
+            new Provider(config(nome, { model: 'erro-500' })).complete(messages),
+            /Provedor respondeu 500: falha simulada/
+        );
+    });
+
+    verificar(`${nome}: resposta sem conteúdo é recusada`, async () => {
+        await assert.rejects(
+            new Provider(config(nome, { model: 'sem-conteudo' })).complete(messages),
+            /Resposta do provedor sem conteúdo/
+        );
+    });
+
+    verificar(`${nome}: tempo limite de inatividade`, async () => {
+        await assert.rejects(
+            new Provider(config(nome, { model: 'lento', timeoutMs: 200 })).complete(messages),
+            /Tempo limite de 0s excedido/
+        );
+    });
+
+    verificar(`${nome}: cancelamento pelo AbortSignal`, async () => {
+        const controller = new AbortController();
+        const stream = new Provider(config(nome)).stream(messages, { signal: controller.signal });
+        await assert.rejects(async () => {
+            for await (const chunk of stream) {
+                if (chunk.content) controller.abort();
+            }
+        }, /Execução cancelada/);
+    });
+
+    verificar(`${nome}: servidor fora do ar`, async () => {
+        await assert.rejects(
+            new Provider(config(nome, { baseUrl: 'http://127.0.0.1:9' })).complete(messages),
+            /Não foi possível conectar/
+        );
+    });
+}
+
+verificar('openai: corpo e cabeçalhos da requisição', async () => {
+    mock.requests.length = 0;
+    await new OpenAICompatibleProvider(config('openai', { apiKey: 'sk-teste' })).complete(messages);
+    const [requisicao] = mock.requests;
+    assert.equal(requisicao.path, '/v1/chat/completions');
+    assert.equal(requisicao.headers.authorization, 'Bearer sk-teste');
+    assert.deepEqual(requisicao.body, { model: 'modelo-teste', messages, temperature: 0.3, max_tokens: 256, stream: false });
+});
+
+verificar('ollama: corpo da requisição', async () => {
+    mock.requests.length = 0;
+    await juntar(new OllamaProvider(config('ollama')).stream(messages));
+    const [requisicao] = mock.requests;
+    assert.equal(requisicao.path, '/api/chat');
+    assert.equal(requisicao.headers.authorization, undefined);
+    assert.deepEqual(requisicao.body, { model: 'modelo-teste', messages, stream: true, options: { temperature: 0.3, num_predict: 256 } });
+});
+
+let falhas = 0;
+for (const { nome, fn } of verificacoes) {
+    try {
+        await fn();
+        console.log(`✅ ${nome}`);
+    } catch (error) {
+        falhas++;
+        console.error(`❌ ${nome}\n   ${error.message}`);
+    }
+}
+
+await mock.close();
+console.log(`\n${verificacoes.length - falhas}/${verificacoes.length} verificações passaram`);
+process.exit(falhas ? 1 : 0);
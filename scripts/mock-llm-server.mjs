@@ -0,0 +1,167 @@
+/**
+ * mock-llm-server.mjs - Servidor HTTP local que imita os provedores de modelo
+ *
+ * Responde como um endpoint compatível com OpenAI (POST /chat/completions,
+ * JSON ou Server-Sent Events) e como o Ollama (POST /api/chat, JSON ou NDJSON),
+ * para testar os adaptadores do LLMService sem chave de API nem rede.
+ *
+ * Uso manual: `npm run mock:llm` (porta 8787 ou MOCK_LLM_PORT) e, no painel
+ * admin, provedor "openai" com URL http://localhost:8787/v1 ou "ollama" com
+ * http://localhost:8787. A resposta repete o último prompt recebido.
+ *
+ * Alguns nomes de modelo simulam falhas:
+ * - `erro-500`: responde 500 com corpo de erro no formato do provedor
+ * - `lento`: espera `delayMs` (padrão 2000 ms) antes de responder
+ * - `sem-conteudo`: responde 200 sem o texto da resposta
+ */
+
+import { createServer } from 'node:http';
+import { fileURLToPath } from 'node:url';
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Texto devolvido pelo modelo simulado, em trechos para o streaming
+export function buildReply(messages = []) {
+    const prompt = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+    return `Resposta simulada para: ${prompt.slice(0, 200)}`;
+}
+
+function splitChunks(text, size = 12) {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += size) {
+        chunks.push(text.slice(i, i + size));
+    }
+    return chunks;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...CORS_HEADERS });
+    res.end(JSON.stringify(body));
+}
+
+async function handleOpenAI(req, res, body, options) {
+    const reply = buildReply(body.messages);
+    const usage = { prompt_tokens: 10, completion_tokens: reply.length, total_tokens: 10 + reply.length };
+
+    if (body.model === 'erro-500') {
+        return sendJson(res, 500, { error: { message: 'falha simulada' } });
+    }
+    if (body.model === 'sem-conteudo') {
+        return sendJson(res, 200, { model: body.model, choices: [] });
+    }
+    if (!body.stream) {
+        return sendJson(res, 200, { model: body.model, choices: [{ message: { role: 'assistant', content: reply } }], usage });
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', ...CORS_HEADERS });
+    for (const chunk of splitChunks(reply)) {
+        if (res.destroyed) return;
+        res.write(`data: ${JSON.stringify({ model: body.model, choices: [{ delta: { content: chunk } }] })}\n\n`);
+        await sleep(options.chunkDelayMs);
+    }
+    res.write(`data: ${JSON.stringify({ model: body.model, choices: [{ delta: {} }], usage })}\n\n`);
+    res.end('data: [DONE]\n\n');
+}
+
+async function handleOllama(req, res, body, options) {
+    const reply = buildReply(body.messages);
+    const totals = { prompt_eval_count: 10, eval_count: reply.length };
+
+    if (body.model === 'erro-500') {
+        return sendJson(res, 500, { error: 'falha simulada' });
+    }
+    if (body.model === 'sem-conteudo') {
+        return sendJson(res, 200, { model: body.model, done: true });
+    }
+    if (body.stream === false) {
+        return sendJson(res, 200, { model: body.model, message: { role: 'assistant', content: reply }, done: true, ...totals });
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/x-ndjson', ...CORS_HEADERS });
+    for (const chunk of splitChunks(reply)) {
+        if (res.destroyed) return;
+        res.write(`${JSON.stringify({ model: body.model, message: { role: 'assistant', content: chunk }, done: false })}\n`);
+        await sleep(options.chunkDelayMs);
+    }
+    res.end(`${JSON.stringify({ model: body.model, message: { role: 'assistant', content: '' }, done: true, ...totals })}\n`);
+}
+
+/**
+ * Inicia o servidor simulado
+ * @param {Object} options
+ * @param {number} options.port - Porta (0 escolhe uma livre)
+ * @param {number} options.chunkDelayMs - Pausa entre trechos do streaming
+ * @param {number} options.delayMs - Pausa do modelo `lento`
+ * @returns {Promise<{url: string, requests: Array<Object>, close: Function}>}
+ */
+export async function startMockLLMServer({ port = 0, chunkDelayMs = 5, delayMs = 2000 } = {}) {
+    const requests = [];
+    const options = { chunkDelayMs, delayMs };
+
+    const server = createServer(async (req, res) => {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, CORS_HEADERS);
+            return res.end();
+        }
+
+        const path = new URL(req.url, 'http://localhost').pathname;
+        let body;
+        try {
+            body = await readBody(req);
+        } catch {
+            return sendJson(res, 400, { error: { message: 'JSON inválido' } });
+        }
+        requests.push({ method: req.method, path, headers: req.headers, body });
+
+        if (body.model === 'lento') {
+            await sleep(delayMs);
+            if (res.destroyed) return;
+        }
+
+        if (req.method === 'POST' && path.endsWith('/chat/completions')) {
+            return handleOpenAI(req, res, body, options);
+        }
+        if (req.method === 'POST' && path === '/api/chat') {
+            return handleOllama(req, res, body, options);
+        }
+        sendJson(res, 404, { error: { message: `Rota não encontrada: ${req.method} ${path}` } });
+    });
+
+    await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+// Execução direta: `node scripts/mock-llm-server.mjs`
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const { url } = await startMockLLMServer({ port: Number(process.env.MOCK_LLM_PORT) || 8787, chunkDelayMs: 80 });
+    console.log(`🤖 Mock LLM em ${url} (OpenAI: ${url}/v1, Ollama: ${url}). Ctrl+C para encerrar.`);
+}